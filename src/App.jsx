@@ -1,176 +1,175 @@
-import { useEffect, useRef, useState } from "react";
-import {
-  ResponsiveContainer,
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  Tooltip,
-  LabelList,
-  ReferenceLine,
-  Cell,
-} from "recharts";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, LabelList } from "recharts";
 import { toPng } from "html-to-image";
 import { NumericField, ScenarioField } from "./components/NumericFields";
-import { calculateNER, calculateScenarioNER, getFitOutSyncUpdates } from "./utils/calculations";
-import { F, FCUR, FCUR0, P, safe } from "./utils/format";
+import { IndexationFields } from "./components/IndexationFields";
+import { CashFlowTable } from "./components/CashFlowTable";
+import { RentFreeFields, RentFreePlacementCell } from "./components/RentFreeFields";
+import { BreakOptionsFields, HorizonComparison } from "./components/BreakOptions";
+import { SpaceBreakdown, SpaceComponentsFields } from "./components/SpaceComponents";
+import { LandlordPanel } from "./components/LandlordPanel";
+import { GoalSeekPanel } from "./components/GoalSeekPanel";
+import { SensitivityPanel } from "./components/SensitivityPanel";
+import { ScenarioHeader } from "./components/ScenarioHeader";
+import { BarsChart, WaterfallChart, VerticalMoneyLabel0 } from "./components/Charts";
+import { ScenarioCharts } from "./components/ScenarioCharts";
+import { ProjectLibrary } from "./components/ProjectLibrary";
+import { ProjectNotice } from "./components/ProjectNotice";
+import { PassphrasePrompt, ProtectExportFields } from "./components/Passphrase";
+import { LanguageSelect, ProjectSettings } from "./components/ProjectSettings";
+import { ImportDealsDialog } from "./components/ImportDealsDialog";
+import { ReportDialog } from "./components/ReportDialog";
+import { ChangeLog } from "./components/ChangeLog";
+import { RentRoll, RentRollFields } from "./components/RentRoll";
+import { Comparables } from "./components/Comparables";
+import {
+  calculateHorizons,
+  calculateNER,
+  calculateScenarioNER,
+  getFitOutSyncUpdates,
+  resolveScenarioForm,
+} from "./utils/calculations";
+import { CUR, F, FCUR, FCUR0, P } from "./utils/format";
+import { parseMonthList } from "./utils/rentFree";
+import { INDEX_MODES } from "./utils/indexation";
+import { scenarioResultCellStyle } from "./utils/cellStyles";
+import { buildNerBars, buildWaterfall } from "./utils/chartData";
+import { createScenario, defaultScenarios, duplicateScenario, moveScenario, normalizeScenarios } from "./utils/scenarios";
+import { calculateLandlordMetrics } from "./utils/landlord";
+import {
+  getLastProjectId,
+  getProject,
+  isLibraryAvailable,
+  newProjectId,
+  projectDisplayName,
+  saveProject,
+  setLastProjectId,
+} from "./utils/projectLibrary";
+import {
+  DEFAULT_FORM,
+  PROJECT_FILE_EXT,
+  PROJECT_VERSION,
+  parseProjectText,
+  serializeProject,
+  validateProject,
+} from "./utils/projectSchema";
+import { applySettings, DEFAULT_SETTINGS } from "./utils/settings";
+import { AREA, FAREA, FRENT, perAreaUnit, rentUnit, toDisplay } from "./utils/units";
+import { language, t } from "./utils/i18n";
+import { buildShareLink, decodeSharePayload, readShareFragment } from "./utils/shareLink";
+import { decryptText, encryptText, isCryptoAvailable, isEncryptedProject, isWrongPassphrase } from "./utils/projectCrypto";
+import { buildNERWorkbook } from "./utils/excelExport";
+import { readSheetRows, rowsToDeals } from "./utils/dealImport";
+import { buildPdfReport } from "./utils/pdfReport";
+import { appendLog, describeChanges, pushSnapshot } from "./utils/history";
+import { DEFAULT_RENT_ROLL } from "./utils/rentRoll";
 
 /* ---- CONSTANTS ---- */
-const BASE_H = 20;
-const BASE_B = 10;
 const FIT_EXTRA = -27;
-const WF_TOP_LABEL_Y = 62;
 
 /* ---------- COMPONENTS ---------- */
-function Delta({ base, val }) {
-  const pct = base > 0 ? ((val - base) / base) * 100 : 0;
-  const up = pct > 0, down = pct < 0, sign = pct > 0 ? "+" : "";
-  return (
-    <span className={`${down ? "text-red-600" : up ? "text-green-600" : "text-gray-500"} font-medium ml-2`}>
-      {down ? "▼" : up ? "▲" : "■"} {sign}{F(pct, 2)}%
-    </span>
-  );
-}
+// Row labels are built on render so they follow the project currency and language.
+const fitRows = () => [
+  { key: "fitPerNLA", mode: "perNLA", unit: "perArea", label: t("field.fitPerNLA", { unit: perAreaUnit() }) },
+  { key: "fitPerGLA", mode: "perGLA", unit: "perArea", label: t("field.fitPerGLA", { unit: perAreaUnit() }) },
+  { key: "fitTot", mode: "total", label: t("field.fitTotal", { currency: CUR() }) },
+];
 
-function ScenarioDelta({ base, val }) {
-  const pct = Math.abs(base) > 1e-9 ? ((val - base) / Math.abs(base)) * 100 : 0;
-  const up = pct > 0;
-  const down = pct < 0;
-  const sign = up ? "+" : "";
+const breakdownRows = () => [
+  { key: "ner1", label: `${t("ner.ner1")} (${rentUnit()})`, kind: "sqm" },
+  { key: "ner2", label: `${t("ner.ner2")} (${rentUnit()})`, kind: "sqm" },
+  { key: "ner3", label: `${t("ner.ner3")} (${rentUnit()})`, kind: "sqm" },
+  { key: "totalHeadline", label: t("total.headline"), kind: "eur", sign: 1 },
+  { key: "totalRentFrees", label: t("total.rentFrees"), kind: "eur", sign: -1 },
+  { key: "totalFit", label: t("total.fitOut"), kind: "eur", sign: -1 },
+  { key: "totalAgentFees", label: t("total.agentFees"), kind: "eur", sign: -1 },
+  { key: "totalUnforeseen", label: t("field.lumpsum"), kind: "eur", sign: 1 },
+];
 
-  return (
-    <span className={`${up ? "text-green-600" : down ? "text-red-600" : "text-gray-500"} font-bold tabular-nums`}>
-      {up ? "▲" : down ? "▼" : "■"} {sign}{F(pct, 2)}%
-    </span>
-  );
-}
+const breakdownCell = (row, res) => {
+  if (row.kind === "sqm") return `${FRENT(res[row.key])} ${CUR()}`;
+  return FCUR(row.sign * res[row.key]);
+};
 
-const scenarioResultCellStyle = (scenario, allScenarios, base) => {
-  const diff = scenario.ner - base;
-  if (Math.abs(diff) < 0.005) return { backgroundColor: "#2563eb", color: "#ffffff" };
-
-  const greenSteps = [
-    { backgroundColor: "#bbf7d0", color: "#052e16" },
-    { backgroundColor: "#22c55e", color: "#052e16" },
-    { backgroundColor: "#15803d", color: "#ffffff" },
-  ];
-  const redSteps = [
-    { backgroundColor: "#fecaca", color: "#450a0a" },
-    { backgroundColor: "#ef4444", color: "#ffffff" },
-    { backgroundColor: "#b91c1c", color: "#ffffff" },
-  ];
-
-  const isBetter = diff > 0;
-  const group = allScenarios.filter((sv) =>
-    isBetter ? sv.ner - base > 0.005 : base - sv.ner > 0.005
-  );
-  const sortedValues = [...new Set(group.map((sv) => F(sv.ner, 4)))].sort((a, b) =>
-    isBetter ? Number(a) - Number(b) : Number(b) - Number(a)
-  );
-  const rank = Math.max(0, sortedValues.indexOf(F(scenario.ner, 4)));
-  const step = sortedValues.length === 1 ? 2 : sortedValues.length === 2 ? rank + 1 : Math.min(rank, 2);
+const FIT_SYNC_KEYS = ["nla", "addon", "fitMode", "fitPerNLA", "fitPerGLA", "fitTot"];
 
-  return isBetter ? greenSteps[step] : redSteps[step];
-};
+// Indexation inputs; a scenario can edit the ones its own indexation mode uses.
+const indexRows = () => [
+  { key: "indexRate", mode: "fixed", label: t("field.indexRate") },
+  { key: "cpiRate", mode: "cpi", label: t("field.cpiRate") },
+  { key: "cpiThreshold", mode: "cpi", label: t("field.cpiThreshold") },
+  { key: "cpiFirstMonth", mode: "cpi", label: t("field.cpiFirstMonth") },
+];
 
-/* ---------- CHART LABELS ---------- */
-const PercentLabel = ({ x, y, width, value }) => {
-  if (!Number.isFinite(value)) return null;
-  const cx = x + width / 2;
-  const fill = value < 0 ? "#dc2626" : "#16a34a";
-  const sign = value > 0 ? "+" : "";
-  return (
-    <text x={cx} y={y - 18} textAnchor="middle" fill={fill} fontSize={12} fontWeight="700">
-      {sign}{F(value, 2)}%
-    </text>
-  );
-};
+// Rows with an empty text allow the value to be left empty (no service charge cap).
+const extraRows = () => [
+  { key: "discountRate", label: t("field.discountRate") },
+  { key: "serviceCharge", unit: "rent", label: `${t("field.serviceCharge")} (${rentUnit(true)})` },
+  { key: "serviceChargeCap", unit: "rent", label: `${t("field.serviceChargeCap")} (${rentUnit(true)})`, empty: t("app.noCap") },
+  { key: "nonRecoverable", label: t("field.nonRecoverable") },
+  { key: "exitYield", label: t("field.exitYield") },
+];
+
+const tabs = () => [
+  { id: "scenarios", label: t("tab.scenarios") },
+  { id: "charts", label: t("tab.charts") },
+  { id: "cashflow", label: t("tab.cashflow") },
+  { id: "goalseek", label: t("tab.goalseek") },
+  { id: "sensitivity", label: t("tab.sensitivity") },
+  { id: "comps", label: t("tab.comps") },
+  { id: "log", label: t("tab.log") },
+];
 
-const BarNumberLabel = ({ x, y, width, height, value }) => {
-  if (!Number.isFinite(value)) return null;
-  const cx = x + width / 2, cy = y + height / 2;
+function FitModeSelect({ value, onChange }) {
   return (
-    <text x={cx} y={cy} textAnchor="middle" dominantBaseline="middle" fill="#ffffff" fontSize={12} fontWeight="800">
-      {F(value, 2)}
-    </text>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full border rounded-md p-2 bg-white">
+      <option value="perNLA">{CUR()}/NLA</option>
+      <option value="perGLA">{CUR()}/GLA</option>
+      <option value="total">{t("common.total")}</option>
+    </select>
   );
-};
+}
 
-const VerticalMoneyLabel0 = ({ x, y, width, height, value }) => {
-  if (!Number.isFinite(value)) return null;
-  const cx = x + width / 2, cy = y + height / 2;
+function IndexModeSelect({ value, onChange }) {
   return (
-    <text x={cx} y={cy} transform={`rotate(-90, ${cx}, ${cy})`} textAnchor="middle" dominantBaseline="middle" fill="#000000" fontSize={16} fontWeight="800">
-      {FCUR0(value)}
-    </text>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full border rounded-md p-2 bg-white">
+      {INDEX_MODES.map((id) => (
+        <option key={id} value={id}>{t(`index.${id}`)}</option>
+      ))}
+    </select>
   );
-};
+}
 
-const makeWFLabelTop = (data, fixedY) => (props) => {
-  const { x = 0, width = 0, index, value, payload } = props || {};
-  const d = Array.isArray(data) && Number.isInteger(index) ? data[index] : {};
-  const cx = x + width / 2;
-  const raw = Number.isFinite(d?.delta) ? d.delta : Number.isFinite(payload?.delta) ? payload.delta : Number.isFinite(value) ? value : 0;
-  const v = Math.round(raw * 100) / 100;
-  const abs = Math.abs(v);
-  if (d?.isTotal) {
-    const pos = v >= 0;
-    return (
-      <text x={cx} y={fixedY} textAnchor="middle" fill={pos ? "#16a34a" : "#dc2626"} fontSize={12} fontWeight="800">
-        {pos ? "" : "−"}{F(Math.abs(v), 2)}
-      </text>
-    );
-  }
-  if (abs < 0.005) return null;
+function Delta({ base, val }) {
+  const pct = base > 0 ? ((val - base) / base) * 100 : 0;
+  const up = pct > 0, down = pct < 0, sign = pct > 0 ? "+" : "";
   return (
-    <text x={cx} y={fixedY} textAnchor="middle" fill="#dc2626" fontSize={12} fontWeight="800">
-      −{F(abs, 2)}
-    </text>
+    <span className={`${down ? "text-red-600" : up ? "text-green-600" : "text-gray-500"} font-medium ml-2`}>
+      {down ? "▼" : up ? "▲" : "■"} {sign}{F(pct, 2)}%
+    </span>
   );
-};
+}
 
-/* ---------- Charts ---------- */
-function BarsChart({ data, isExporting }) {
+function LumpsumLabel({ className = "" }) {
   return (
-    <ResponsiveContainer width="100%" height="100%">
-      <BarChart key="bars" data={data} barCategoryGap={18} barGap={4} margin={{ top: 28, right: 6, bottom: Math.max(0, BASE_B), left: 6 }}>
-        <XAxis dataKey="name" height={Math.max(0, BASE_H)} tick={{ fontSize: 12, fontWeight: 700 }} />
-        <YAxis hide />
-        <Tooltip formatter={(v, n) => (n === "sqm" ? `${F(v, 2)} €/sqm` : `${F(v, 2)}%`)} />
-        <ReferenceLine y={0} />
-        <Bar dataKey="sqm" barSize={36} isAnimationActive={!isExporting}>
-          <LabelList dataKey="pct" content={<PercentLabel />} />
-          <LabelList dataKey="sqm" content={<BarNumberLabel />} />
-          {data.map((e, i) => (
-            <Cell key={i} fill={e.color} stroke={e.name === "Final" ? "#dc2626" : undefined} strokeWidth={e.name === "Final" ? 2 : undefined} />
-          ))}
-        </Bar>
-      </BarChart>
-    </ResponsiveContainer>
+    <>
+      <span className={`text-red-600 ${className}`}>{t("field.lumpsumCosts")}</span>{" "}
+      /{" "}
+      <span className={`text-green-600 ${className}`}>{t("field.compensation")}</span>
+    </>
   );
 }
 
-function WaterfallChart({ data, isExporting }) {
+function ScenarioDelta({ base, val }) {
+  const pct = Math.abs(base) > 1e-9 ? ((val - base) / Math.abs(base)) * 100 : 0;
+  const up = pct > 0;
+  const down = pct < 0;
+  const sign = up ? "+" : "";
+
   return (
-    <ResponsiveContainer width="100%" height="100%">
-      <BarChart key="waterfall" data={data} barCategoryGap={8} barGap={6} margin={{ top: 56, right: 12, bottom: Math.max(0, BASE_B), left: 12 }}>
-        <XAxis dataKey="name" interval={0} height={Math.max(0, BASE_H)} tick={{ fontSize: 12, fontWeight: 700 }} />
-        <YAxis hide domain={["dataMin - 2", "dataMax + 8"]} />
-        <Tooltip formatter={(val, _n, ctx) => {
-          const p = ctx?.payload || {};
-          if (p.isTotal) return [`${F(safe(p.delta), 2)} €/sqm`, "Rent"];
-          return [`−${F(Math.abs(safe(p.delta)), 2)} €/sqm`, "Δ"];
-        }} />
-        <ReferenceLine y={0} />
-        <Bar dataKey="base" stackId="wf" fill="rgba(0,0,0,0)" />
-        <Bar dataKey="delta" stackId="wf" barSize={44} isAnimationActive={!isExporting}>
-          <LabelList dataKey="delta" content={makeWFLabelTop(data, WF_TOP_LABEL_Y)} />
-          {data.map((d, i) => (
-            <Cell key={i} fill={d.isTotal ? "#16a34a" : "#dc2626"} />
-          ))}
-        </Bar>
-      </BarChart>
-    </ResponsiveContainer>
+    <span className={`${up ? "text-green-600" : down ? "text-red-600" : "text-gray-500"} font-bold tabular-nums`}>
+      {up ? "▲" : down ? "▼" : "■"} {sign}{F(pct, 2)}%
+    </span>
   );
 }
 
@@ -178,31 +177,36 @@ function WaterfallChart({ data, isExporting }) {
 export default function App() {
   const isAppleSupport =
   window.location.pathname === "/apple-support";
-  const [f, setF] = useState({
-    tenant: "",
-    nla: "1000",
-    addon: "5.00",
-    rent: "15.00",
-    duration: "60",
-    rf: "5.0",
-    agent: "2.0",
-    fitMode: "perNLA",
-    fitPerNLA: "300.00",
-    fitPerGLA: "",
-    fitTot: "300000.00",
-    unforeseen: "0",
-  });
+  const [f, setF] = useState(DEFAULT_FORM);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // The format, unit and language helpers read module state. New settings are applied
+  // before paint and the app renders once more with them, so nothing shows stale formats.
+  const [, setAppliedSettings] = useState(settings);
+  useLayoutEffect(() => {
+    applySettings(settings);
+    setAppliedSettings(settings);
+  }, [settings]);
+  const [rentRoll, setRentRoll] = useState(DEFAULT_RENT_ROLL);
   const [isLoaded, setIsLoaded] = useState(false);
+  const [project, setProject] = useState(() => ({ id: newProjectId(), name: "", createdAt: Date.now() }));
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showRentRoll, setShowRentRoll] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [shareStatus, setShareStatus] = useState("");
+  const [protect, setProtect] = useState({ enabled: false, passphrase: "", confirm: "" });
+  const [passPrompt, setPassPrompt] = useState(null);
+  const [dealImport, setDealImport] = useState(null);
+  const dealFileRef = useRef(null);
+  const [showReport, setShowReport] = useState(false);
+  const projectFileRef = useRef(null);
   const S = (k) => (v) => setF((s) => ({ ...s, [k]: v }));
   const [isExporting, setIsExporting] = useState(false);
   const [viewMode, setViewMode] = useState("bars");
+  const [tableTab, setTableTab] = useState("scenarios");
+  const [showBreakdown, setShowBreakdown] = useState(false);
 
   /* Scenarios */
-  const [scenarios, setScenarios] = useState([
-  { id: 2, overrides: {},  },
-  { id: 3, overrides: {},  },
-  { id: 4, overrides: {},  },
-]);
+  const [scenarios, setScenarios] = useState(defaultScenarios);
 
   const setScenarioVal = (id, key, value) => {
     setScenarios((arr) =>
@@ -212,38 +216,180 @@ export default function App() {
     );
   };
 
+  const updateScenario = (id, patch) =>
+    setScenarios((arr) => arr.map((sc) => (sc.id === id ? { ...sc, ...patch } : sc)));
+
+  /* Undo/redo and change log */
+  const [log, setLog] = useState([]);
+  // Undo and redo stacks of { f, scenarios } snapshots. settled is the state the last
+  // step ended with; null until the inputs of a newly opened project have settled.
+  const history = useRef({ past: [], future: [] });
+  const settled = useRef(null);
+
+  const resetHistory = (entries) => {
+    history.current = { past: [], future: [] };
+    settled.current = null;
+    setLog(entries);
+  };
+
   
   const resolveScenario = (sc, key) => {
     const v = sc.overrides[key];
     return v !== undefined ? v : f[key];
   };
 
+  const rentFreeMonths = (form, key = "rf") =>
+    form.rfMode === "custom" ? String(parseMonthList(form.rfMonths).length) : form[key];
+
   
-  /* URL Data Loading */
-  useEffect(() => {
-  const params = new URLSearchParams(window.location.search);
-  const data = params.get("data");
+  // Puts a validated project into state; repairs and rejections are shown in the notice.
+  const applyProject = (res, source, meta = {}) => {
+    if (!res.ok) {
+      setNotice({ tone: "error", title: t("notice.couldNotOpen", { source }), messages: [res.message] });
+      return false;
+    }
+    setF(res.project.f);
+    setScenarios(res.project.scenarios);
+    setSettings(res.project.settings);
+    setRentRoll(res.project.rentRoll);
+    resetHistory(res.project.log);
+    setProject({
+      id: meta.id || newProjectId(),
+      name: meta.name ?? res.project.name,
+      createdAt: meta.createdAt || Date.now(),
+    });
+    setNotice(
+      res.warnings.length
+        ? { tone: "warning", title: t("notice.repaired", { source }), messages: res.warnings }
+        : null
+    );
+    return true;
+  };
 
-  if (data) {
+  const openProject = (record) => {
+    if (applyProject(validateProject(record), `"${projectDisplayName(record)}"`, record)) setLastProjectId(record.id);
+  };
+
+  const newProject = () => {
+    setF(DEFAULT_FORM);
+    setScenarios(defaultScenarios());
+    setProject({ id: newProjectId(), name: "", createdAt: Date.now() });
+    // The next lease is usually in the same building.
+    setRentRoll((r) => ({ ...DEFAULT_RENT_ROLL, building: r.building }));
+    resetHistory([]);
+  };
+
+  const askPassphrase = (source, error) =>
+    new Promise((resolve) => setPassPrompt({ source, error, resolve }));
+
+  // Opens project JSON text; encrypted exports ask for the passphrase first.
+  const openProjectText = async (text, source) => {
+    let doc = null;
     try {
-      const parsed = JSON.parse(decodeURIComponent(data));
+      doc = JSON.parse(text);
+    } catch {
+      // reported by parseProjectText below
+    }
+    if (!isEncryptedProject(doc)) return applyProject(parseProjectText(text), source);
 
-      if (parsed.f) {
-        setF((s) => ({ ...s, ...parsed.f }));
-        if (parsed.scenarios) setScenarios(parsed.scenarios);
-      } else {
-        setF((s) => ({ ...s, ...parsed }));
+    let error = "";
+    for (;;) {
+      const passphrase = await askPassphrase(source, error);
+      if (passphrase === null) {
+        setNotice({ tone: "warning", title: t("notice.didNotOpen", { source }), messages: [t("notice.noPassphrase")] });
+        return false;
+      }
+      let text;
+      try {
+        text = await decryptText(doc, passphrase);
+      } catch (e) {
+        if (isWrongPassphrase(e)) {
+          error = e.message;
+          continue;
+        }
+        setNotice({ tone: "error", title: t("notice.couldNotOpen", { source }), messages: [String(e?.message || e)] });
+        return false;
       }
+      return applyProject(parseProjectText(text), source);
+    }
+  };
 
+  const openShareLink = async (payload) => {
+    try {
+      return await openProjectText(await decodeSharePayload(payload), t("notice.shareLink"));
     } catch (e) {
-      console.error("Failed to parse project data:", e);
+      setNotice({ tone: "error", title: t("notice.couldNotOpenShareLink"), messages: [String(e?.message || e)] });
+      return false;
     }
-  }
+  };
+
+  // Once a linked project is open it lives in the library; a reload must not open the
+  // link again as a new project over the autosaved edits.
+  const clearProjectLink = () => window.history.replaceState(null, "", window.location.pathname);
+
+  /* Share link (#p=) or URL data (?data=) loading, otherwise reopen the last project from the library */
+  useEffect(() => {
+    const load = async () => {
+      const params = new URLSearchParams(window.location.search);
+      const data = params.get("data");
+      const shared = readShareFragment(window.location.hash);
+
+      if (shared) {
+        if (await openShareLink(shared)) clearProjectLink();
+      } else if (data) {
+        let text = null;
+        try {
+          text = decodeURIComponent(data);
+        } catch {
+          setNotice({ tone: "error", title: t("notice.couldNotOpenLink"), messages: [t("notice.linkDamaged")] });
+        }
+        if (text !== null && (await openProjectText(text, t("notice.projectLink")))) clearProjectLink();
+      } else if (isLibraryAvailable()) {
+        const lastId = getLastProjectId();
+        try {
+          const record = lastId && (await getProject(lastId));
+          if (record) openProject(record);
+        } catch (e) {
+          setNotice({ tone: "error", title: t("notice.couldNotReopen"), messages: [String(e?.message || e)] });
+        }
+      }
 
-  setIsLoaded(true);   // ✅ DAS HIER HINZUFÜGEN
+      setIsLoaded(true);
+    };
+    load();
 
-}, []);
+    // A share link pasted into an already open tab only changes the fragment.
+    const onHashChange = async () => {
+      const shared = readShareFragment(window.location.hash);
+      if (shared && (await openShareLink(shared))) clearProjectLink();
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
+  useEffect(() => {
+    if (!shareStatus) return;
+    const timer = setTimeout(() => setShareStatus(""), 2000);
+    return () => clearTimeout(timer);
+  }, [shareStatus]);
+
+  useEffect(() => {
+    document.documentElement.lang = language();
+  }, [settings.language]);
+
+  /* Autosave to the local project library */
+  useEffect(() => {
+    if (!isLoaded || !isLibraryAvailable()) return;
+    const timer = setTimeout(() => {
+      saveProject({ ...project, version: PROJECT_VERSION, settings, rentRoll, f, scenarios, log, updatedAt: Date.now() })
+        .then(() => setLastProjectId(project.id))
+        .catch((e) => setNotice({ tone: "error", title: t("notice.autosaveFailed"), messages: [String(e?.message || e)] }));
+    }, 600);
+    return () => clearTimeout(timer);
+  }, [isLoaded, project, settings, rentRoll, f, scenarios, log]);
+
+  const result = calculateNER(f);
+  const landlord = calculateLandlordMetrics(result, f);
   const {
     nla,
     gla,
@@ -256,11 +402,21 @@ export default function App() {
     ner2,
     ner3,
     ner4,
+    nerPV,
+    discountRate,
+    avgRent,
+    blendedRent,
+    breakdown,
+    cashFlows,
+    grossEffectiveRent,
+    netIncomeRent,
+    tenantServiceCharge,
+    landlordServiceCharge,
     totalHeadline,
     totalRentFrees,
     totalAgentFees,
     totalUnforeseen,
-  } = calculateNER(f);
+  } = result;
 
   /* Sync Fit-outs */
 useEffect(() => {
@@ -274,34 +430,110 @@ useEffect(() => {
 
 }, [isLoaded, f.fitMode, f.nla, f.addon, f.fitPerNLA, f.fitPerGLA, f.fitTot]);
 
-  const NER_COLORS = ["#1e3a8a", "#2563eb", "#3b82f6", "#60a5fa"];
-  const nerBars = [
-    { label: "Headline", val: rent, pct: null, color: "#065f46" },
-    { label: "NER 1", val: ner1, pct: rent > 0 ? ((ner1 - rent) / rent) * 100 : null, color: NER_COLORS[0] },
-    { label: "NER 2", val: ner2, pct: rent > 0 ? ((ner2 - rent) / rent) * 100 : null, color: NER_COLORS[1] },
-    { label: "NER 3", val: ner3, pct: rent > 0 ? ((ner3 - rent) / rent) * 100 : null, color: NER_COLORS[2] },
-    { label: "Final", val: ner4, pct: rent > 0 ? ((ner4 - rent) / rent) * 100 : null, color: NER_COLORS[3] },
-  ].map((d) => ({ name: d.label, sqm: safe(d.val), pct: Number.isFinite(d.pct) ? d.pct : null, color: d.color }));
-
-  /* Waterfall Data */
-  const dRF = safe(ner1 - rent);
-  const dFO = safe(ner2 - ner1);
-  const dAF = safe(ner3 - ner2);
-  const dUC = safe(ner4 - ner3);
-
-  let cur = safe(rent);
-  const wfData = [];
-  wfData.push({ name: "Headline", base: 0, delta: cur, isTotal: true });
-  wfData.push({ name: "RF", base: cur, delta: dRF, isTotal: false }); cur += dRF;
-  wfData.push({ name: "FO", base: cur, delta: dFO, isTotal: false }); cur += dFO;
-  wfData.push({ name: "AF", base: cur, delta: dAF, isTotal: false }); cur += dAF;
-  wfData.push({ name: "UC", base: cur, delta: dUC, isTotal: false }); cur += dUC;
-  wfData.push({ name: "Final NER", base: 0, delta: cur, isTotal: true });
-
-  const scenarioView = scenarios.map((sc) => ({
-    id: sc.id,
-    ner: calculateScenarioNER(f, sc.overrides),
-  }));
+  /* Sync Fit-outs per scenario (only where a scenario overrides area or fit-out) */
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    setScenarios((arr) => {
+      let changed = false;
+      const next = arr.map((sc) => {
+        if (!FIT_SYNC_KEYS.some((k) => sc.overrides[k] !== undefined)) return sc;
+        const updates = getFitOutSyncUpdates(resolveScenarioForm(f, sc.overrides));
+        if (Object.keys(updates).length === 0) return sc;
+        changed = true;
+        return { ...sc, overrides: { ...sc.overrides, ...updates } };
+      });
+      return changed ? next : arr;
+    });
+  }, [isLoaded, f, scenarios]);
+
+  // Edits that come in quick succession (typing, arrow keys) become one undo step.
+  const commitChanges = () => {
+    const now = { f, scenarios };
+    const before = settled.current;
+    settled.current = now;
+    if (!before) return now;
+    const changes = describeChanges(before, now);
+    if (changes.length) {
+      history.current = { past: pushSnapshot(history.current.past, before), future: [] };
+      setLog((l) => appendLog(l, changes));
+    }
+    return now;
+  };
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    const timer = setTimeout(commitChanges, 700);
+    return () => clearTimeout(timer);
+  }, [isLoaded, f, scenarios]);
+
+  const restore = (snapshot, action) => {
+    const changes = describeChanges(settled.current, snapshot);
+    setLog((l) => appendLog(l, changes, action));
+    settled.current = snapshot;
+    setF(snapshot.f);
+    setScenarios(snapshot.scenarios);
+  };
+
+  const undo = () => {
+    const now = commitChanges();
+    const { past, future } = history.current;
+    if (!past.length) return;
+    history.current = { past: past.slice(0, -1), future: pushSnapshot(future, now) };
+    restore(past[past.length - 1], "undo");
+  };
+
+  const redo = () => {
+    const now = commitChanges();
+    const { past, future } = history.current;
+    if (!future.length) return;
+    history.current = { past: pushSnapshot(past, now), future: future.slice(0, -1) };
+    restore(future[future.length - 1], "redo");
+  };
+
+  const isPending = !!settled.current && (settled.current.f !== f || settled.current.scenarios !== scenarios);
+  const canUndo = isPending || history.current.past.length > 0;
+  const canRedo = !isPending && history.current.future.length > 0;
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). The focused field is
+  // blurred first so a value still being typed is committed before it is undone.
+  const shortcuts = useRef(null);
+  shortcuts.current = { undo, redo, isBlocked: showLibrary || showRentRoll || showReport || !!passPrompt || !!dealImport };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || shortcuts.current.isBlocked) return;
+      const key = e.key.toLowerCase();
+      const action = key === "z" ? (e.shiftKey ? "redo" : "undo") : key === "y" && !e.shiftKey ? "redo" : null;
+      if (!action) return;
+      e.preventDefault();
+      if (document.activeElement instanceof HTMLElement) document.activeElement.blur();
+      setTimeout(() => shortcuts.current[action]());
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const nerBars = buildNerBars(result);
+  const wfData = buildWaterfall(result);
+
+  const horizons = calculateHorizons(f);
+  const breakHorizons = horizons.filter((h) => h.key !== "expiry");
+
+  const scenarioView = scenarios.map((sc) => {
+    const form = resolveScenarioForm(f, sc.overrides);
+    const res = calculateScenarioNER(f, sc.overrides);
+    return {
+      id: sc.id,
+      name: sc.name,
+      color: sc.color,
+      result: res,
+      gla: res.gla,
+      ner: res.ner4,
+      nerPV: res.nerPV,
+      horizons: calculateHorizons(form),
+      landlord: calculateLandlordMetrics(res, form),
+    };
+  });
 
   /* Exports */
   const pageRef = useRef(null);
@@ -349,10 +581,39 @@ useEffect(() => {
   await exportNode(pageRef.current, fname); 
 };
 
-  const exportProjectHTML = () => {
-    const data = encodeURIComponent(  JSON.stringify({    f,    scenarios,  }));
+  // Project JSON for files and links, encrypted when a passphrase is set. Null if the passphrase is not usable.
+  const projectText = async (indent) => {
+    const text = JSON.stringify(serializeProject({ name: project.name, settings, rentRoll, f, scenarios, log }), null, indent);
+    if (!protect.enabled) return text;
+    if (!protect.passphrase || protect.passphrase !== protect.confirm) {
+      setNotice({ tone: "error", title: t("notice.notEncrypted"), messages: [t("notice.passphraseMismatch")] });
+      return null;
+    }
+    if (!isCryptoAvailable()) {
+      setNotice({ tone: "error", title: t("notice.notEncrypted"), messages: [t("notice.noCrypto")] });
+      return null;
+    }
+    return JSON.stringify(await encryptText(text, protect.passphrase), null, indent);
+  };
+
+  const copyShareLink = async () => {
+    const text = await projectText();
+    if (text === null) return;
+    const link = await buildShareLink(text);
+    try {
+      await navigator.clipboard.writeText(link);
+      setShareStatus("copied");
+    } catch {
+      window.prompt(t("actions.copyLinkPrompt"), link);
+    }
+  };
+
+  const exportProjectHTML = async () => {
+    const text = await projectText();
+    if (text === null) return;
+    const link = await buildShareLink(text);
     const tenant = f.tenant?.trim() || "ner-project";
-    const content = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>NER Project - ${tenant}</title><meta http-equiv="refresh" content="0;url=${window.location.origin}${window.location.pathname}?data=${data}"></head><body><p>Redirecting to NER Calculator...</p></body></html>`;
+    const content = `<!DOCTYPE html><html lang="${language()}"><head><meta charset="utf-8"><title>${t("actions.htmlTitle", { tenant })}</title><meta http-equiv="refresh" content="0;url=${link}"></head><body><p>${t("actions.redirecting")}</p></body></html>`;
     const blob = new Blob([content], { type: "text/html" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -362,6 +623,71 @@ useEffect(() => {
     URL.revokeObjectURL(url);
   };
 
+  const exportProjectJSON = async () => {
+    const content = await projectText(2);
+    if (content === null) return;
+    const blob = new Blob([content], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${f.tenant?.trim() || "ner-project"}${PROJECT_FILE_EXT}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openProjectFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    await openProjectText(await file.text(), `"${file.name}"`);
+  };
+
+  const exportExcel = async () => {
+    try {
+      const XLSX = await import("xlsx");
+      const wb = buildNERWorkbook(XLSX, f, scenarios);
+      XLSX.writeFile(wb, `${f.tenant?.trim() || "ner-project"}.xlsx`);
+    } catch (err) {
+      setNotice({ tone: "error", title: t("notice.couldNotExportExcel"), messages: [String(err?.message || err)] });
+    }
+  };
+
+  const exportPdfReport = async (branding) => {
+    const [{ jsPDF }, { default: autoTable }] = await Promise.all([import("jspdf"), import("jspdf-autotable")]);
+    const doc = buildPdfReport(jsPDF, autoTable, { form: f, scenarios, projectName: project.name, branding });
+    doc.save(`${f.tenant?.trim() || "ner-project"}-report.pdf`);
+  };
+
+  const openDealFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const XLSX = await import("xlsx");
+      const parsed = rowsToDeals(await readSheetRows(XLSX, file));
+      if (parsed.ok) setDealImport({ fileName: file.name, parsed });
+      else setNotice({ tone: "error", title: t("notice.couldNotImport", { file: file.name }), messages: [parsed.message] });
+    } catch (err) {
+      setNotice({ tone: "error", title: t("notice.couldNotImport", { file: file.name }), messages: [String(err?.message || err)] });
+    }
+  };
+
+  const importDeals = (target) => {
+    const { deals } = dealImport.parsed;
+    if (target === "current") {
+      setF((s) => ({ ...s, ...deals[0].fields }));
+    } else {
+      setScenarios((list) =>
+        deals.reduce((acc, d) => {
+          const { tenant, ...overrides } = d.fields;
+          return [...acc, { ...createScenario(acc, overrides), name: d.name }];
+        }, list)
+      );
+      setTableTab("scenarios");
+    }
+    setDealImport(null);
+  };
+
 if (isAppleSupport) {
   return (
     <div
@@ -375,17 +701,20 @@ if (isAppleSupport) {
         boxShadow: "0 4px 12px rgba(0,0,0,0.08)",
       }}
     >
+      <div style={{ float: "right" }}>
+        <LanguageSelect value={settings.language} onChange={(v) => setSettings((s) => ({ ...s, language: v }))} />
+      </div>
       <h1
         style={{
           color: "#005CA9",
           marginBottom: "25px",
         }}
       >
-        NER Calculator Support
+        {t("support.title")}
       </h1>
 
       <p style={{ lineHeight: "1.6" }}>
-        For support, questions, bug reports or feature requests please contact:
+        {t("support.contact")}
       </p>
 
       <p>
@@ -402,17 +731,17 @@ if (isAppleSupport) {
       </p>
 
       <p style={{ color: "#555" }}>
-        We usually respond within 2 business days.
+        {t("support.response")}
       </p>
 
       <hr style={{ margin: "25px 0" }} />
 
       <p>
-        <strong>Application:</strong> NER – Net Effective Rent Calculator
+        <strong>{t("support.application")}</strong> {t("support.appName")}
       </p>
 
       <p>
-        <strong>Developer:</strong> Andriy Ivchenko
+        <strong>{t("support.developer")}</strong> Andriy Ivchenko
       </p>
     </div>
   );
@@ -428,8 +757,27 @@ return (
         <div ref={calculatorRef}>
           {/* HEADER */}
           <div ref={mainContentRef}>
+            <div className={`flex justify-end gap-2 ${isExporting ? "hidden" : ""}`}>
+              <button
+                onClick={undo}
+                disabled={!canUndo}
+                className="px-2 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold disabled:opacity-40"
+                title={t("history.undoHint")}
+              >
+                {t("history.undo")}
+              </button>
+              <button
+                onClick={redo}
+                disabled={!canRedo}
+                className="px-2 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold disabled:opacity-40"
+                title={t("history.redoHint")}
+              >
+                {t("history.redo")}
+              </button>
+              <LanguageSelect value={settings.language} onChange={(v) => setSettings((s) => ({ ...s, language: v }))} />
+            </div>
             <h2 className="text-3xl font-bold mb-2 text-center" style={{ color: "#005CA9" }}>
-              Net Effective Rent (NER) Calculator
+              {t("app.title")}
             </h2>
             <div className="mb-4 flex justify-center">
               <div className="w-full md:w-1/2">
@@ -437,58 +785,90 @@ return (
                   type="text"
                   value={f.tenant}
                   onChange={(e) => S("tenant")(e.target.value)}
-                  placeholder="Tenant Name"
+                  placeholder={t("app.tenantPlaceholder")}
                   className="mt-1 block w-full border rounded-md p-2 text-center font-medium"
                 />
+                <div className={`mt-2 ${isExporting ? "hidden" : ""}`}>
+                  <RentRollFields value={rentRoll} onChange={setRentRoll} />
+                </div>
               </div>
             </div>
           </div>
 
+          {notice && <ProjectNotice notice={notice} onClose={() => setNotice(null)} />}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* LINKS: INPUTS */}
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
-                <NumericField label="NLA (sqm)" value={f.nla} onChange={S("nla")} />
-                <NumericField label="Add-On (%)" value={f.addon} onChange={S("addon")} />
+                <NumericField label={`${t("field.nla")} (${AREA()})`} value={f.nla} onChange={S("nla")} unit="area" />
+                <NumericField label={t("field.addon")} value={f.addon} onChange={S("addon")} />
                 <label className="block">
-                  <span className="text-gray-700 text-sm font-semibold">GLA (sqm)</span>
-                  <input readOnly value={F(gla, 2)} className="mt-1 block w-full border rounded-md p-2 bg-gray-100 text-gray-600" />
+                  <span className="text-gray-700 text-sm font-semibold">{t("field.gla")} ({AREA()})</span>
+                  <input readOnly value={FAREA(gla)} className="mt-1 block w-full border rounded-md p-2 bg-gray-100 text-gray-600" />
                 </label>
-                <NumericField label="Headline Rent €/sqm" value={f.rent} onChange={S("rent")} step={0.5} />
-                <NumericField  label="Lease Term (months)"  value={f.duration}  onChange={S("duration")}  step={0.01}/>
-                <NumericField label="Rent-Free (months)" value={f.rf} onChange={S("rf")} />
+                <NumericField label={`${t("field.headlineRent")} ${rentUnit()}`} value={f.rent} onChange={S("rent")} step={0.5} unit="rent" />
+                <NumericField  label={t("field.leaseTerm")}  value={f.duration}  onChange={S("duration")}  step={0.01}/>
+                <NumericField label={t("field.rentFree")} value={rentFreeMonths(f)} onChange={S("rf")} readOnly={f.rfMode === "custom"} />
               </div>
 
+              <RentFreeFields form={f} set={S} />
+
+              <SpaceComponentsFields form={f} set={S} />
+
               {/* Fit-Out Block */}
               <div className="border rounded-md p-3 bg-gray-50/50">
                 <div className="flex flex-wrap items-center gap-4 mb-3">
-                  <span className="text-gray-700 font-bold text-sm">Fit-Out Input:</span>
+                  <span className="text-gray-700 font-bold text-sm">{t("field.fitOutInput")}:</span>
                   <label className="inline-flex items-center gap-1 text-sm cursor-pointer">
-                    <input type="radio" checked={f.fitMode === "perNLA"} onChange={() => S("fitMode")("perNLA")} /> <span>€/NLA</span>
+                    <input type="radio" checked={f.fitMode === "perNLA"} onChange={() => S("fitMode")("perNLA")} /> <span>{CUR()}/NLA</span>
                   </label>
                   <label className="inline-flex items-center gap-1 text-sm cursor-pointer">
-                    <input type="radio" checked={f.fitMode === "perGLA"} onChange={() => S("fitMode")("perGLA")} /> <span>€/GLA</span>
+                    <input type="radio" checked={f.fitMode === "perGLA"} onChange={() => S("fitMode")("perGLA")} /> <span>{CUR()}/GLA</span>
                   </label>
                   <label className="inline-flex items-center gap-1 text-sm cursor-pointer">
-                    <input type="radio" checked={f.fitMode === "total"} onChange={() => S("fitMode")("total")} /> <span>Total</span>
+                    <input type="radio" checked={f.fitMode === "total"} onChange={() => S("fitMode")("total")} /> <span>{t("common.total")}</span>
                   </label>
                 </div>
                 <div className="space-y-3">
-                  <NumericField label="Fit-Out €/sqm (NLA)" value={f.fitPerNLA} onChange={S("fitPerNLA")} readOnly={f.fitMode !== "perNLA"} suffix="€" />
-                  <NumericField label="Fit-Out €/sqm (GLA)" value={f.fitPerGLA} onChange={S("fitPerGLA")} readOnly={f.fitMode !== "perGLA"} suffix="€" />
-                  <NumericField label="Fit-Out Total (€)" value={f.fitTot} onChange={S("fitTot")} readOnly={f.fitMode !== "total"} suffix="€" />
+                  <NumericField label={t("field.fitPerNLA", { unit: perAreaUnit() })} value={f.fitPerNLA} onChange={S("fitPerNLA")} readOnly={f.fitMode !== "perNLA"} suffix={CUR()} unit="perArea" />
+                  <NumericField label={t("field.fitPerGLA", { unit: perAreaUnit() })} value={f.fitPerGLA} onChange={S("fitPerGLA")} readOnly={f.fitMode !== "perGLA"} suffix={CUR()} unit="perArea" />
+                  <NumericField label={t("field.fitTotal", { currency: CUR() })} value={f.fitTot} onChange={S("fitTot")} readOnly={f.fitMode !== "total"} suffix={CUR()} />
                 </div>
               </div>
 
+              <IndexationFields form={f} set={S} />
+
+              <BreakOptionsFields form={f} set={S} />
+
               <div className="grid grid-cols-2 gap-4">
-                <NumericField label="Agent Fees (months)" value={f.agent} onChange={S("agent")} />
-                <NumericField  label={    <>      <span className="text-red-600 text-xs whitespace-nowrap">Lumpsum Costs (-)</span>{" "}      /{" "}      <span className="text-green-600 text-xs whitespace-nowrap">Compensation (+)</span>   </>}
+                <NumericField label={t("field.agentFees")} value={f.agent} onChange={S("agent")} />
+                <NumericField  label={<LumpsumLabel className="text-xs whitespace-nowrap" />}
   value={f.unforeseen}
   onChange={S("unforeseen")}
-  suffix="€"
+  suffix={CUR()}
   min={-999999999}
   colorize
 />
+                <NumericField label={t("field.discountRate")} value={f.discountRate} onChange={S("discountRate")} step={0.25} suffix="%" />
+              </div>
+
+              {/* Service Charges */}
+              <div className="border rounded-md p-3 bg-gray-50/50">
+                <span className="block text-gray-700 font-bold text-sm mb-2">{t("app.serviceCharges")}:</span>
+                <div className="grid grid-cols-3 gap-3">
+                  <NumericField label={rentUnit(true)} value={f.serviceCharge} onChange={S("serviceCharge")} step={0.25} suffix={CUR()} unit="rent" />
+                  <NumericField
+                    label={`${t("app.landlordCap")} ${rentUnit()}`}
+                    value={f.serviceChargeCap}
+                    onChange={S("serviceChargeCap")}
+                    step={0.25}
+                    unit="rent"
+                    allowEmpty
+                    placeholder={t("app.noCap")}
+                  />
+                  <NumericField label={t("field.nonRecoverable")} value={f.nonRecoverable} onChange={S("nonRecoverable")} step={5} suffix="%" />
+                </div>
               </div>
             </div>
 
@@ -498,54 +878,68 @@ return (
                 <div ref={resultsContentRef}>
                   {f.tenant.trim() && (
                     <div className="mb-3 border-b pb-1">
-                      <span className="text-xl font-bold text-gray-800">Tenant: <u>{f.tenant.trim()}</u></span>
+                      <span className="text-xl font-bold text-gray-800">{t("results.tenant")} <u>{f.tenant.trim()}</u></span>
                     </div>
                   )}
 
                   <div className="mt-1 rounded-xl ring-2 ring-blue-300 ring-offset-1 bg-blue-50 px-4 py-2 flex items-center justify-between shadow-sm mb-3">
-                  <div className="font-bold text-lg text-blue-900">Headline Rent</div>
-                  <div className="text-lg font-extrabold text-gray-900">{F(rent, 2)} €/sqm</div>
+                  <div className="font-bold text-lg text-blue-900">{t("field.headlineRent")}</div>
+                  <div className="text-lg font-extrabold text-gray-900">{FRENT(rent)} {rentUnit()}</div>
                 </div>
+                {breakdown.length > 1 && (
+                  <div className="rounded-xl border px-4 py-2 mb-3 bg-white">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm font-bold text-gray-700">{t("results.blended")}</span>
+                      <span className="text-sm font-extrabold text-gray-900">{FRENT(blendedRent)} {rentUnit()}</span>
+                    </div>
+                    <SpaceBreakdown breakdown={breakdown} />
+                  </div>
+                )}
               <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm mb-3 text-gray-600 italic">
 
-                  <div>Total Headline Rent</div>
+                  {f.indexMode !== "none" && (
+                    <>
+                      <div>{t("results.avgIndexed")}</div>
+                      <div className="text-right text-gray-800 font-medium">{FRENT(avgRent)} {rentUnit()}</div>
+                    </>
+                  )}
+
+                  <div>{t("total.headline")}</div>
                   <div className="text-right text-green-600 font-medium">
                     {FCUR(totalHeadline)}
                   </div>
                 
-                  <div>Total Rent Frees</div>
+                  <div>{t("total.rentFrees")}</div>
                   <div className="text-right text-red-600 font-medium">
                     {FCUR(-totalRentFrees)}
                   </div>
                 
-                  <div>Total Agent Fees</div>
+                  <div>{t("total.agentFees")}</div>
                   <div className="text-right text-red-600 font-medium">
                     {FCUR(-totalAgentFees)}
                   </div>
                 
                   <div>
-                    <span className="text-red-600">Lumpsum Costs (-)</span>{" "}
-                    /{" "}
-                    <span className="text-green-600">Compensation (+)</span>
+                    <LumpsumLabel />
                   </div>
                   <div className={`text-right font-medium ${totalUnforeseen >= 0 ? "text-green-600" : "text-red-600"}`}>
                     {FCUR(totalUnforeseen)}
                   </div>
                 
                 </div>
-                  <p className="text-sm font-semibold text-red-600 mb-2">Total Fit Out: {FCUR(totalFit)}</p>
+                  <p className="text-sm font-semibold text-red-600 mb-2">{t("results.totalFit", { amount: FCUR(totalFit) })}</p>
 
                   <div className="space-y-1 text-sm border-t pt-2">
-                    <p>1️⃣ NER incl. Rent Frees: <b>{F(ner1, 2)} €</b> <Delta base={rent} val={ner1} /></p>
-                    <p>2️⃣ incl. Fit-Outs: <b>{F(ner2, 2)} €</b> <Delta base={rent} val={ner2} /></p>
-                    <p>3️⃣ incl. Agent Fees: <b>{F(ner3, 2)} €</b> <Delta base={rent} val={ner3} /></p>
+                    <p>1️⃣ {t("results.ner1")} <b>{FRENT(ner1)} {rentUnit()}</b> <Delta base={avgRent} val={ner1} /></p>
+                    <p>2️⃣ {t("results.ner2")} <b>{FRENT(ner2)} {rentUnit()}</b> <Delta base={avgRent} val={ner2} /></p>
+                    <p>3️⃣ {t("results.ner3")} <b>{FRENT(ner3)} {rentUnit()}</b> <Delta base={avgRent} val={ner3} /></p>
                   </div>
 
                   {/* CHARTS */}
                   <div className="mt-4 grid grid-cols-3 gap-2 border-t pt-4">
                     <div className="h-48 col-span-1">
                       <ResponsiveContainer width="100%" height="100%">
-                        <BarChart data={[{ name: "Fit-Out", eur: totalFit }]} margin={{ top: 20, right: 5, left: 5, bottom: 5 }}>
+                        <BarChart data={[{ name: t("short.fitOut"), eur: totalFit }]} margin={{ top: 20, right: 5, left: 5, bottom: 5 }}>
                           <XAxis dataKey="name" hide />
                           <YAxis hide />
                           <Tooltip formatter={(v) => FCUR0(v)} />
@@ -557,8 +951,8 @@ return (
                     </div>
                     <div className="h-48 col-span-2">
                       <div className={`flex justify-end gap-2 mb-1 ${isExporting ? "hidden" : ""}`}>
-                        <button onClick={() => setViewMode("bars")} className={`text-[10px] px-1 border rounded ${viewMode === 'bars' ? 'bg-gray-200' : ''}`}>Bars</button>
-                        <button onClick={() => setViewMode("waterfall")} className={`text-[10px] px-1 border rounded ${viewMode === 'waterfall' ? 'bg-gray-200' : ''}`}>Waterfall</button>
+                        <button onClick={() => setViewMode("bars")} className={`text-[10px] px-1 border rounded ${viewMode === 'bars' ? 'bg-gray-200' : ''}`}>{t("chart.bars")}</button>
+                        <button onClick={() => setViewMode("waterfall")} className={`text-[10px] px-1 border rounded ${viewMode === 'waterfall' ? 'bg-gray-200' : ''}`}>{t("chart.waterfall")}</button>
                       </div>
                       {viewMode === "bars" ? <BarsChart data={nerBars} isExporting={isExporting} /> : <WaterfallChart data={wfData} isExporting={isExporting} />}
                     </div>
@@ -566,62 +960,183 @@ return (
 
                   <div className="mt-4 border-t-2 border-dashed pt-3">
                     <div className="rounded-2xl ring-2 ring-sky-500 ring-offset-2 bg-sky-50 px-5 py-3 flex items-center justify-between gap-3 shadow-md">
-                      <div className="text-sky-700 font-extrabold whitespace-nowrap">🏁 Final NER</div>
-                      <div className="text-2xl font-extrabold text-gray-900 whitespace-nowrap">{F(ner4, 2)} €/sqm</div>
-                      <div className="ml-2 text-sm whitespace-nowrap"><Delta base={rent} val={ner4} /></div>
+                      <div className="text-sky-700 font-extrabold whitespace-nowrap">🏁 {t("ner.final")}</div>
+                      <div className="text-2xl font-extrabold text-gray-900 whitespace-nowrap">{FRENT(ner4)} {rentUnit()}</div>
+                      <div className="ml-2 text-sm whitespace-nowrap"><Delta base={avgRent} val={ner4} /></div>
                     </div>
+                    <div className="mt-3 rounded-xl ring-1 ring-indigo-300 bg-indigo-50 px-5 py-2 flex items-center justify-between gap-3">
+                      <div className="text-indigo-800 font-bold whitespace-nowrap">{t("ner.discounted")} <span className="text-xs font-medium">{t("results.discountedAt", { rate: F(discountRate, 2) })}</span></div>
+                      <div className="text-lg font-extrabold text-gray-900 whitespace-nowrap">{FRENT(nerPV)} {rentUnit()}</div>
+                      <div className="ml-2 text-sm whitespace-nowrap"><Delta base={avgRent} val={nerPV} /></div>
+                    </div>
+                    <div className="mt-3 grid grid-cols-2 gap-3">
+                      <div className="rounded-xl ring-1 ring-amber-300 bg-amber-50 px-4 py-2">
+                        <div className="text-amber-800 font-bold text-sm">{t("results.gross")} <span className="text-xs font-medium">{t("results.tenantTag")}</span></div>
+                        <div className="text-lg font-extrabold text-gray-900">{FRENT(grossEffectiveRent)} {rentUnit()}</div>
+                        <div className="text-xs text-gray-600">{t("results.inclServiceCharge", { amount: `${FRENT(tenantServiceCharge)} ${CUR()}` })}</div>
+                      </div>
+                      <div className="rounded-xl ring-1 ring-emerald-300 bg-emerald-50 px-4 py-2">
+                        <div className="text-emerald-800 font-bold text-sm">{t("results.net")} <span className="text-xs font-medium">{t("results.landlordTag")}</span></div>
+                        <div className="text-lg font-extrabold text-gray-900">{FRENT(netIncomeRent)} {rentUnit()}</div>
+                        <div className="text-xs text-gray-600">{t("results.afterNonRecoverables", { amount: `${FRENT(landlordServiceCharge)} ${CUR()}` })}</div>
+                      </div>
+                    </div>
+                    {breakHorizons.length > 0 && (
+                      <div className="mt-3 rounded-xl border px-4 py-2 bg-white">
+                        <div className="text-sm font-bold text-gray-700 mb-1">{t("results.breakVsExpiry")}</div>
+                        <HorizonComparison horizons={horizons} />
+                      </div>
+                    )}
                   </div>
                 </div>
 
                 {/* BUTTONS - AUßERHALB DER PNG REFS */}
                 <div className="flex flex-col gap-2 mt-6 pt-4 border-t">
                   <div className="flex gap-2">
-                    <button onClick={exportResultsPNG} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">Export Results PNG</button>
-                    <button onClick={exportFullPNG} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">Export Full PNG</button>
+                    <button onClick={exportResultsPNG} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.exportResultsPng")}</button>
+                    <button onClick={exportFullPNG} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.exportFullPng")}</button>
+                    <button onClick={() => setShowReport(true)} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.pdfReport")}</button>
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={exportProjectHTML} className="flex-1 px-3 py-2 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold transition-colors shadow-sm">{t("actions.saveProjectFile")}</button>
+                    <button onClick={copyShareLink} className="flex-1 px-3 py-2 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold transition-colors shadow-sm">{shareStatus === "copied" ? t("actions.linkCopied") : t("actions.copyShareLink")}</button>
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={exportProjectJSON} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.saveFile", { ext: PROJECT_FILE_EXT })}</button>
+                    <button onClick={() => projectFileRef.current?.click()} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.openFile", { ext: PROJECT_FILE_EXT })}</button>
+                    <input ref={projectFileRef} type="file" accept=".json,application/json" onChange={openProjectFile} className="hidden" />
                   </div>
-                  <button onClick={exportProjectHTML} className="w-full px-3 py-2 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold transition-colors shadow-sm">Save Project File</button>
+                  <ProtectExportFields value={protect} onChange={setProtect} />
+                  <div className="flex gap-2">
+                    <button onClick={exportExcel} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.exportExcel")}</button>
+                    <button onClick={() => dealFileRef.current?.click()} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("actions.importDeals")}</button>
+                    <input ref={dealFileRef} type="file" accept=".csv,.txt,.xlsx,.xls" onChange={openDealFile} className="hidden" />
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={() => setShowLibrary(true)} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("library.title")}</button>
+                    <button onClick={() => setShowRentRoll(true)} className="flex-1 px-3 py-2 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold transition-colors">{t("rentRoll.title")}</button>
+                  </div>
+                  <ProjectSettings value={settings} onChange={setSettings} />
                 </div>
               </div>
+
+              <div className="mt-4">
+                <LandlordPanel metrics={landlord} exitYield={f.exitYield} onExitYieldChange={S("exitYield")} />
+              </div>
             </div>
           </div>
         </div>
 
       {/* TABELLE - AUßERHALB DER PNG REFS */}
-        <div className="mt-8 border rounded-lg overflow-x-auto bg-white">
+        <div className="mt-8 flex gap-1">
+          {tabs().map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setTableTab(tab.id)}
+              className={`px-4 py-2 rounded-t-md border border-b-0 text-sm font-bold ${tableTab === tab.id ? "bg-white text-gray-900" : "bg-gray-100 text-gray-500 hover:bg-gray-200"}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {tableTab === "cashflow" ? (
+          <div className="border rounded-b-lg rounded-tr-lg overflow-x-auto bg-white">
+            <CashFlowTable rows={cashFlows} tenant={f.tenant} />
+          </div>
+        ) : tableTab === "charts" ? (
+          <div className="border rounded-b-lg rounded-tr-lg bg-white">
+            <ScenarioCharts current={result} scenarios={scenarioView} isExporting={isExporting} />
+          </div>
+        ) : tableTab === "sensitivity" ? (
+          <div className="border rounded-b-lg rounded-tr-lg bg-white">
+            <SensitivityPanel form={f} isExporting={isExporting} />
+          </div>
+        ) : tableTab === "comps" ? (
+          <div className="border rounded-b-lg rounded-tr-lg bg-white">
+            <Comparables form={f} result={result} building={rentRoll.building} isExporting={isExporting} />
+          </div>
+        ) : tableTab === "log" ? (
+          <div className="border rounded-b-lg rounded-tr-lg bg-white">
+            <ChangeLog entries={log} onClear={() => setLog([])} />
+          </div>
+        ) : tableTab === "goalseek" ? (
+          <div className="border rounded-b-lg rounded-tr-lg bg-white">
+            <GoalSeekPanel
+              form={f}
+              scenarios={scenarios}
+              onApplyCurrent={(k, v) => S(k)(v)}
+              onApplyScenario={setScenarioVal}
+            />
+          </div>
+        ) : (
+        <div className="border rounded-b-lg rounded-tr-lg overflow-x-auto bg-white">
+          <div className="flex justify-between items-center p-2 border-b bg-gray-50">
+            <span className="text-xs text-gray-500">{t("scenarios.hint")}</span>
+            <button
+              onClick={() => setScenarios((arr) => [...arr, createScenario(arr)])}
+              className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold"
+            >
+              {t("scenarios.add")}
+            </button>
+          </div>
           <table className="w-full text-sm border-collapse min-w-[600px]">
             <thead>
               <tr className="bg-gray-100 text-gray-700">
-                <th className="border p-2 text-left w-1/3 text-xs uppercase tracking-wider">Parameters</th>
-                <th className="border p-2 text-center bg-gray-200/50">Current</th>
-                
-                {/* Scenario 2 Header */}
-                <th className="border p-2 text-center text-black" style={{ backgroundColor: '#DAE9F8' }}>
-                  Scenario 2
-                </th>
+                <th className="border p-2 text-left w-1/3 text-xs uppercase tracking-wider">{t("scenarios.parameters")}</th>
+                <th className="border p-2 text-center bg-gray-200/50">{t("common.current")}</th>
                 
-                {/* Scenario 3 Header */}
-                <th className="border p-2 text-center text-white" style={{ backgroundColor: '#4D93D9' }}>
-                  Scenario 3
-                </th>
-                
-                {/* Scenario 4 Header */}
-                <th className="border p-2 text-center text-white" style={{ backgroundColor: '#215C98' }}>
-                  Scenario 4
-                </th>
+                {scenarios.map((sc, i) => (
+                  <ScenarioHeader
+                    key={sc.id}
+                    scenario={sc}
+                    index={i}
+                    canDelete={scenarios.length > 1}
+                    onRename={(name) => updateScenario(sc.id, { name })}
+                    onColor={(color) => updateScenario(sc.id, { color })}
+                    onDuplicate={() => setScenarios((arr) => duplicateScenario(arr, sc.id))}
+                    onDelete={() => setScenarios((arr) => arr.filter((x) => x.id !== sc.id))}
+                    onMove={(from, to) => setScenarios((arr) => moveScenario(arr, from, to))}
+                  />
+                ))}
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
               <tr>
-                <td className="border p-2 font-medium bg-gray-50">Headline Rent (€/sqm)</td>
-                <td className="border p-1">  <ScenarioField    value={f.rent}    onChange={(v) => S("rent")(v)}  /></td>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.nla")} ({AREA()})</td>
+                <td className="border p-2 text-right">{FAREA(P(f.nla))}</td>
+                {scenarios.map((sc) => (
+                  <td key={sc.id} className="border p-1">
+                    <ScenarioField value={resolveScenario(sc, "nla")} onChange={(v) => setScenarioVal(sc.id, "nla", v)} unit="area" />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.addon")}</td>
+                <td className="border p-2 text-right">{F(P(f.addon), 2)}</td>
+                {scenarios.map((sc) => (
+                  <td key={sc.id} className="border p-1">
+                    <ScenarioField value={resolveScenario(sc, "addon")} onChange={(v) => setScenarioVal(sc.id, "addon", v)} />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.gla")} ({AREA()})</td>
+                <td className="border p-2 text-right">{FAREA(gla)}</td>
+                {scenarioView.map((sv) => (
+                  <td key={sv.id} className="border p-2 text-right bg-gray-50">{FAREA(sv.gla)}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.headlineRent")} ({rentUnit()})</td>
+                <td className="border p-1">  <ScenarioField    value={f.rent}    onChange={(v) => S("rent")(v)}  unit="rent" /></td>
                 {scenarios.map((sc) => (
                   <td key={sc.id} className="border p-1">
-                    <ScenarioField value={resolveScenario(sc, "rent")} onChange={(v) => setScenarioVal(sc.id, "rent", v)} />
+                    <ScenarioField value={resolveScenario(sc, "rent")} onChange={(v) => setScenarioVal(sc.id, "rent", v)} unit="rent" />
                   </td>
                 ))}
               </tr>
               <tr>
-                <td className="border p-2 font-medium bg-gray-50">Lease Term (months)</td>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.leaseTerm")}</td>
                 <td className="border p-2 text-right">{F(P(f.duration), 2)}</td>
                 {scenarios.map((sc) => (
                   <td key={sc.id} className="border p-1">
@@ -630,45 +1145,101 @@ return (
                 ))}
               </tr>
               <tr>
-                <td className="border p-2 font-medium bg-gray-50">Rent-Free (months)</td>
-                <td className="border p-2 text-right">  {F(P(f.rf), 2)}</td>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.indexMode")}</td>
+                <td className="border p-1">
+                  <IndexModeSelect value={f.indexMode} onChange={S("indexMode")} />
+                </td>
                 {scenarios.map((sc) => (
                   <td key={sc.id} className="border p-1">
-                    <ScenarioField value={resolveScenario(sc, "rf")} onChange={(v) => setScenarioVal(sc.id, "rf", v)} />
+                    <IndexModeSelect value={resolveScenario(sc, "indexMode")} onChange={(v) => setScenarioVal(sc.id, "indexMode", v)} />
                   </td>
                 ))}
               </tr>
+              {indexRows()
+                .filter((row) => f.indexMode === row.mode || scenarios.some((sc) => resolveScenario(sc, "indexMode") === row.mode))
+                .map((row) => (
+                  <tr key={row.key}>
+                    <td className="border p-2 font-medium bg-gray-50">{row.label}</td>
+                    <td className="border p-2 text-right">{F(P(f[row.key]), 2)}</td>
+                    {scenarios.map((sc) => (
+                      <td key={sc.id} className="border p-1">
+                        <ScenarioField
+                          value={resolveScenario(sc, row.key)}
+                          onChange={(v) => setScenarioVal(sc.id, row.key, v)}
+                          readOnly={resolveScenario(sc, "indexMode") !== row.mode}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
               <tr>
-                <td className="border p-2 font-medium bg-gray-50">
-                  Fit-Out ({f.fitMode === "perNLA" ? "€/NLA" : f.fitMode === "perGLA" ? "€/GLA" : "€ total"})
-                </td>
-                <td className="border p-2 text-right">
-                  {F(
-                  f.fitMode === "perNLA"
-                    ? perNLA
-                    : f.fitMode === "perGLA"
-                    ? perGLA
-                    : totalFit,
-                  2
-                )}
-                </td>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.rentFree")}</td>
+                <td className="border p-2 text-right">  {F(P(rentFreeMonths(f)), 2)}</td>
                 {scenarios.map((sc) => {
-                  let key;
-                  if (f.fitMode === "perNLA") key = "fitPerNLA";
-                  else if (f.fitMode === "perGLA") key = "fitPerGLA";
-                  else key = "fitTot";
+                  const form = resolveScenarioForm(f, sc.overrides);
                   return (
                     <td key={sc.id} className="border p-1">
                       <ScenarioField
-                        value={resolveScenario(sc, key)}
-                        onChange={(v) => setScenarioVal(sc.id, key, v)}
+                        value={rentFreeMonths(form)}
+                        onChange={(v) => setScenarioVal(sc.id, "rf", v)}
+                        readOnly={form.rfMode === "custom"}
                       />
                     </td>
                   );
                 })}
               </tr>
               <tr>
-                <td className="border p-2 font-medium bg-gray-50">Agent Fees (months)</td>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.rentFreePlacement")}</td>
+                <td className="border p-1">
+                  <RentFreePlacementCell form={f} onChange={(k, v) => S(k)(v)} />
+                </td>
+                {scenarios.map((sc) => (
+                  <td key={sc.id} className="border p-1">
+                    <RentFreePlacementCell
+                      form={resolveScenarioForm(f, sc.overrides)}
+                      onChange={(k, v) => setScenarioVal(sc.id, k, v)}
+                    />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.rentReduction")}</td>
+                <td className="border p-2 text-right">{F(P(f.rfShare), 2)}</td>
+                {scenarios.map((sc) => (
+                  <td key={sc.id} className="border p-1">
+                    <ScenarioField value={resolveScenario(sc, "rfShare")} onChange={(v) => setScenarioVal(sc.id, "rfShare", v)} />
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.fitOutInput")}</td>
+                <td className="border p-1">
+                  <FitModeSelect value={f.fitMode} onChange={S("fitMode")} />
+                </td>
+                {scenarios.map((sc) => (
+                  <td key={sc.id} className="border p-1">
+                    <FitModeSelect value={resolveScenario(sc, "fitMode")} onChange={(v) => setScenarioVal(sc.id, "fitMode", v)} />
+                  </td>
+                ))}
+              </tr>
+              {fitRows().map((row) => (
+                <tr key={row.key}>
+                  <td className="border p-2 font-medium bg-gray-50">{row.label}</td>
+                  <td className="border p-2 text-right">{F(toDisplay(row.unit, P(f[row.key])), 2)}</td>
+                  {scenarios.map((sc) => (
+                    <td key={sc.id} className="border p-1">
+                      <ScenarioField
+                        value={resolveScenario(sc, row.key)}
+                        onChange={(v) => setScenarioVal(sc.id, row.key, v)}
+                        unit={row.unit}
+                        readOnly={resolveScenario(sc, "fitMode") !== row.mode}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("field.agentFees")}</td>
                 <td className="border p-2 text-right">{F(P(f.agent), 2)}</td>
                 {scenarios.map((sc) => (
                   <td key={sc.id} className="border p-1">
@@ -677,7 +1248,7 @@ return (
                 ))}
               </tr>
               <tr>
-                <td className="border p-2 font-medium bg-gray-50 italic">  <span className="text-red-600">Lumpsum Costs (-)</span>{" "}  /{" "}  <span className="text-green-600">Compensation (+)</span></td>
+                <td className="border p-2 font-medium bg-gray-50 italic"><LumpsumLabel /></td>
                 <td className={`border p-2 text-right font-medium ${  P(f.unforeseen) >= 0 ? "text-green-600" : "text-red-600"}`}>  {FCUR(P(f.unforeseen))}</td>
                 {scenarios.map((sc) => (
                   <td  key={sc.id}  className={`border p-1 ${    P(resolveScenario(sc, "unforeseen")) >= 0      ? "text-green-600 font-medium"      : "text-red-600 font-medium"  }`}>
@@ -688,26 +1259,170 @@ return (
                   </td>
                 ))}
               </tr>
+              {extraRows().map((row) => (
+                <tr key={row.key}>
+                  <td className="border p-2 font-medium bg-gray-50">{row.label}</td>
+                  <td className="border p-2 text-right">
+                    {row.empty && String(f[row.key] ?? "").trim() === "" ? row.empty : F(toDisplay(row.unit, P(f[row.key])), 2)}
+                  </td>
+                  {scenarios.map((sc) => (
+                    <td key={sc.id} className="border p-1">
+                      <ScenarioField
+                        value={resolveScenario(sc, row.key)}
+                        onChange={(v) => setScenarioVal(sc.id, row.key, v)}
+                        unit={row.unit}
+                        allowEmpty={Boolean(row.empty)}
+                        placeholder={row.empty}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
               <tr className="font-bold text-lg">
-                <td className="border p-3 bg-blue-600 text-white">FINAL NER (€/sqm)</td>
-                <td className="border p-3 text-right bg-blue-600 text-white">{F(ner4, 2)} €</td>
+                <td className="border p-3 bg-blue-600 text-white">{t("scenarios.finalNer", { unit: rentUnit() })}</td>
+                <td className="border p-3 text-right bg-blue-600 text-white">{FRENT(ner4)} {CUR()}</td>
                 {scenarioView.map((sv) => (
-                  <td key={sv.id} className="border p-3 text-right" style={scenarioResultCellStyle(sv, scenarioView, ner4)}>{F(sv.ner, 2)} €</td>
+                  <td key={sv.id} className="border p-3 text-right" style={scenarioResultCellStyle(sv, scenarioView, ner4)}>{FRENT(sv.ner)} {CUR()}</td>
                 ))}
               </tr>
               <tr className="bg-white text-sm">
-                <td className="border p-2 font-semibold bg-gray-50">Deviation vs Current</td>
-                <td className="border p-2 text-right text-gray-500 font-medium">Base case</td>
+                <td className="border p-2 font-semibold bg-gray-50">{t("scenarios.deviation")}</td>
+                <td className="border p-2 text-right text-gray-500 font-medium">{t("scenarios.baseCase")}</td>
                 {scenarioView.map((sv) => (
                   <td key={sv.id} className="border p-2 text-right">
                     <ScenarioDelta base={ner4} val={sv.ner} />
                   </td>
                 ))}
               </tr>
+              <tr>
+                <td className="border p-0 bg-gray-50" colSpan={2 + scenarios.length}>
+                  <button
+                    onClick={() => setShowBreakdown((v) => !v)}
+                    className="w-full text-left p-2 text-xs font-bold uppercase tracking-wider text-gray-700 hover:bg-gray-100"
+                  >
+                    {showBreakdown ? "▾" : "▸"} {t("scenarios.breakdown")}
+                  </button>
+                </td>
+              </tr>
+              {showBreakdown &&
+                breakdownRows().map((row) => (
+                  <tr key={row.key} className="text-sm">
+                    <td className="border p-2 pl-6 bg-gray-50 text-gray-700">{row.label}</td>
+                    <td className="border p-2 text-right">{breakdownCell(row, result)}</td>
+                    {scenarioView.map((sv) => (
+                      <td
+                        key={sv.id}
+                        className={`border p-2 text-right ${Math.abs(sv.result[row.key] - result[row.key]) > 0.005 ? "font-semibold text-blue-700" : ""}`}
+                      >
+                        {breakdownCell(row, sv.result)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              <tr className="font-semibold">
+                <td className="border p-2 bg-indigo-50 text-indigo-900">{t("ner.discounted")} ({rentUnit()})</td>
+                <td className="border p-2 text-right bg-indigo-50 text-indigo-900">{FRENT(nerPV)} {CUR()}</td>
+                {scenarioView.map((sv) => (
+                  <td key={sv.id} className="border p-2 text-right">{FRENT(sv.nerPV)} {CUR()}</td>
+                ))}
+              </tr>
+              {breakHorizons.map((h) => (
+                <tr key={h.key} className="font-semibold">
+                  <td className="border p-2 bg-sky-50 text-sky-900">{t("scenarios.finalTo", { horizon: h.label, unit: rentUnit() })}</td>
+                  <td className="border p-2 text-right bg-sky-50 text-sky-900">{FRENT(h.result.ner4)} {CUR()}</td>
+                  {scenarioView.map((sv) => {
+                    const sh = sv.horizons.find((x) => x.key === h.key);
+                    return (
+                      <td key={sv.id} className="border p-2 text-right">
+                        {sh ? `${FRENT(sh.result.ner4)} ${CUR()}` : "–"}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr className="bg-gray-100 text-gray-700">
+                <td className="border p-2 text-xs uppercase tracking-wider font-bold" colSpan={2 + scenarios.length}>{t("landlord.title")}</td>
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("scenarios.irr")}</td>
+                <td className="border p-2 text-right">{landlord.irr === null ? t("common.na") : F(landlord.irr, 2)}</td>
+                {scenarioView.map((sv) => (
+                  <td key={sv.id} className="border p-2 text-right">{sv.landlord.irr === null ? t("common.na") : F(sv.landlord.irr, 2)}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("scenarios.payback")}</td>
+                <td className="border p-2 text-right">{landlord.payback ?? "–"}</td>
+                {scenarioView.map((sv) => (
+                  <td key={sv.id} className="border p-2 text-right">{sv.landlord.payback ?? "–"}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className="border p-2 font-medium bg-gray-50">{t("landlord.valueImpact")}</td>
+                <td className={`border p-2 text-right ${landlord.valueImpact < 0 ? "text-red-600" : "text-green-600"}`}>{FCUR0(landlord.valueImpact)}</td>
+                {scenarioView.map((sv) => (
+                  <td key={sv.id} className={`border p-2 text-right ${sv.landlord.valueImpact < 0 ? "text-red-600" : "text-green-600"}`}>{FCUR0(sv.landlord.valueImpact)}</td>
+                ))}
+              </tr>
             </tbody>
           </table>
         </div>
+        )}
       </div>
+
+      {showReport && <ReportDialog onGenerate={exportPdfReport} onClose={() => setShowReport(false)} />}
+
+      {dealImport && (
+        <ImportDealsDialog
+          fileName={dealImport.fileName}
+          parsed={dealImport.parsed}
+          onImport={importDeals}
+          onClose={() => setDealImport(null)}
+        />
+      )}
+
+      {passPrompt && (
+        <PassphrasePrompt
+          source={passPrompt.source}
+          error={passPrompt.error}
+          onSubmit={(value) => {
+            passPrompt.resolve(value);
+            setPassPrompt(null);
+          }}
+          onCancel={() => {
+            passPrompt.resolve(null);
+            setPassPrompt(null);
+          }}
+        />
+      )}
+
+      {showLibrary && (
+        <ProjectLibrary
+          currentId={project.id}
+          onOpen={(record) => {
+            openProject(record);
+            setShowLibrary(false);
+          }}
+          onNew={() => {
+            newProject();
+            setShowLibrary(false);
+          }}
+          onRenamed={(id, name) => id === project.id && setProject((p) => ({ ...p, name }))}
+          onDeleted={(id) => id === project.id && newProject()}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {showRentRoll && (
+        <RentRoll
+          current={{ ...project, version: PROJECT_VERSION, settings, rentRoll, f, scenarios }}
+          onOpen={(record) => {
+            if (record.id !== project.id) openProject(record);
+            setShowRentRoll(false);
+          }}
+          onClose={() => setShowRentRoll(false)}
+        />
+      )}
     </div>
   );
 }
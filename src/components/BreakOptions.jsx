@@ -0,0 +1,87 @@
+import { NumericField } from "./NumericFields";
+import { F, FCUR0, P } from "../utils/format";
+import { FRENT, rentUnit } from "../utils/units";
+import { t } from "../utils/i18n";
+
+export function BreakOptionsFields({ form, set }) {
+  const breaks = Array.isArray(form.breaks) ? form.breaks : [];
+
+  const setBreak = (i, key) => (v) =>
+    set("breaks")(breaks.map((b, j) => (j === i ? { ...b, [key]: v } : b)));
+
+  const addBreak = () => {
+    const last = breaks[breaks.length - 1];
+    const month = last ? Math.round(P(last.month)) + 12 : Math.min(36, Math.max(1, Math.round(P(form.duration) / 2)));
+    set("breaks")([...breaks, { month: String(month), penalty: "0", clawback: false }]);
+  };
+
+  return (
+    <div className="border rounded-md p-3 bg-gray-50/50">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-700 font-bold text-sm">{t("breaks.title")}</span>
+        <button onClick={addBreak} className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold">
+          {t("breaks.add")}
+        </button>
+      </div>
+      {breaks.length === 0 && <p className="text-xs text-gray-500">{t("breaks.none")}</p>}
+      <div className="space-y-2">
+        {breaks.map((b, i) => (
+          <div key={i} className="grid grid-cols-[1fr_1fr_auto_auto] gap-2 items-end">
+            <NumericField label={t("breaks.month")} value={b.month} onChange={setBreak(i, "month")} format="int" min={1} />
+            <NumericField label={t("breaks.penalty")} value={b.penalty} onChange={setBreak(i, "penalty")} step={0.5} />
+            <label className="mb-2 inline-flex items-center gap-1 text-xs cursor-pointer" title={t("breaks.clawbackHint")}>
+              <input type="checkbox" checked={Boolean(b.clawback)} onChange={(e) => setBreak(i, "clawback")(e.target.checked)} />
+              <span>{t("breaks.clawback")}</span>
+            </label>
+            <button
+              onClick={() => set("breaks")(breaks.filter((_, j) => j !== i))}
+              className="mb-1 px-2 py-2 rounded border text-xs text-red-600 hover:bg-red-50"
+              title={t("breaks.remove")}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const rows = () => [
+  { key: "ner1", label: t("ner.ner1") },
+  { key: "ner2", label: t("ner.ner2") },
+  { key: "ner3", label: t("ner.ner3") },
+  { key: "ner4", label: t("ner.final"), bold: true },
+  { key: "nerPV", label: t("ner.discounted") },
+];
+
+export function HorizonComparison({ horizons }) {
+  return (
+    <table className="w-full text-sm border-collapse tabular-nums">
+      <thead>
+        <tr className="text-gray-600">
+          <th className="text-left font-semibold py-1">{rentUnit()}</th>
+          {horizons.map((h) => (
+            <th key={h.key} className="text-right font-semibold py-1">{h.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows().map((r) => (
+          <tr key={r.key} className={`border-t ${r.bold ? "font-bold" : ""}`}>
+            <td className="py-1">{r.label}</td>
+            {horizons.map((h) => (
+              <td key={h.key} className="py-1 text-right">{FRENT(h.result[r.key])}</td>
+            ))}
+          </tr>
+        ))}
+        <tr className="border-t text-gray-600 italic">
+          <td className="py-1">{t("breaks.payment")}</td>
+          {horizons.map((h) => (
+            <td key={h.key} className="py-1 text-right text-green-600">{FCUR0(h.result.totalBreakPayment)}</td>
+          ))}
+        </tr>
+      </tbody>
+    </table>
+  );
+}
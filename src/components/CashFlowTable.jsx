@@ -0,0 +1,69 @@
+import { cashFlowColumns, cashFlowsToCSV, sumCashFlows } from "../utils/cashflow";
+import { CUR, F } from "../utils/format";
+import { toDisplay } from "../utils/units";
+import { t } from "../utils/i18n";
+
+const SUMMED = ["headline", "rentFree", "fitOut", "agentFee", "lumpSum", "net"];
+
+const cellClass = (key, v) => {
+  if (key === "month" || key === "rentPerSqm") return "text-gray-700";
+  if (key === "cumHeadline" || key === "headline") return "text-gray-900";
+  return v < 0 ? "text-red-600" : v > 0 ? "text-green-700" : "text-gray-400";
+};
+
+export function CashFlowTable({ rows, tenant }) {
+  const columns = cashFlowColumns();
+  const exportCSV = () => {
+    const blob = new Blob([cashFlowsToCSV(rows)], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = tenant?.trim() ? `${tenant.trim()}-cashflow.csv` : "ner-cashflow.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center p-2 border-b bg-gray-50">
+        <span className="text-xs text-gray-500">
+          {t("cash.note", { currency: CUR() })}
+        </span>
+        <button onClick={exportCSV} className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold">
+          {t("cash.export")}
+        </button>
+      </div>
+      <div className="max-h-[480px] overflow-y-auto">
+        <table className="w-full text-xs border-collapse tabular-nums">
+          <thead className="sticky top-0 bg-gray-100 text-gray-700">
+            <tr>
+              {columns.map((c) => (
+                <th key={c.key} className="border p-2 text-right whitespace-nowrap">{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.month} className="odd:bg-white even:bg-gray-50">
+                {columns.map((c) => (
+                  <td key={c.key} className={`border px-2 py-1 text-right ${cellClass(c.key, r[c.key])}`}>
+                    {c.key === "month" ? r.month : F(toDisplay(c.unit, r[c.key]), 2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="sticky bottom-0 bg-gray-100 font-bold">
+            <tr>
+              {columns.map((c) => (
+                <td key={c.key} className="border px-2 py-1 text-right">
+                  {c.key === "month" ? t("common.total") : SUMMED.includes(c.key) ? F(sumCashFlows(rows, c.key), 2) : ""}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
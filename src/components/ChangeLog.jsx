@@ -0,0 +1,63 @@
+import { displayLocale } from "../utils/format";
+import { formatLogValue, logFieldLabel } from "../utils/history";
+import { t } from "../utils/i18n";
+
+const time = (iso) =>
+  new Date(iso).toLocaleString(displayLocale(), { dateStyle: "short", timeStyle: "medium" });
+
+export function ChangeLog({ entries, onClear }) {
+  const clear = () => {
+    if (window.confirm(t("log.confirmClear"))) onClear();
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-3 p-2 border-b bg-gray-50">
+        <p className="text-xs text-gray-500">{t("log.note")}</p>
+        <button
+          onClick={clear}
+          disabled={!entries.length}
+          className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold disabled:opacity-40"
+        >
+          {t("log.clear")}
+        </button>
+      </div>
+      {entries.length ? (
+        <div className="max-h-[480px] overflow-y-auto">
+          <table className="w-full text-xs border-collapse tabular-nums">
+            <thead className="sticky top-0 bg-gray-100 text-gray-700">
+              <tr>
+                <th className="text-left p-2">{t("log.time")}</th>
+                <th className="text-left p-2">{t("log.case")}</th>
+                <th className="text-left p-2">{t("log.field")}</th>
+                <th className="text-right p-2">{t("log.from")}</th>
+                <th className="p-2" />
+                <th className="text-left p-2">{t("log.to")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries
+                .map((e, i) => ({ e, i }))
+                .reverse()
+                .map(({ e, i }) => (
+                  <tr key={i} className="border-t">
+                    <td className="p-2 whitespace-nowrap text-gray-500">
+                      {time(e.at)}
+                      {e.action && <span className="ml-2 italic">{t(`log.action.${e.action}`)}</span>}
+                    </td>
+                    <td className="p-2">{e.scenario ?? t("common.current")}</td>
+                    <td className="p-2 font-bold">{logFieldLabel(e)}</td>
+                    <td className="p-2 text-right text-gray-500">{formatLogValue(e, e.from)}</td>
+                    <td className="p-2 text-center text-gray-400">→</td>
+                    <td className="p-2">{formatLogValue(e, e.to)}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="p-4 text-sm text-gray-500">{t("log.emptyLog")}</p>
+      )}
+    </div>
+  );
+}
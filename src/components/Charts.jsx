@@ -0,0 +1,120 @@
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  LabelList,
+  ReferenceLine,
+  Cell,
+} from "recharts";
+import { F, FCUR0, safe } from "../utils/format";
+import { rentUnit } from "../utils/units";
+import { t } from "../utils/i18n";
+
+/* ---- CONSTANTS ---- */
+const BASE_H = 20;
+const BASE_B = 10;
+const WF_TOP_LABEL_Y = 62;
+
+/* ---------- CHART LABELS ---------- */
+const PercentLabel = ({ x, y, width, value }) => {
+  if (!Number.isFinite(value)) return null;
+  const cx = x + width / 2;
+  const fill = value < 0 ? "#dc2626" : "#16a34a";
+  const sign = value > 0 ? "+" : "";
+  return (
+    <text x={cx} y={y - 18} textAnchor="middle" fill={fill} fontSize={12} fontWeight="700">
+      {sign}{F(value, 2)}%
+    </text>
+  );
+};
+
+const BarNumberLabel = ({ x, y, width, height, value }) => {
+  if (!Number.isFinite(value)) return null;
+  const cx = x + width / 2, cy = y + height / 2;
+  return (
+    <text x={cx} y={cy} textAnchor="middle" dominantBaseline="middle" fill="#ffffff" fontSize={12} fontWeight="800">
+      {F(value, 2)}
+    </text>
+  );
+};
+
+export const VerticalMoneyLabel0 = ({ x, y, width, height, value }) => {
+  if (!Number.isFinite(value)) return null;
+  const cx = x + width / 2, cy = y + height / 2;
+  return (
+    <text x={cx} y={cy} transform={`rotate(-90, ${cx}, ${cy})`} textAnchor="middle" dominantBaseline="middle" fill="#000000" fontSize={16} fontWeight="800">
+      {FCUR0(value)}
+    </text>
+  );
+};
+
+const makeWFLabelTop = (data, fixedY) => (props) => {
+  const { x = 0, width = 0, index, value, payload } = props || {};
+  const d = Array.isArray(data) && Number.isInteger(index) ? data[index] : {};
+  const cx = x + width / 2;
+  const raw = Number.isFinite(d?.delta) ? d.delta : Number.isFinite(payload?.delta) ? payload.delta : Number.isFinite(value) ? value : 0;
+  const v = Math.round(raw * 100) / 100;
+  const abs = Math.abs(v);
+  if (d?.isTotal) {
+    const pos = v >= 0;
+    return (
+      <text x={cx} y={fixedY} textAnchor="middle" fill={pos ? "#16a34a" : "#dc2626"} fontSize={12} fontWeight="800">
+        {pos ? "" : "−"}{F(Math.abs(v), 2)}
+      </text>
+    );
+  }
+  if (abs < 0.005) return null;
+  return (
+    <text x={cx} y={fixedY} textAnchor="middle" fill="#dc2626" fontSize={12} fontWeight="800">
+      −{F(abs, 2)}
+    </text>
+  );
+};
+
+/* ---------- Charts ---------- */
+export function BarsChart({ data, isExporting }) {
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart key="bars" data={data} barCategoryGap={18} barGap={4} margin={{ top: 28, right: 6, bottom: Math.max(0, BASE_B), left: 6 }}>
+        <XAxis dataKey="name" height={Math.max(0, BASE_H)} tick={{ fontSize: 12, fontWeight: 700 }} />
+        <YAxis hide />
+        <Tooltip formatter={(v, n) => (n === "sqm" ? `${F(v, 2)} ${rentUnit()}` : `${F(v, 2)}%`)} />
+        <ReferenceLine y={0} />
+        <Bar dataKey="sqm" barSize={36} isAnimationActive={!isExporting}>
+          <LabelList dataKey="pct" content={<PercentLabel />} />
+          <LabelList dataKey="sqm" content={<BarNumberLabel />} />
+          {data.map((e, i) => (
+            <Cell key={i} fill={e.color} stroke={e.isFinal ? "#dc2626" : undefined} strokeWidth={e.isFinal ? 2 : undefined} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+export function WaterfallChart({ data, isExporting }) {
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart key="waterfall" data={data} barCategoryGap={8} barGap={6} margin={{ top: 56, right: 12, bottom: Math.max(0, BASE_B), left: 12 }}>
+        <XAxis dataKey="name" interval={0} height={Math.max(0, BASE_H)} tick={{ fontSize: 12, fontWeight: 700 }} />
+        <YAxis hide domain={["dataMin - 2", "dataMax + 8"]} />
+        <Tooltip formatter={(val, _n, ctx) => {
+          const p = ctx?.payload || {};
+          if (p.isTotal) return [`${F(safe(p.delta), 2)} ${rentUnit()}`, t("chart.rent")];
+          return [`−${F(Math.abs(safe(p.delta)), 2)} ${rentUnit()}`, "Δ"];
+        }} />
+        <ReferenceLine y={0} />
+        <Bar dataKey="base" stackId="wf" fill="rgba(0,0,0,0)" />
+        <Bar dataKey="delta" stackId="wf" barSize={44} isAnimationActive={!isExporting}>
+          <LabelList dataKey="delta" content={makeWFLabelTop(data, WF_TOP_LABEL_Y)} />
+          {data.map((d, i) => (
+            <Cell key={i} fill={d.isTotal ? "#16a34a" : "#dc2626"} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
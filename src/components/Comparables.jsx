@@ -0,0 +1,343 @@
+import { useEffect, useRef, useState } from "react";
+import { ResponsiveContainer, ScatterChart, Scatter, XAxis, YAxis, ZAxis, Tooltip, Legend } from "recharts";
+import { displayLocale, F } from "../utils/format";
+import {
+  benchmarkCase,
+  checkComp,
+  compColumns,
+  compFromCase,
+  compsToCSV,
+  filterComps,
+  rowsToComps,
+  sortComps,
+  withNER,
+} from "../utils/comparables";
+import { readSheetRows } from "../utils/dealImport";
+import { deleteComp, listComps, saveComps } from "../utils/projectLibrary";
+import { AREA, FAREA, FRENT, perAreaUnit, rentUnit, toDisplay } from "../utils/units";
+import { t } from "../utils/i18n";
+
+const COMP_COLOR = "#4D93D9";
+const CASE_COLOR = "#C00000";
+
+const EMPTY_DRAFT = { date: "", building: "", submarket: "", tenant: "", area: "", rent: "", term: "", rentFree: "", fitOut: "" };
+
+const formatDate = (date) =>
+  date ? new Date(`${date}T00:00:00`).toLocaleDateString(displayLocale(), { dateStyle: "medium" }) : "–";
+
+const distinct = (comps, key) =>
+  [...new Set(comps.map((c) => c[key]).filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+const percentileText = (p) => (p === null ? t("common.na") : t("comps.percentile", { p: F(p, 0) }));
+
+function BenchmarkCard({ title, value, percentile, median, count, hint }) {
+  return (
+    <div className="rounded-xl border px-4 py-2 bg-white">
+      <div className="text-sm font-bold text-gray-700">{title}</div>
+      <div className="text-lg font-extrabold text-gray-900">{percentileText(percentile)}</div>
+      <div className="text-xs text-gray-600">
+        {t("comps.versus", { value, count, median })}
+      </div>
+      <div className="text-xs text-gray-500">{hint}</div>
+    </div>
+  );
+}
+
+function CompsScatter({ comps, current, isExporting }) {
+  const point = (c) => ({ x: toDisplay("rent", c.rent), y: toDisplay("rent", c.ner), name: c.tenant || c.building || formatDate(c.date) });
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ScatterChart margin={{ top: 8, right: 24, bottom: 24, left: 8 }}>
+        <XAxis
+          type="number"
+          dataKey="x"
+          name={t("comps.col.rent")}
+          domain={["auto", "auto"]}
+          tickFormatter={(v) => F(v, 2)}
+          tick={{ fontSize: 11 }}
+          label={{ value: `${t("comps.col.rent")} (${rentUnit()})`, position: "insideBottom", offset: -12, fontSize: 11 }}
+        />
+        <YAxis
+          type="number"
+          dataKey="y"
+          name={t("comps.ner")}
+          domain={["auto", "auto"]}
+          tickFormatter={(v) => F(v, 2)}
+          tick={{ fontSize: 11 }}
+          label={{ value: `${t("comps.ner")} (${rentUnit()})`, angle: -90, position: "insideLeft", fontSize: 11 }}
+        />
+        <ZAxis range={[60, 60]} />
+        <Tooltip
+          content={({ payload }) =>
+            payload?.length ? (
+              <div className="rounded border bg-white px-2 py-1 text-xs shadow">
+                <div className="font-bold">{payload[0].payload.name}</div>
+                <div>{t("comps.col.rent")}: {F(payload[0].payload.x, 2)} {rentUnit()}</div>
+                <div>{t("comps.ner")}: {F(payload[0].payload.y, 2)} {rentUnit()}</div>
+              </div>
+            ) : null
+          }
+        />
+        <Legend verticalAlign="top" height={24} wrapperStyle={{ fontSize: 12 }} />
+        <Scatter name={t("comps.title")} data={comps.map(point)} fill={COMP_COLOR} isAnimationActive={!isExporting} />
+        <Scatter
+          name={t("common.current")}
+          data={[{ x: toDisplay("rent", current.rent), y: toDisplay("rent", current.ner), name: t("common.current") }]}
+          fill={CASE_COLOR}
+          shape="diamond"
+          isAnimationActive={!isExporting}
+        />
+      </ScatterChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Comparable deals kept in this browser, and the current case benchmarked against them.
+export function Comparables({ form, result, building, isExporting }) {
+  const [comps, setComps] = useState([]);
+  const [filters, setFilters] = useState({ building: "", submarket: "", from: "", to: "" });
+  const [sort, setSort] = useState({ key: "date", dir: -1 });
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [messages, setMessages] = useState([]);
+  const fileRef = useRef(null);
+
+  const refresh = async () => {
+    try {
+      setComps((await listComps()).map(withNER));
+    } catch {
+      setMessages([t("library.unavailable")]);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const store = async (list, notes = []) => {
+    try {
+      await saveComps(list);
+      setMessages(notes);
+      await refresh();
+    } catch (e) {
+      setMessages([String(e?.message || e)]);
+    }
+  };
+
+  const addDraft = () => {
+    const res = checkComp(draft);
+    if (res.error) {
+      setMessages([res.error]);
+      return;
+    }
+    store([res.comp]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const XLSX = await import("xlsx");
+      const parsed = rowsToComps(await readSheetRows(XLSX, file));
+      if (!parsed.ok) {
+        setMessages([parsed.message]);
+        return;
+      }
+      const notes = [t("comps.imported", { count: parsed.comps.length, file: file.name }), ...parsed.warnings];
+      if (parsed.ignored.length) notes.push(`${t("import.ignored")} ${parsed.ignored.join(", ")}`);
+      store(parsed.comps, notes);
+    } catch (err) {
+      setMessages([String(err?.message || err)]);
+    }
+  };
+
+  const exportCSV = () => {
+    const blob = new Blob([compsToCSV(visible)], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "ner-comparables.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const remove = async (comp) => {
+    if (!window.confirm(t("comps.confirmDelete", { name: comp.tenant || comp.building || formatDate(comp.date) }))) return;
+    try {
+      await deleteComp(comp.id);
+      await refresh();
+    } catch (e) {
+      setMessages([String(e?.message || e)]);
+    }
+  };
+
+  const visible = sortComps(filterComps(comps, filters), sort.key, sort.dir);
+  const current = compFromCase(form, result, { building });
+  const bench = benchmarkCase(visible, current);
+  const setFilter = (k) => (e) => setFilters((s) => ({ ...s, [k]: e.target.value }));
+  const sortBy = (key) => setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  const inputClass = "mt-1 block w-full border rounded p-1 bg-white";
+  const buttonClass = "px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold";
+  const columns = compColumns();
+  const units = { area: AREA(), rent: rentUnit(), fitOut: perAreaUnit(), ner: rentUnit() };
+  const cell = (key, c) => {
+    if (key === "date") return formatDate(c.date);
+    if (key === "area") return FAREA(c.area, 0);
+    if (key === "rent" || key === "ner") return FRENT(c[key]);
+    if (key === "term") return F(c.term, 0);
+    if (key === "rentFree") return F(c.rentFree, 1);
+    if (key === "fitOut") return F(toDisplay("perArea", c.fitOut), 2);
+    return c[key] || "–";
+  };
+  const isNumeric = (key) => !["date", "building", "submarket", "tenant"].includes(key);
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <span className="text-xs text-gray-500">{t("comps.hint")}</span>
+        <div className="flex gap-2">
+          <button onClick={() => store([current])} className={buttonClass}>
+            {t("comps.addCurrent")}
+          </button>
+          <button onClick={() => fileRef.current?.click()} className={buttonClass}>{t("comps.import")}</button>
+          <input ref={fileRef} type="file" accept=".csv,.txt,.xlsx,.xls" onChange={importFile} className="hidden" />
+          <button onClick={exportCSV} disabled={!visible.length} className={`${buttonClass} disabled:opacity-40`}>
+            {t("comps.export")}
+          </button>
+        </div>
+      </div>
+
+      {messages.length > 0 && (
+        <ul className="rounded border border-amber-300 bg-amber-50 text-amber-900 p-2 text-xs list-disc pl-6">
+          {messages.map((m, i) => (
+            <li key={i}>{m}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+        <label className="block">
+          <span className="text-gray-700">{t("comps.col.building")}</span>
+          <select value={filters.building} onChange={setFilter("building")} className={inputClass}>
+            <option value="">{t("rentRoll.all")}</option>
+            {distinct(comps, "building").map((b) => (
+              <option key={b} value={b}>{b}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("comps.col.submarket")}</span>
+          <select value={filters.submarket} onChange={setFilter("submarket")} className={inputClass}>
+            <option value="">{t("rentRoll.all")}</option>
+            {distinct(comps, "submarket").map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("comps.from")}</span>
+          <input type="date" value={filters.from} onChange={setFilter("from")} className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("comps.to")}</span>
+          <input type="date" value={filters.to} onChange={setFilter("to")} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-3">
+          <BenchmarkCard
+            title={t("comps.nerBenchmark")}
+            value={`${FRENT(bench.ner)} ${rentUnit()}`}
+            percentile={bench.nerPercentile}
+            median={bench.medianNer === null ? t("common.na") : `${FRENT(bench.medianNer)} ${rentUnit()}`}
+            count={bench.count}
+            hint={t("comps.nerHint")}
+          />
+          <BenchmarkCard
+            title={t("comps.rentFreeBenchmark")}
+            value={t("comps.months", { months: F(bench.rentFree, 1) })}
+            percentile={bench.rentFreePercentile}
+            median={bench.medianRentFree === null ? t("common.na") : t("comps.months", { months: F(bench.medianRentFree, 1) })}
+            count={bench.count}
+            hint={t("comps.rentFreeHint")}
+          />
+        </div>
+        <div className="md:col-span-2 h-72 border rounded-lg">
+          <CompsScatter comps={visible} current={current} isExporting={isExporting} />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border rounded-lg">
+        <table className="w-full text-xs border-collapse tabular-nums min-w-[900px]">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              {columns.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => sortBy(c.key)}
+                  className={`p-2 cursor-pointer select-none ${isNumeric(c.key) ? "text-right" : "text-left"}`}
+                  title={t("comps.sortHint")}
+                >
+                  {c.label}
+                  {units[c.key] && <span className="font-normal"> ({units[c.key]})</span>}
+                  {sort.key === c.key && (sort.dir > 0 ? " ▲" : " ▼")}
+                </th>
+              ))}
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={columns.length + 1} className="p-4 text-center text-gray-500">{t("comps.empty")}</td>
+              </tr>
+            )}
+            {visible.map((c) => (
+              <tr key={c.id} className="border-t">
+                {columns.map((col) => (
+                  <td key={col.key} className={`p-2 ${isNumeric(col.key) ? "text-right" : ""} ${col.key === "ner" ? "font-bold" : ""}`}>
+                    {cell(col.key, c)}
+                  </td>
+                ))}
+                <td className="p-2 text-right">
+                  <button onClick={() => remove(c)} className="px-2 py-0.5 border rounded text-red-600 hover:bg-red-50">
+                    {t("common.delete")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t-2 bg-gray-50">
+              {columns.map((col) =>
+                col.computed ? (
+                  <td key={col.key} className="p-2" />
+                ) : (
+                  <td key={col.key} className="p-1">
+                    <input
+                      type={col.key === "date" ? "date" : "text"}
+                      inputMode={isNumeric(col.key) ? "decimal" : undefined}
+                      value={draft[col.key]}
+                      onChange={(e) => setDraft((d) => ({ ...d, [col.key]: e.target.value }))}
+                      onKeyDown={(e) => e.key === "Enter" && addDraft()}
+                      placeholder={col.label}
+                      className={`w-full border rounded p-1 bg-white ${isNumeric(col.key) ? "text-right" : ""}`}
+                    />
+                  </td>
+                )
+              )}
+              <td className="p-1 text-right">
+                <button onClick={addDraft} className="px-2 py-0.5 border rounded bg-white hover:bg-gray-100 font-bold whitespace-nowrap">
+                  {t("comps.add")}
+                </button>
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">{t("comps.note")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { NumericField } from "./NumericFields";
+import { F } from "../utils/format";
+import { FRENT, fromDisplay, rentUnit, toDisplay } from "../utils/units";
+import { goalTargets, goalVariables, solveForTarget } from "../utils/goalSeek";
+import { resolveScenarioForm } from "../utils/calculations";
+import { t } from "../utils/i18n";
+
+export function GoalSeekPanel({ form, scenarios, onApplyCurrent, onApplyScenario }) {
+  const [target, setTarget] = useState("ner4");
+  const [goal, setGoal] = useState("13.50");
+  const [variable, setVariable] = useState("rf");
+  const [caseId, setCaseId] = useState("current");
+  const [solution, setSolution] = useState(null);
+
+  const overridesFor = (id) => (id === "current" ? {} : scenarios.find((sc) => String(sc.id) === id)?.overrides || {});
+  const variables = goalVariables(resolveScenarioForm(form, overridesFor(caseId)).fitMode);
+  const activeVariable = variables.some((v) => v.key === variable) ? variable : variables[0].key;
+  const { label, unit } = variables.find((v) => v.key === activeVariable) || {};
+  // Rounded to cents in the unit shown, so the applied value reads as displayed.
+  const round = (v, u) => String(fromDisplay(u, Math.round(toDisplay(u, v) * 100) / 100));
+
+  const solve = () => {
+    const res = solveForTarget(form, overridesFor(caseId), { target, variable: activeVariable, value: goal });
+    setSolution({ ...res, variable: activeVariable, label, unit });
+  };
+
+  const selectClass = "mt-1 block w-full border rounded-md p-2 bg-white";
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <label className="block">
+          <span className="text-gray-700">{t("goal.target")}</span>
+          <select value={target} onChange={(e) => setTarget(e.target.value)} className={selectClass}>
+            {goalTargets().map((g) => (
+              <option key={g.key} value={g.key}>{g.label}</option>
+            ))}
+          </select>
+        </label>
+        <NumericField label={t("goal.targetValue", { unit: rentUnit() })} value={goal} onChange={setGoal} step={0.25} min={-999999} unit="rent" />
+        <label className="block">
+          <span className="text-gray-700">{t("goal.solveFor")}</span>
+          <select value={activeVariable} onChange={(e) => setVariable(e.target.value)} className={selectClass}>
+            {variables.map((v) => (
+              <option key={v.key} value={v.key}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("goal.basedOn")}</span>
+          <select value={caseId} onChange={(e) => setCaseId(e.target.value)} className={selectClass}>
+            <option value="current">{t("common.current")}</option>
+            {scenarios.map((sc) => (
+              <option key={sc.id} value={String(sc.id)}>{sc.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <button onClick={solve} className="px-4 py-2 rounded border bg-blue-600 text-white hover:bg-blue-700 text-sm font-bold">
+        {t("goal.solve")}
+      </button>
+
+      {solution && !solution.ok && <p className="text-sm text-red-600">{solution.message}</p>}
+
+      {solution && solution.ok && (
+        <div className="rounded-lg border bg-sky-50 p-3 space-y-3">
+          <p className="text-sm">
+            {t("goal.required", { label: solution.label })} <b className="text-lg">{F(toDisplay(solution.unit, solution.value), 2)}</b>{" "}
+            <span className="text-gray-500">{t("goal.gives", { value: `${FRENT(solution.achieved)} ${rentUnit()}` })}</span>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => onApplyCurrent(solution.variable, round(solution.value, solution.unit))}
+              className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold"
+            >
+              {t("goal.applyCurrent")}
+            </button>
+            {scenarios.map((sc) => (
+              <button
+                key={sc.id}
+                onClick={() => onApplyScenario(sc.id, solution.variable, round(solution.value, solution.unit))}
+                className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold"
+              >
+                {t("goal.writeTo", { name: sc.name })}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
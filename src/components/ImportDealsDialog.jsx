@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { F, P } from "../utils/format";
+import { toDisplay } from "../utils/units";
+import { t } from "../utils/i18n";
+
+export function ImportDealsDialog({ fileName, parsed, onImport, onClose }) {
+  const [target, setTarget] = useState(parsed.deals.length > 1 ? "scenarios" : "current");
+  const preview = parsed.deals.slice(0, 10);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 border-b">
+          <h3 className="text-xl font-bold" style={{ color: "#005CA9" }}>{t("import.title")}</h3>
+          <p className="text-sm text-gray-600">
+            {parsed.deals.length === 1
+              ? t("import.rowsOne", { file: fileName })
+              : t("import.rowsMany", { file: fileName, count: parsed.deals.length })}
+          </p>
+        </div>
+        <div className="p-4 space-y-3 overflow-y-auto text-sm">
+          <p>
+            <b>{t("import.mapped")}</b> {parsed.mapped.map((c) => `${c.header} → ${c.label}`).join(", ")}
+          </p>
+          {parsed.ignored.length > 0 && (
+            <p className="text-gray-600">
+              <b>{t("import.ignored")}</b> {parsed.ignored.join(", ")}
+            </p>
+          )}
+          {parsed.warnings.length > 0 && (
+            <ul className="list-disc pl-5 text-amber-800">
+              {parsed.warnings.map((w, i) => (
+                <li key={i}>{w}</li>
+              ))}
+            </ul>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs border">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="border p-1 text-left">{t("import.row")}</th>
+                  {parsed.mapped.map((c) => (
+                    <th key={c.key} className="border p-1 text-left">{c.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((d) => (
+                  <tr key={d.row}>
+                    <td className="border p-1">{d.row}</td>
+                    {parsed.mapped.map((c) => (
+                      <td key={c.key} className="border p-1">
+                        {d.fields[c.key] === undefined ? "–" : c.unit ? F(toDisplay(c.unit, P(d.fields[c.key])), 2) : d.fields[c.key]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {parsed.deals.length > preview.length && (
+              <p className="mt-1 text-xs text-gray-500">{t("import.more", { count: parsed.deals.length - preview.length })}</p>
+            )}
+          </div>
+          <div className="space-y-1">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={target === "current"} onChange={() => setTarget("current")} />
+              {t("import.toCurrent")}
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={target === "scenarios"} onChange={() => setTarget("scenarios")} />
+              {t("import.toScenarios")}
+            </label>
+          </div>
+        </div>
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-1 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold">
+            {t("common.cancel")}
+          </button>
+          <button onClick={() => onImport(target)} className="px-3 py-1 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold">
+            {t("common.import")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
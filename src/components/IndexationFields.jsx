@@ -0,0 +1,68 @@
+import { NumericField } from "./NumericFields";
+import { P } from "../utils/format";
+import { rentUnit } from "../utils/units";
+import { INDEX_MODES } from "../utils/indexation";
+import { t } from "../utils/i18n";
+
+export function IndexationFields({ form, set }) {
+  const mode = form.indexMode || "none";
+  const steps = Array.isArray(form.rentSteps) ? form.rentSteps : [];
+
+  const setStep = (i, key) => (v) =>
+    set("rentSteps")(steps.map((s, j) => (j === i ? { ...s, [key]: v } : s)));
+
+  const addStep = () => {
+    const last = steps[steps.length - 1];
+    const from = last ? Math.round(P(last.to)) + 1 : 1;
+    const to = Math.max(from, Math.round(P(form.duration)));
+    set("rentSteps")([...steps, { from: String(from), to: String(to), rent: last ? last.rent : form.rent }]);
+  };
+
+  return (
+    <div className="border rounded-md p-3 bg-gray-50/50">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="text-gray-700 font-bold text-sm">{t("index.title")}</span>
+        {INDEX_MODES.map((id) => (
+          <label key={id} className="inline-flex items-center gap-1 text-sm cursor-pointer">
+            <input type="radio" checked={mode === id} onChange={() => set("indexMode")(id)} /> <span>{t(`index.${id}`)}</span>
+          </label>
+        ))}
+      </div>
+
+      {mode === "fixed" && (
+        <NumericField label={t("field.indexRate")} value={form.indexRate} onChange={set("indexRate")} step={0.25} suffix="%" min={-100} />
+      )}
+
+      {mode === "cpi" && (
+        <div className="grid grid-cols-3 gap-3">
+          <NumericField label={t("field.cpiRate")} value={form.cpiRate} onChange={set("cpiRate")} step={0.25} suffix="%" min={-100} />
+          <NumericField label={t("index.threshold")} value={form.cpiThreshold} onChange={set("cpiThreshold")} step={0.5} suffix="%" />
+          <NumericField label={t("index.firstMonth")} value={form.cpiFirstMonth} onChange={set("cpiFirstMonth")} format="int" min={2} />
+        </div>
+      )}
+
+      {mode === "stepped" && (
+        <div className="space-y-2">
+          {steps.map((s, i) => (
+            <div key={i} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-end">
+              <NumericField label={t("index.from")} value={s.from} onChange={setStep(i, "from")} format="int" min={1} />
+              <NumericField label={t("index.to")} value={s.to} onChange={setStep(i, "to")} format="int" min={1} />
+              <NumericField label={`${t("index.rent")} ${rentUnit()}`} value={s.rent} onChange={setStep(i, "rent")} step={0.5} unit="rent" />
+              <button
+                onClick={() => set("rentSteps")(steps.filter((_, j) => j !== i))}
+                className="mb-1 px-2 py-2 rounded border text-xs text-red-600 hover:bg-red-50"
+                title={t("index.removeStep")}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={addStep} className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold">
+            {t("index.addStep")}
+          </button>
+          <p className="text-xs text-gray-500">{t("index.uncovered")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
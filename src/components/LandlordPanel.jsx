@@ -0,0 +1,43 @@
+import { NumericField } from "./NumericFields";
+import { F, FCUR0 } from "../utils/format";
+import { t } from "../utils/i18n";
+
+export function LandlordPanel({ metrics, exitYield, onExitYieldChange }) {
+  const { irr, payback, incentiveOutlay, headlineValue, effectiveValue, valueImpact, valueImpactPct } = metrics;
+
+  return (
+    <div className="rounded-lg border p-4 bg-white shadow-sm">
+      <div className="font-bold text-gray-800 mb-3">{t("landlord.title")}</div>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+        <div className="text-gray-600">{t("landlord.irr")}</div>
+        <div className="text-right font-bold">{irr === null ? t("common.na") : t("landlord.irrValue", { value: F(irr, 2) })}</div>
+
+        <div className="text-gray-600">{t("landlord.outlay")}</div>
+        <div className="text-right text-red-600 font-medium">{FCUR0(-incentiveOutlay)}</div>
+
+        <div className="text-gray-600">{t("landlord.payback")}</div>
+        <div className="text-right font-bold">
+          {payback === null ? t("landlord.notWithinTerm") : payback === 0 ? "–" : t("landlord.month", { month: payback })}
+        </div>
+      </div>
+
+      <div className="mt-3 pt-3 border-t">
+        <div className="w-1/2">
+          <NumericField label={t("field.exitYield")} value={exitYield} onChange={onExitYieldChange} step={0.25} suffix="%" />
+        </div>
+        <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+          <div className="text-gray-600">{t("landlord.headlineValue")}</div>
+          <div className="text-right font-medium">{FCUR0(headlineValue)}</div>
+
+          <div className="text-gray-600">{t("landlord.effectiveValue")}</div>
+          <div className="text-right font-medium">{FCUR0(effectiveValue)}</div>
+
+          <div className="text-gray-600 font-semibold">{t("landlord.valueImpact")}</div>
+          <div className={`text-right font-bold ${valueImpact < 0 ? "text-red-600" : "text-green-600"}`}>
+            {FCUR0(valueImpact)} ({F(valueImpactPct, 2)}%)
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,15 @@
 import { useRef, useState } from "react";
-import { clamp, F, P } from "../utils/format";
+import { clamp, F, P, parseInput, toInputText } from "../utils/format";
+import { fromDisplay, toDisplay } from "../utils/units";
+
+// Typed text is read with the project's decimal separator and, for fields with a
+// unit kind, the project's area unit and rent period; it is stored canonically
+// ("1234.5", sqm, monthly).
+const toStored = (text, unit) => {
+  const n = parseInput(text);
+  return Number.isFinite(n) ? String(fromDisplay(unit, n)) : "";
+};
+const INPUT_CHARS = /[^\d.,\s'’-]/g;
 
 export function NumericField({
   label,
@@ -12,11 +22,17 @@ export function NumericField({
   onCommit,
   suffix,
   colorize = false,
+  unit,
+  allowEmpty = false,
+  placeholder,
 }) {
   const [focus, setFocus] = useState(false);
+  const [draft, setDraft] = useState("");
   const inputRef = useRef(null);
-  const num = P(value);
-  const show = focus ? value : format === "int" ? F(num, 0) : format === "1dec" ? F(num, 1) : F(num, 2);
+  const focusText = useRef("");
+  const num = toDisplay(unit, P(value));
+  const empty = allowEmpty && String(value ?? "").trim() === "";
+  const show = focus ? draft : empty ? "" : format === "int" ? F(num, 0) : format === "1dec" ? F(num, 1) : F(num, 2);
 
   return (
     <label className="block">
@@ -28,7 +44,10 @@ export function NumericField({
           inputMode="decimal"
           value={show}
           readOnly={readOnly}
+          placeholder={placeholder}
           onFocus={() => {
+            focusText.current = empty ? "" : toInputText(num);
+            setDraft(focusText.current);
             setFocus(true);
             requestAnimationFrame(() => {
               inputRef.current?.select();
@@ -38,17 +57,25 @@ export function NumericField({
             if (e.key === "ArrowUp" || e.key === "ArrowDown") {
               e.preventDefault();
               const delta = e.key === "ArrowUp" ? step : -step;
-              const next = clamp(P(value) + delta, min);
+              const next = clamp(fromDisplay(unit, num + delta), min);
+              setDraft(toInputText(toDisplay(unit, next)));
               onChange(String(next));
             }
           }}
           onBlur={(e) => {
             setFocus(false);
-            const n = clamp(P(e.target.value), min);
+            // Leaving a field unedited keeps the stored value as it is.
+            if (e.target.value === focusText.current) return;
+            if (allowEmpty && e.target.value.trim() === "") return onChange("");
+            const n = clamp(fromDisplay(unit, parseInput(e.target.value)), min);
             onChange(String(n));
             onCommit?.(n);
           }}
-          onChange={(e) => onChange(e.target.value.replace(/[^\d.,-]/g, ""))}
+          onChange={(e) => {
+            const text = e.target.value.replace(INPUT_CHARS, "");
+            setDraft(text);
+            onChange(toStored(text, unit));
+          }}
           className={`mt-1 block w-full border rounded-md p-2 pr-16 
   ${readOnly ? "bg-gray-100 text-gray-600" : ""}
   ${colorize && P(value) > 0 ? "text-green-600" : ""}
@@ -65,11 +92,14 @@ export function NumericField({
   );
 }
 
-export function ScenarioField({ value, onChange, readOnly = false, bold = false }) {
+export function ScenarioField({ value, onChange, readOnly = false, bold = false, unit, allowEmpty = false, placeholder }) {
   const [focus, setFocus] = useState(false);
+  const [draft, setDraft] = useState("");
   const inputRef = useRef(null);
-  const num = P(value);
-  const show = focus ? value : F(num, 2);
+  const focusText = useRef("");
+  const num = toDisplay(unit, P(value));
+  const empty = allowEmpty && String(value ?? "").trim() === "";
+  const show = focus ? draft : empty ? "" : F(num, 2);
 
   return (
     <input
@@ -78,16 +108,25 @@ export function ScenarioField({ value, onChange, readOnly = false, bold = false
       inputMode="decimal"
       value={show}
       readOnly={readOnly}
+      placeholder={placeholder}
       onFocus={() => {
+        focusText.current = empty ? "" : toInputText(num);
+        setDraft(focusText.current);
         setFocus(true);
         requestAnimationFrame(() => inputRef.current?.select());
       }}
       onBlur={(e) => {
         setFocus(false);
-        const n = P(e.target.value);
-        onChange?.(String(n));
+        if (e.target.value === focusText.current) return;
+        if (allowEmpty && e.target.value.trim() === "") return onChange?.("");
+        const n = parseInput(e.target.value);
+        onChange?.(String(Number.isFinite(n) ? fromDisplay(unit, n) : 0));
+      }}
+      onChange={(e) => {
+        const text = e.target.value.replace(INPUT_CHARS, "");
+        setDraft(text);
+        onChange?.(toStored(text, unit));
       }}
-      onChange={(e) => onChange?.(e.target.value.replace(/[^\d.,-]/g, ""))}
       className={`  w-full border rounded-md p-2 text-right tabular-nums  ${readOnly ? "bg-gray-100 text-gray-800" : ""}  ${bold ? "font-bold" : ""}`}
     />
   );
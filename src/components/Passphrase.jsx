@@ -0,0 +1,62 @@
+import { useState } from "react";
+import { t } from "../utils/i18n";
+
+export function PassphrasePrompt({ source, error, onSubmit, onCancel }) {
+  const [value, setValue] = useState("");
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6">
+      <form
+        className="bg-white rounded-xl shadow-xl w-full max-w-md p-5 space-y-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSubmit(value);
+        }}
+      >
+        <h3 className="text-lg font-bold" style={{ color: "#005CA9" }}>{t("pass.title")}</h3>
+        <p className="text-sm text-gray-700">{t("pass.enter", { source })}</p>
+        <input
+          type="password"
+          autoFocus
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="block w-full border rounded-md p-2"
+          autoComplete="off"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold">
+            {t("common.cancel")}
+          </button>
+          <button type="submit" disabled={!value} className="px-3 py-1 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold disabled:opacity-50">
+            {t("common.open")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export function ProtectExportFields({ value, onChange }) {
+  const set = (k) => (e) => onChange({ ...value, [k]: e.target.value });
+  const mismatch = value.enabled && value.confirm !== "" && value.confirm !== value.passphrase;
+
+  return (
+    <div className="rounded border bg-gray-50 p-2 text-xs space-y-2">
+      <label className="flex items-center gap-2 font-bold">
+        <input type="checkbox" checked={value.enabled} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} />
+        {t("pass.encrypt")}
+      </label>
+      {value.enabled && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <input type="password" value={value.passphrase} onChange={set("passphrase")} placeholder={t("pass.passphrase")} className="border rounded p-1" autoComplete="new-password" />
+            <input type="password" value={value.confirm} onChange={set("confirm")} placeholder={t("pass.repeat")} className="border rounded p-1" autoComplete="new-password" />
+          </div>
+          {mismatch && <p className="text-red-600">{t("pass.mismatch")}</p>}
+          <p className="text-gray-500">{t("pass.note")}</p>
+        </>
+      )}
+    </div>
+  );
+}
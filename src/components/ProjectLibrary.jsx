@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { displayLocale } from "../utils/format";
+import {
+  deleteProject,
+  duplicateProject,
+  listProjects,
+  projectDisplayName,
+  renameProject,
+  searchProjects,
+} from "../utils/projectLibrary";
+import { t } from "../utils/i18n";
+
+const formatDate = (ts) =>
+  ts ? new Date(ts).toLocaleString(displayLocale(), { dateStyle: "medium", timeStyle: "short" }) : "–";
+
+export function ProjectLibrary({ currentId, onOpen, onNew, onRenamed, onDeleted, onClose }) {
+  const [projects, setProjects] = useState([]);
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  const refresh = async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (e) {
+      setError(t("library.unavailable"));
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const act = (fn) => async () => {
+    try {
+      await fn();
+      await refresh();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  };
+
+  const visible = searchProjects(projects, query);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b">
+          <h3 className="text-xl font-bold" style={{ color: "#005CA9" }}>{t("library.title")}</h3>
+          <div className="flex gap-2">
+            <button onClick={onNew} className="px-3 py-1 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold">
+              {t("library.new")}
+            </button>
+            <button onClick={onClose} className="px-3 py-1 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold">
+              {t("common.close")}
+            </button>
+          </div>
+        </div>
+        <div className="p-4 border-b">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t("library.search")}
+            className="w-full border rounded-md p-2"
+          />
+          {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        </div>
+        <div className="overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-gray-100 text-gray-700">
+              <tr>
+                <th className="p-2 text-left">{t("library.project")}</th>
+                <th className="p-2 text-left">{t("field.tenant")}</th>
+                <th className="p-2 text-left whitespace-nowrap">{t("library.modified")}</th>
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="p-4 text-center text-gray-500">{t("library.empty")}</td>
+                </tr>
+              )}
+              {visible.map((p) => (
+                <tr key={p.id} className={`border-t ${p.id === currentId ? "bg-blue-50" : ""}`}>
+                  <td className="p-2">
+                    {editing?.id === p.id ? (
+                      <input
+                        autoFocus
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter")
+                            act(async () => {
+                              await renameProject(p.id, editing.name);
+                              onRenamed(p.id, editing.name);
+                              setEditing(null);
+                            })();
+                          if (e.key === "Escape") setEditing(null);
+                        }}
+                        className="border rounded p-1 w-full"
+                      />
+                    ) : (
+                      <span className="font-medium">{projectDisplayName(p)}</span>
+                    )}
+                    {p.id === currentId && <span className="ml-2 text-xs text-blue-700">{t("library.isOpen")}</span>}
+                  </td>
+                  <td className="p-2 text-gray-600">{p.f?.tenant || "–"}</td>
+                  <td className="p-2 text-gray-600 whitespace-nowrap">{formatDate(p.updatedAt)}</td>
+                  <td className="p-2">
+                    <div className="flex gap-1 justify-end text-xs">
+                      <button onClick={() => onOpen(p)} className="px-2 py-1 border rounded hover:bg-gray-100 font-bold">{t("common.open")}</button>
+                      <button onClick={() => setEditing({ id: p.id, name: projectDisplayName(p) })} className="px-2 py-1 border rounded hover:bg-gray-100">{t("common.rename")}</button>
+                      <button onClick={act(() => duplicateProject(p.id))} className="px-2 py-1 border rounded hover:bg-gray-100">{t("common.duplicate")}</button>
+                      <button
+                        onClick={act(async () => {
+                          if (!window.confirm(t("library.confirmDelete", { name: projectDisplayName(p) }))) return;
+                          await deleteProject(p.id);
+                          onDeleted(p.id);
+                        })}
+                        className="px-2 py-1 border rounded text-red-600 hover:bg-red-50"
+                      >
+                        {t("common.delete")}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="p-3 border-t text-xs text-gray-500">
+          {t("library.note")}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { t } from "../utils/i18n";
+
+const TONES = {
+  error: "border-red-300 bg-red-50 text-red-800",
+  warning: "border-amber-300 bg-amber-50 text-amber-900",
+};
+
+export function ProjectNotice({ notice, onClose }) {
+  return (
+    <div className={`mb-4 rounded-lg border p-3 text-sm ${TONES[notice.tone] || TONES.warning}`}>
+      <div className="flex items-start justify-between gap-3">
+        <p className="font-bold">{notice.title}</p>
+        <button onClick={onClose} className="px-2 text-xs font-bold" title={t("common.dismiss")}>
+          ✕
+        </button>
+      </div>
+      <ul className="mt-1 list-disc pl-5 space-y-0.5">
+        {notice.messages.map((m, i) => (
+          <li key={i}>{m}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
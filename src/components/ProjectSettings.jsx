@@ -0,0 +1,80 @@
+import { F, parseInput } from "../utils/format";
+import { CURRENCIES, DECIMAL_MODES, LOCALES } from "../utils/settings";
+import { AREA_UNITS, RENT_PERIODS } from "../utils/units";
+import { LANGUAGES, t } from "../utils/i18n";
+
+export function LanguageSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="border rounded p-1 text-xs bg-white"
+      title={t("common.language")}
+      aria-label={t("common.language")}
+    >
+      {LANGUAGES.map((l) => (
+        <option key={l.id} value={l.id}>{l.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export function ProjectSettings({ value, onChange }) {
+  const set = (k) => (e) => onChange({ ...value, [k]: e.target.value });
+  const selectClass = "mt-1 block w-full border rounded p-1 bg-white";
+
+  return (
+    <div className="rounded border bg-gray-50 p-2 text-xs space-y-2">
+      <div className="font-bold">{t("settings.title")}</div>
+      <div className="grid grid-cols-3 gap-2">
+        <label className="block">
+          <span className="text-gray-700">{t("settings.display")}</span>
+          <select value={value.locale} onChange={set("locale")} className={selectClass}>
+            {!LOCALES.some((l) => l.id === value.locale) && <option value={value.locale}>{value.locale}</option>}
+            {LOCALES.map((l) => (
+              <option key={l.id} value={l.id}>{l.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("settings.currency")}</span>
+          <select value={value.currency} onChange={set("currency")} className={selectClass}>
+            {!CURRENCIES.includes(value.currency) && <option value={value.currency}>{value.currency}</option>}
+            {CURRENCIES.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("settings.typedNumbers")}</span>
+          <select value={value.decimal} onChange={set("decimal")} className={selectClass}>
+            {DECIMAL_MODES.map((m) => (
+              <option key={m.id} value={m.id}>{t(m.label)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-gray-700">{t("settings.areaUnit")}</span>
+          <select value={value.areaUnit} onChange={set("areaUnit")} className={selectClass}>
+            {AREA_UNITS.map((u) => (
+              <option key={u.id} value={u.id}>{t(`unit.area.${u.id}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">{t("settings.rentQuoted")}</span>
+          <select value={value.rentPeriod} onChange={set("rentPeriod")} className={selectClass}>
+            {RENT_PERIODS.map((p) => (
+              <option key={p.id} value={p.id}>{t(`unit.period.${p.id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="text-gray-500">
+        {t("settings.typingNote", { thousand: F(parseInput("1.000"), 2), oneHalf: F(parseInput("1,5"), 2) })} {t("settings.unitsNote")}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { NumericField } from "./NumericFields";
+import { RF_MODES } from "../utils/rentFree";
+import { t } from "../utils/i18n";
+
+const placements = () => RF_MODES.map((id) => ({ id, label: t(`rf.${id}`) }));
+
+export function RentFreeFields({ form, set }) {
+  const mode = form.rfMode || "upfront";
+
+  return (
+    <div className="border rounded-md p-3 bg-gray-50/50">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="text-gray-700 font-bold text-sm">{t("rf.title")}</span>
+        {placements().map((m) => (
+          <label key={m.id} className="inline-flex items-center gap-1 text-sm cursor-pointer">
+            <input type="radio" checked={mode === m.id} onChange={() => set("rfMode")(m.id)} /> <span>{m.label}</span>
+          </label>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <NumericField label={t("field.rentReduction")} value={form.rfShare} onChange={set("rfShare")} step={10} suffix="%" />
+        {mode === "spread" && (
+          <NumericField label={t("rf.perYear")} value={form.rfPerYear} onChange={set("rfPerYear")} step={0.5} />
+        )}
+        {mode === "custom" && (
+          <label className="block">
+            <span className="text-gray-700">{t("rf.months")}</span>
+            <input
+              type="text"
+              value={form.rfMonths}
+              onChange={(e) => set("rfMonths")(e.target.value.replace(/[^\d,;\s-]/g, ""))}
+              className="mt-1 block w-full border rounded-md p-2"
+            />
+          </label>
+        )}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {t("rf.note")}
+      </p>
+    </div>
+  );
+}
+
+export function RentFreePlacementCell({ form, onChange }) {
+  const mode = form.rfMode || "upfront";
+
+  return (
+    <div className="flex flex-col gap-1">
+      <select
+        value={mode}
+        onChange={(e) => onChange("rfMode", e.target.value)}
+        className="w-full border rounded-md p-2 bg-white"
+      >
+        {placements().map((m) => (
+          <option key={m.id} value={m.id}>{m.label}</option>
+        ))}
+      </select>
+      {mode === "spread" && (
+        <input
+          type="text"
+          inputMode="decimal"
+          value={form.rfPerYear}
+          onChange={(e) => onChange("rfPerYear", e.target.value.replace(/[^\d.,-]/g, ""))}
+          placeholder={t("rf.perYearPlaceholder")}
+          className="w-full border rounded-md p-2 text-right"
+        />
+      )}
+      {mode === "custom" && (
+        <input
+          type="text"
+          value={form.rfMonths}
+          onChange={(e) => onChange("rfMonths", e.target.value.replace(/[^\d,;\s-]/g, ""))}
+          placeholder="1-3, 13, 25"
+          className="w-full border rounded-md p-2"
+        />
+      )}
+    </div>
+  );
+}
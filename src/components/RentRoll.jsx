@@ -0,0 +1,199 @@
+import { useEffect, useState } from "react";
+import { CUR, CURRENCY_CODE, F, FCUR0 } from "../utils/format";
+import { listProjects } from "../utils/projectLibrary";
+import { validateProject } from "../utils/projectSchema";
+import {
+  distinctValues,
+  filterRentRoll,
+  formatMonth,
+  LEASE_STATUSES,
+  rentRollRow,
+  rentRollTotals,
+  sortRentRoll,
+} from "../utils/rentRoll";
+import { AREA, FAREA, FRENT, rentUnit } from "../utils/units";
+import { t } from "../utils/i18n";
+
+const STATUS_TONES = {
+  negotiation: "bg-amber-100 text-amber-900",
+  offer: "bg-blue-100 text-blue-900",
+  signed: "bg-emerald-100 text-emerald-900",
+};
+
+// Building, floor, status and lease start of the open project.
+export function RentRollFields({ value, onChange }) {
+  const set = (k) => (e) => onChange({ ...value, [k]: e.target.value });
+  const inputClass = "mt-1 block w-full border rounded p-1 bg-white";
+
+  return (
+    <div className="grid grid-cols-4 gap-2 text-xs">
+      <label className="block">
+        <span className="text-gray-700">{t("rentRoll.building")}</span>
+        <input type="text" value={value.building} onChange={set("building")} className={inputClass} />
+      </label>
+      <label className="block">
+        <span className="text-gray-700">{t("rentRoll.floor")}</span>
+        <input type="text" value={value.floor} onChange={set("floor")} className={inputClass} />
+      </label>
+      <label className="block">
+        <span className="text-gray-700">{t("rentRoll.status")}</span>
+        <select value={value.status} onChange={set("status")} className={inputClass}>
+          {LEASE_STATUSES.map((s) => (
+            <option key={s} value={s}>{t(`rentRoll.status.${s}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-gray-700">{t("rentRoll.start")}</span>
+        <input type="month" value={value.start} onChange={set("start")} className={inputClass} />
+      </label>
+    </div>
+  );
+}
+
+function FilterSelect({ label, value, options, onChange }) {
+  return (
+    <label className="block text-xs">
+      <span className="text-gray-700">{label}</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="mt-1 block w-full border rounded p-1 bg-white">
+        <option value="">{t("rentRoll.all")}</option>
+        {options.map((o) => (
+          <option key={o.id} value={o.id}>{o.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Rent roll over every project in the local library. current is the open project,
+// which may be newer than its last autosave.
+export function RentRoll({ current, onOpen, onClose }) {
+  const [records, setRecords] = useState([]);
+  const [filters, setFilters] = useState({ building: current.rentRoll.building, floor: "", status: "" });
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    listProjects()
+      .then(setRecords)
+      .catch(() => setError(t("library.unavailable")));
+  }, []);
+
+  const all = [current, ...records.filter((r) => r.id !== current.id)];
+  const checked = all.map((record) => ({ record, res: validateProject(record) }));
+  const rows = sortRentRoll(checked.filter((c) => c.res.ok).map((c) => rentRollRow(c.record, c.res.project)));
+  const unreadable = checked.length - rows.length;
+  const inBuilding = filterRentRoll(rows, { building: filters.building });
+  const visible = filterRentRoll(rows, filters);
+  const totals = rentRollTotals(visible, CURRENCY_CODE());
+  const setFilter = (k) => (v) => setFilters((s) => ({ ...s, [k]: v }));
+  const asOptions = (values) => values.map((v) => ({ id: v, label: v }));
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-6xl max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b">
+          <h3 className="text-xl font-bold" style={{ color: "#005CA9" }}>{t("rentRoll.title")}</h3>
+          <button onClick={onClose} className="px-3 py-1 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold">
+            {t("common.close")}
+          </button>
+        </div>
+        <div className="p-4 border-b grid grid-cols-3 gap-2">
+          <FilterSelect
+            label={t("rentRoll.building")}
+            value={filters.building}
+            options={asOptions(distinctValues(rows, "building"))}
+            onChange={(v) => setFilters({ building: v, floor: "", status: filters.status })}
+          />
+          <FilterSelect
+            label={t("rentRoll.floor")}
+            value={filters.floor}
+            options={asOptions(distinctValues(inBuilding, "floor"))}
+            onChange={setFilter("floor")}
+          />
+          <FilterSelect
+            label={t("rentRoll.status")}
+            value={filters.status}
+            options={LEASE_STATUSES.map((s) => ({ id: s, label: t(`rentRoll.status.${s}`) }))}
+            onChange={setFilter("status")}
+          />
+          {error && <p className="col-span-3 text-sm text-red-600">{error}</p>}
+        </div>
+        <div className="overflow-y-auto">
+          <table className="w-full text-sm tabular-nums">
+            <thead className="sticky top-0 bg-gray-100 text-gray-700">
+              <tr>
+                <th className="p-2 text-left">{t("field.tenant")}</th>
+                <th className="p-2 text-left">{t("rentRoll.floor")}</th>
+                <th className="p-2 text-left">{t("rentRoll.status")}</th>
+                <th className="p-2 text-right">{t("field.gla")} ({AREA()})</th>
+                <th className="p-2 text-right">{t("rentRoll.headline")} ({rentUnit()})</th>
+                <th className="p-2 text-right">{t("rentRoll.finalNer")} ({rentUnit()})</th>
+                <th className="p-2 text-right">{t("rentRoll.incentives")} ({CUR()})</th>
+                <th className="p-2 text-right">{t("rentRoll.expiry")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="p-4 text-center text-gray-500">{t("rentRoll.empty")}</td>
+                </tr>
+              )}
+              {visible.map((r) => (
+                <tr
+                  key={r.id}
+                  onClick={() => onOpen(r.record)}
+                  className={`border-t cursor-pointer hover:bg-gray-50 ${r.id === current.id ? "bg-blue-50" : ""}`}
+                  title={t("rentRoll.openHint")}
+                >
+                  <td className="p-2">
+                    <div className="font-medium">{r.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {[r.building, r.name !== r.tenant && r.tenant, t("rentRoll.scenarios", { count: r.scenarios })].filter(Boolean).join(" · ")}
+                    </div>
+                  </td>
+                  <td className="p-2">{r.floor || "–"}</td>
+                  <td className="p-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-bold ${STATUS_TONES[r.status]}`}>{t(`rentRoll.status.${r.status}`)}</span>
+                  </td>
+                  <td className="p-2 text-right">{FAREA(r.gla, 0)}</td>
+                  <td className="p-2 text-right">{FRENT(r.rent)}</td>
+                  <td className="p-2 text-right font-bold">{FRENT(r.ner)}</td>
+                  <td className="p-2 text-right">
+                    {F(r.incentives, 0)}
+                    {r.currency !== CURRENCY_CODE() && (
+                      <span className="ml-1 px-1 rounded bg-amber-100 text-amber-900 text-xs" title={t("rentRoll.otherCurrency")}>{r.currency}</span>
+                    )}
+                  </td>
+                  <td className="p-2 text-right whitespace-nowrap">
+                    {r.expiry ? formatMonth(r.expiry) : <span className="text-gray-500">{t("rentRoll.term", { months: F(r.duration, 0) })}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            {totals.count > 0 && (
+              <tfoot className="bg-gray-100 font-bold">
+                <tr className="border-t-2">
+                  <td className="p-2" colSpan={3}>
+                    {t("rentRoll.totals", { count: totals.count })}
+                  </td>
+                  <td className="p-2 text-right">{FAREA(totals.gla, 0)}</td>
+                  <td className="p-2 text-right">{FRENT(totals.rent)}</td>
+                  <td className="p-2 text-right">{FRENT(totals.ner)}</td>
+                  <td className="p-2 text-right">{FCUR0(totals.incentives)}</td>
+                  <td className="p-2 text-right text-xs font-normal">
+                    {t("rentRoll.incentiveShare", { share: F(totals.incentiveShare, 1) })}
+                  </td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+        <p className="p-3 border-t text-xs text-gray-500">
+          {t("rentRoll.note")}
+          {totals.excluded > 0 && ` ${t("rentRoll.excluded", { count: totals.excluded, currency: CURRENCY_CODE() })}`}
+          {unreadable > 0 && ` ${t("rentRoll.unreadable", { count: unreadable })}`}
+        </p>
+      </div>
+    </div>
+  );
+}
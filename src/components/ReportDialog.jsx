@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { loadBranding, saveBranding } from "../utils/branding";
+import { t } from "../utils/i18n";
+
+const MAX_LOGO_BYTES = 500 * 1024;
+
+export function ReportDialog({ onGenerate, onClose }) {
+  const [branding, setBranding] = useState(loadBranding);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const set = (k) => (e) => setBranding((b) => ({ ...b, [k]: e.target.value }));
+
+  const readLogo = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!/^image\/(png|jpeg)$/.test(file.type)) return setError(t("report.logoType"));
+    if (file.size > MAX_LOGO_BYTES) return setError(t("report.logoSize"));
+    const reader = new FileReader();
+    reader.onload = () => {
+      setError("");
+      setBranding((b) => ({ ...b, logo: String(reader.result) }));
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const generate = async () => {
+    setBusy(true);
+    setError("");
+    saveBranding(branding);
+    try {
+      await onGenerate(branding);
+      onClose();
+    } catch (e) {
+      setError(t("report.failed", { error: e?.message || e }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = "mt-1 block w-full border rounded-md p-2";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-start justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-lg p-5 space-y-3" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-xl font-bold" style={{ color: "#005CA9" }}>{t("report.title")}</h3>
+        <p className="text-sm text-gray-600">
+          {t("report.intro")}
+        </p>
+
+        <label className="flex items-center gap-2 text-sm font-bold">
+          <input type="checkbox" checked={branding.enabled} onChange={(e) => setBranding((b) => ({ ...b, enabled: e.target.checked }))} />
+          {t("report.branding")}
+        </label>
+
+        {branding.enabled && (
+          <div className="space-y-2 text-sm">
+            <label className="block">
+              <span className="text-gray-700">{t("report.company")}</span>
+              <input type="text" value={branding.companyName} onChange={set("companyName")} className={inputClass} />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">{t("report.contact")}</span>
+              <input type="text" value={branding.contact} onChange={set("contact")} placeholder={t("report.contactPlaceholder")} className={inputClass} />
+            </label>
+            <div className="flex items-end gap-3">
+              <label className="block">
+                <span className="text-gray-700">{t("report.accent")}</span>
+                <input type="color" value={branding.accentColor} onChange={set("accentColor")} className="mt-1 block w-16 h-9 border rounded" />
+              </label>
+              <label className="block flex-1">
+                <span className="text-gray-700">{t("report.logo")}</span>
+                <input type="file" accept="image/png,image/jpeg" onChange={readLogo} className="mt-1 block w-full text-xs" />
+              </label>
+              {branding.logo && (
+                <div className="flex items-center gap-1">
+                  <img src={branding.logo} alt="Logo" className="h-9 max-w-[80px] object-contain border rounded" />
+                  <button onClick={() => setBranding((b) => ({ ...b, logo: "" }))} className="px-1 text-xs text-red-600" title={t("report.removeLogo")}>
+                    ✕
+                  </button>
+                </div>
+              )}
+            </div>
+            <label className="block">
+              <span className="text-gray-700">{t("report.disclaimer")}</span>
+              <textarea value={branding.disclaimer} onChange={set("disclaimer")} rows={3} className={inputClass} />
+            </label>
+            <p className="text-xs text-gray-500">{t("report.remembered")}</p>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button onClick={onClose} className="px-3 py-1 rounded border bg-gray-50 hover:bg-gray-100 text-xs font-bold">
+            {t("common.cancel")}
+          </button>
+          <button onClick={generate} disabled={busy} className="px-3 py-1 rounded border bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold disabled:opacity-50">
+            {busy ? t("report.creating") : t("report.create")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { BarsChart, WaterfallChart } from "./Charts";
+import { buildNerBars, buildWaterfall } from "../utils/chartData";
+import { CUR, F } from "../utils/format";
+import { FRENT, toDisplay } from "../utils/units";
+import { textColorFor } from "../utils/scenarios";
+import { t } from "../utils/i18n";
+
+function CaseCharts({ name, color, result, base, isExporting }) {
+  const diff = toDisplay("rent", result.ner4 - base);
+
+  return (
+    <div className="border rounded-lg bg-white shadow-sm overflow-hidden">
+      <div className="px-3 py-2 flex items-center justify-between" style={{ backgroundColor: color, color: textColorFor(color) }}>
+        <span className="font-bold truncate">{name}</span>
+        <span className="text-sm font-extrabold whitespace-nowrap">
+          {FRENT(result.ner4)} {CUR()}
+          {base !== null && Math.abs(diff) >= 0.005 && (
+            <span className="ml-1 text-xs font-semibold">({diff > 0 ? "+" : ""}{F(diff, 2)})</span>
+          )}
+        </span>
+      </div>
+      <div className="h-48 p-2">
+        <BarsChart data={buildNerBars(result)} isExporting={isExporting} />
+      </div>
+      <div className="h-48 p-2 border-t">
+        <WaterfallChart data={buildWaterfall(result)} isExporting={isExporting} />
+      </div>
+    </div>
+  );
+}
+
+export function ScenarioCharts({ current, scenarios, isExporting }) {
+  return (
+    <div className="p-4 overflow-x-auto">
+      <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${scenarios.length + 1}, minmax(260px, 1fr))` }}>
+        <CaseCharts name={t("common.current")} color="#e5e7eb" result={current} base={null} isExporting={isExporting} />
+        {scenarios.map((sv) => (
+          <CaseCharts key={sv.id} name={sv.name} color={sv.color} result={sv.result} base={current.ner4} isExporting={isExporting} />
+        ))}
+      </div>
+    </div>
+  );
+}
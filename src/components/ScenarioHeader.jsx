@@ -0,0 +1,61 @@
+import { textColorFor } from "../utils/scenarios";
+import { t } from "../utils/i18n";
+
+// Own drag type, so text or files dropped from elsewhere never reorder scenarios.
+const DRAG_TYPE = "application/x-ner-scenario";
+
+export function ScenarioHeader({ scenario, index, canDelete, onRename, onColor, onDuplicate, onDelete, onMove }) {
+  const color = textColorFor(scenario.color);
+
+  return (
+    <th
+      onDragOver={(e) => {
+        if (e.dataTransfer.types.includes(DRAG_TYPE)) e.preventDefault();
+      }}
+      onDrop={(e) => {
+        const data = e.dataTransfer.getData(DRAG_TYPE);
+        if (!/^\d+$/.test(data)) return;
+        e.preventDefault();
+        onMove(Number(data), index);
+      }}
+      className="border p-1 text-center align-top min-w-[140px]"
+      style={{ backgroundColor: scenario.color, color }}
+    >
+      <input
+        type="text"
+        value={scenario.name}
+        onChange={(e) => onRename(e.target.value)}
+        className="w-full bg-transparent text-center font-bold p-1 rounded focus:bg-white focus:text-black"
+        style={{ color }}
+      />
+      <div className="flex justify-center items-center gap-1 mt-1 text-[10px] font-normal">
+        <span
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = "move";
+            e.dataTransfer.setData(DRAG_TYPE, String(index));
+          }}
+          className="px-1 cursor-move select-none"
+          title={t("scenario.drag")}
+        >
+          ⠿
+        </span>
+        <input
+          type="color"
+          value={scenario.color}
+          onChange={(e) => onColor(e.target.value)}
+          className="w-5 h-5 p-0 border-0 bg-transparent cursor-pointer"
+          title={t("scenario.colour")}
+        />
+        <button onClick={onDuplicate} className="px-1 border rounded bg-white/80 text-black" title={t("common.duplicate")}>
+          ⧉
+        </button>
+        {canDelete && (
+          <button onClick={onDelete} className="px-1 border rounded bg-white/80 text-red-600" title={t("common.delete")}>
+            ✕
+          </button>
+        )}
+      </div>
+    </th>
+  );
+}
@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, ReferenceLine, Cell } from "recharts";
+import { NumericField } from "./NumericFields";
+import { F, P } from "../utils/format";
+import { FRENT, rentUnit, toDisplay } from "../utils/units";
+import { scenarioResultCellStyle } from "../utils/cellStyles";
+import { axisValues, sensitivityInputs, tornado, twoWayTable } from "../utils/sensitivity";
+import { calculateNER } from "../utils/calculations";
+import { t } from "../utils/i18n";
+
+const LOW_COLOR = "#f97316";
+const HIGH_COLOR = "#2563eb";
+
+// Splits low/high deltas into two stacked segments. Opposite signs stack away
+// from zero; with the same sign the smaller move is drawn inside the larger one.
+// Values are converted to the project's units first.
+const tornadoRows = (rows) =>
+  rows.map((row) => {
+    const r = {
+      ...row,
+      low: toDisplay(row.unit, row.low),
+      high: toDisplay(row.unit, row.high),
+      dLow: toDisplay("rent", row.dLow),
+      dHigh: toDisplay("rent", row.dHigh),
+    };
+    const lowInner = r.dLow * r.dHigh <= 0 || Math.abs(r.dLow) <= Math.abs(r.dHigh);
+    const inner = lowInner ? r.dLow : r.dHigh;
+    const outer = lowInner ? r.dHigh : r.dLow;
+    return {
+      ...r,
+      name: r.label,
+      inner,
+      outer: r.dLow * r.dHigh > 0 ? outer - inner : outer,
+      innerColor: lowInner ? LOW_COLOR : HIGH_COLOR,
+      outerColor: lowInner ? HIGH_COLOR : LOW_COLOR,
+    };
+  });
+
+function TornadoChart({ rows, isExporting }) {
+  const data = tornadoRows(rows);
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart data={data} layout="vertical" stackOffset="sign" margin={{ top: 8, right: 24, bottom: 8, left: 24 }}>
+        <XAxis type="number" tickFormatter={(v) => F(v, 2)} tick={{ fontSize: 11 }} />
+        <YAxis type="category" dataKey="name" width={150} tick={{ fontSize: 12, fontWeight: 700 }} />
+        <Tooltip
+          formatter={(_v, n, ctx) => {
+            const p = ctx?.payload || {};
+            const isLow = (n === "inner") === (p.innerColor === LOW_COLOR);
+            return isLow
+              ? [t("sens.at", { delta: `${F(p.dLow, 2)} ${rentUnit()}`, value: F(p.low, 2) }), t("sens.down")]
+              : [t("sens.at", { delta: `${F(p.dHigh, 2)} ${rentUnit()}`, value: F(p.high, 2) }), t("sens.up")];
+          }}
+        />
+        <ReferenceLine x={0} stroke="#111827" />
+        <Bar dataKey="inner" name="inner" stackId="t" isAnimationActive={!isExporting}>
+          {data.map((d, i) => (
+            <Cell key={i} fill={d.innerColor} />
+          ))}
+        </Bar>
+        <Bar dataKey="outer" name="outer" stackId="t" isAnimationActive={!isExporting}>
+          {data.map((d, i) => (
+            <Cell key={i} fill={d.outerColor} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+export function SensitivityPanel({ form, isExporting }) {
+  const inputs = sensitivityInputs(form.fitMode);
+  const [mode, setMode] = useState("pct");
+  const [pct, setPct] = useState("10");
+  const [steps, setSteps] = useState({});
+  const [rowKey, setRowKey] = useState("rf");
+  const [colKey, setColKey] = useState(inputs[3].key);
+  const [rowStep, setRowStep] = useState("1");
+  const [colStep, setColStep] = useState(String(inputs[3].step));
+
+  const stepFor = (key) => steps[key] ?? String(inputs.find((i) => i.key === key)?.step ?? 1);
+  const rows = tornado(form, { mode, pct: P(pct), steps: Object.fromEntries(inputs.map((i) => [i.key, stepFor(i.key)])) });
+
+  const activeRow = inputs.some((i) => i.key === rowKey) ? rowKey : inputs[2].key;
+  const activeCol = inputs.some((i) => i.key === colKey) ? colKey : inputs[3].key;
+  const axis = (key, step) => {
+    const input = inputs.find((i) => i.key === key);
+    const s = Math.abs(P(step)) || input.step;
+    const center = Math.max(P(form[key]), input.min + 2 * s);
+    return axisValues(center, s, 5);
+  };
+  const rowValues = axis(activeRow, rowStep);
+  const colValues = axis(activeCol, colStep);
+  const grid = twoWayTable(form, { rowKey: activeRow, rowValues, colKey: activeCol, colValues });
+  const base = calculateNER(form).ner4;
+  const cells = grid.flat().map((ner) => ({ ner }));
+  const labelOf = (key) => inputs.find((i) => i.key === key)?.label;
+  const unitOf = (key) => inputs.find((i) => i.key === key)?.unit;
+  const selectClass = "mt-1 block w-full border rounded-md p-2 bg-white";
+
+  return (
+    <div className="p-4 space-y-6">
+      <div>
+        <div className="flex flex-wrap items-end gap-4 mb-3">
+          <span className="text-gray-700 font-bold text-sm">{t("sens.flexBy")}</span>
+          <label className="inline-flex items-center gap-1 text-sm cursor-pointer">
+            <input type="radio" checked={mode === "pct"} onChange={() => setMode("pct")} /> <span>{t("sens.pct")}</span>
+          </label>
+          <label className="inline-flex items-center gap-1 text-sm cursor-pointer">
+            <input type="radio" checked={mode === "abs"} onChange={() => setMode("abs")} /> <span>{t("sens.abs")}</span>
+          </label>
+          {mode === "pct" && (
+            <div className="w-32">
+              <NumericField label={t("sens.pct")} value={pct} onChange={setPct} step={5} suffix="%" />
+            </div>
+          )}
+        </div>
+        {mode === "abs" && (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-3">
+            {inputs.map((i) => (
+              <NumericField key={i.key} label={`± ${i.label}`} value={stepFor(i.key)} onChange={(v) => setSteps((s) => ({ ...s, [i.key]: v }))} unit={i.unit} />
+            ))}
+          </div>
+        )}
+        <div className="text-sm font-bold text-gray-700 mb-1">{t("sens.impact", { unit: rentUnit(), base: `${FRENT(base)} ${rentUnit()}` })}</div>
+        <div className="h-72">
+          <TornadoChart rows={rows} isExporting={isExporting} />
+        </div>
+        <div className="flex justify-center gap-4 text-xs text-gray-600">
+          <span><span className="inline-block w-3 h-3 mr-1 align-middle" style={{ backgroundColor: LOW_COLOR }} />{t("sens.down")}</span>
+          <span><span className="inline-block w-3 h-3 mr-1 align-middle" style={{ backgroundColor: HIGH_COLOR }} />{t("sens.up")}</span>
+        </div>
+      </div>
+
+      <div className="border-t pt-4">
+        <div className="text-sm font-bold text-gray-700 mb-2">{t("sens.twoWay", { unit: rentUnit() })}</div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+          <label className="block">
+            <span className="text-gray-700">{t("sens.rows")}</span>
+            <select value={activeRow} onChange={(e) => setRowKey(e.target.value)} className={selectClass}>
+              {inputs.map((i) => (
+                <option key={i.key} value={i.key}>{i.label}</option>
+              ))}
+            </select>
+          </label>
+          <NumericField label={t("sens.rowStep")} value={rowStep} onChange={setRowStep} unit={unitOf(activeRow)} />
+          <label className="block">
+            <span className="text-gray-700">{t("sens.columns")}</span>
+            <select value={activeCol} onChange={(e) => setColKey(e.target.value)} className={selectClass}>
+              {inputs.map((i) => (
+                <option key={i.key} value={i.key}>{i.label}</option>
+              ))}
+            </select>
+          </label>
+          <NumericField label={t("sens.columnStep")} value={colStep} onChange={setColStep} unit={unitOf(activeCol)} />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-collapse tabular-nums">
+            <thead>
+              <tr className="bg-gray-100 text-gray-700">
+                <th className="border p-2 text-left text-xs">{labelOf(activeRow)} ↓ / {labelOf(activeCol)} →</th>
+                {colValues.map((cv) => (
+                  <th key={cv} className="border p-2 text-right">{F(toDisplay(unitOf(activeCol), cv), 2)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rowValues.map((rv, r) => (
+                <tr key={rv}>
+                  <td className="border p-2 font-medium bg-gray-50 text-right">{F(toDisplay(unitOf(activeRow), rv), 2)}</td>
+                  {grid[r].map((ner, c) => (
+                    <td key={c} className="border p-2 text-right font-semibold" style={scenarioResultCellStyle({ ner }, cells, base)}>
+                      {FRENT(ner)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { NumericField } from "./NumericFields";
+import { CUR, F, FCUR0 } from "../utils/format";
+import { AREA, rentUnit, toDisplay, unitRentUnit } from "../utils/units";
+import { SPACE_TYPES, spaceUnit } from "../utils/spaces";
+import { t } from "../utils/i18n";
+
+export function SpaceComponentsFields({ form, set }) {
+  const spaces = Array.isArray(form.spaces) ? form.spaces : [];
+
+  const setSpace = (i, key) => (v) =>
+    set("spaces")(spaces.map((s, j) => (j === i ? { ...s, [key]: v } : s)));
+
+  const addSpace = () =>
+    set("spaces")([...spaces, { type: "storage", label: "", quantity: "0", rent: "0", rf: "" }]);
+
+  return (
+    <div className="border rounded-md p-3 bg-gray-50/50">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-700 font-bold text-sm">{t("spaces.title")}</span>
+        <button onClick={addSpace} className="px-3 py-1 rounded border bg-white hover:bg-gray-100 text-xs font-bold">
+          {t("spaces.add")}
+        </button>
+      </div>
+      {spaces.length === 0 && (
+        <p className="text-xs text-gray-500">{t("spaces.none")}</p>
+      )}
+      <div className="space-y-3">
+        {spaces.map((s, i) => {
+          const unit = spaceUnit(s);
+          return (
+            <div key={i} className="border rounded-md p-2 bg-white">
+              <div className="flex gap-2 items-center mb-2">
+                <select
+                  value={s.type}
+                  onChange={(e) => setSpace(i, "type")(e.target.value)}
+                  className="border rounded-md p-2 text-sm bg-white"
+                >
+                  {SPACE_TYPES.map((st) => (
+                    <option key={st.id} value={st.id}>{t(`space.${st.id}`)}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={s.label}
+                  onChange={(e) => setSpace(i, "label")(e.target.value)}
+                  placeholder={t("spaces.labelPlaceholder")}
+                  className="flex-1 border rounded-md p-2 text-sm"
+                />
+                <button
+                  onClick={() => set("spaces")(spaces.filter((_, j) => j !== i))}
+                  className="px-2 py-2 rounded border text-xs text-red-600 hover:bg-red-50"
+                  title={t("spaces.remove")}
+                >
+                  ✕
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <NumericField
+                  label={unit === "unit" ? t("spaces.count") : t("spaces.area", { unit: AREA() })}
+                  value={s.quantity}
+                  onChange={setSpace(i, "quantity")}
+                  format={unit === "unit" ? "int" : "2dec"}
+                  unit={unit === "unit" ? undefined : "area"}
+                />
+                <NumericField
+                  label={unit === "unit" ? unitRentUnit() : rentUnit(true)}
+                  value={s.rent}
+                  onChange={setSpace(i, "rent")}
+                  step={0.5}
+                  unit={unit === "unit" ? "unitRent" : "rent"}
+                />
+                <label className="block">
+                  <span className="text-gray-700">{t("spaces.ownRentFree")}</span>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={s.rf}
+                    onChange={(e) => setSpace(i, "rf")(e.target.value.replace(/[^\d.,]/g, ""))}
+                    placeholder={t("spaces.asLease")}
+                    className="mt-1 block w-full border rounded-md p-2"
+                  />
+                </label>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {spaces.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">{t("spaces.note", { unit: AREA() })}</p>
+      )}
+    </div>
+  );
+}
+
+// Per-unit rents (parking) only change with the rent period, per-area rents also with the area unit.
+const kind = (st) => (st.unit === "unit" ? "unitRent" : "rent");
+
+export function SpaceBreakdown({ breakdown }) {
+  const total = breakdown.reduce((acc, st) => acc + st.headline - st.rentFrees, 0);
+
+  return (
+    <table className="w-full text-xs border-collapse tabular-nums">
+      <thead>
+        <tr className="text-gray-600">
+          <th className="text-left font-semibold py-1">{t("spaces.component")}</th>
+          <th className="text-right font-semibold py-1">{t("spaces.qty")}</th>
+          <th className="text-right font-semibold py-1">{t("spaces.headline")}</th>
+          <th className="text-right font-semibold py-1">{t("spaces.nerRf")}</th>
+          <th className="text-right font-semibold py-1">{t("spaces.netRent")}</th>
+          <th className="text-right font-semibold py-1">{t("spaces.share")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {breakdown.map((st) => (
+          <tr key={st.key} className="border-t">
+            <td className="py-1">{st.label}</td>
+            <td className="py-1 text-right">
+              {st.unit === "unit" ? t("spaces.units", { count: F(st.quantity, 0) }) : `${F(toDisplay("area", st.quantity), 2)} ${AREA()}`}
+            </td>
+            <td className="py-1 text-right">{F(toDisplay(kind(st), st.rent), 2)} {CUR()}</td>
+            <td className="py-1 text-right font-semibold">{F(toDisplay(kind(st), st.effectiveRent), 2)} {CUR()}</td>
+            <td className="py-1 text-right">{FCUR0(st.headline - st.rentFrees)}</td>
+            <td className="py-1 text-right">{F(total > 0 ? ((st.headline - st.rentFrees) / total) * 100 : 0, 1)}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
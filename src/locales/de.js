@@ -0,0 +1,616 @@
+// German. Keys missing here fall back to English.
+export const name = "Deutsch";
+
+export default {
+  // Shared words
+  "common.cancel": "Abbrechen",
+  "common.open": "Öffnen",
+  "common.close": "Schließen",
+  "common.delete": "Löschen",
+  "common.duplicate": "Duplizieren",
+  "common.rename": "Umbenennen",
+  "common.import": "Importieren",
+  "common.current": "Aktuell",
+  "common.total": "Summe",
+  "common.dismiss": "Schließen",
+  "common.na": "k. A.",
+  "common.language": "Sprache",
+
+  // Units
+  "unit.area.sqm": "m²",
+  "unit.area.sqft": "sq ft",
+  "unit.per.month": "Monat",
+  "unit.per.quarter": "Quartal",
+  "unit.per.year": "Jahr",
+  "unit.period.month": "Monatlich",
+  "unit.period.quarter": "Quartalsweise",
+  "unit.period.year": "Jährlich",
+  "unit.space": "Stellplatz",
+
+  // Lease inputs
+  "field.tenant": "Mieter",
+  "field.nla": "NLA",
+  "field.gla": "GLA",
+  "field.addon": "Zuschlag (%)",
+  "field.headlineRent": "Nominalmiete",
+  "field.leaseTerm": "Laufzeit (Monate)",
+  "field.rentFree": "Mietfreie Zeit (Monate)",
+  "field.rentFreePlacement": "Lage der mietfreien Zeit",
+  "field.rentReduction": "Mietreduktion (%)",
+  "field.fitOutInput": "Eingabe Ausbaukosten",
+  "field.fitPerNLA": "Ausbaukosten ({unit} NLA)",
+  "field.fitPerGLA": "Ausbaukosten ({unit} GLA)",
+  "field.fitTotal": "Ausbaukosten gesamt ({currency})",
+  "field.agentFees": "Maklerprovision (Monate)",
+  "field.lumpsumCosts": "Einmalkosten (-)",
+  "field.compensation": "Ausgleichszahlung (+)",
+  "field.lumpsum": "Einmalkosten (-) / Ausgleichszahlung (+)",
+  "field.discountRate": "Diskontierungszins (% p.a.)",
+  "field.serviceCharge": "Betriebskosten",
+  "field.nonRecoverable": "Nicht umlegbar (%)",
+  "field.exitYield": "Exit-Rendite (%)",
+  "field.indexRate": "Jährliche Steigerung (% p.a.)",
+  "field.cpiRate": "Angenommener VPI (% p.a.)",
+  "field.indexMode": "Mietindexierung",
+  "field.cpiThreshold": "VPI-Schwelle (%)",
+  "field.cpiFirstMonth": "Erste Indexierung (Monat)",
+  "field.serviceChargeCap": "Betriebskostendeckel",
+
+  // Short input names for charts, tables and exports
+  "short.addon": "Zuschlag",
+  "short.leaseTerm": "Laufzeit",
+  "short.indexation": "Mietindexierung",
+  "short.rentFree": "Mietfreie Zeit",
+  "short.fitOut": "Ausbaukosten",
+  "short.agentFees": "Maklerprovision",
+  "short.lumpsum": "Einmalkosten / Ausgleich",
+  "short.discountRate": "Diskontierungszins",
+  "short.serviceCharge": "Betriebskosten",
+  "short.exitYield": "Exit-Rendite",
+
+  // Results
+  "ner.ner1": "NER 1 inkl. mietfreier Zeit",
+  "ner.ner2": "NER 2 inkl. Ausbaukosten",
+  "ner.ner3": "NER 3 inkl. Maklerprovision",
+  "ner.final": "Finale NER",
+  "ner.discounted": "Diskontierte NER",
+  "total.headline": "Nominalmiete gesamt",
+  "total.rentFrees": "Mietfreie Zeit gesamt",
+  "total.fitOut": "Ausbaukosten gesamt",
+  "total.agentFees": "Maklerprovision gesamt",
+  "total.lumpsum": "Einmalkosten / Ausgleichszahlung",
+
+  // Options
+  "rf.upfront": "Zu Beginn",
+  "rf.spread": "Verteilt p.a.",
+  "rf.end": "Am Ende",
+  "rf.custom": "Eigene Monate",
+  "index.none": "Keine",
+  "index.fixed": "Fest p.a.",
+  "index.cpi": "VPI",
+  "index.stepped": "Staffelmiete",
+  "space.office": "Büro",
+  "space.storage": "Lager",
+  "space.parking": "Stellplätze",
+  "space.terrace": "Terrasse",
+  "space.other": "Sonstiges",
+  "horizon.break": "Kündigung M{month}",
+  "horizon.expiry": "Laufzeitende",
+
+  // Calculator page
+  "app.title": "Net Effective Rent (NER) Rechner",
+  "app.tenantPlaceholder": "Name des Mieters",
+  "app.serviceCharges": "Betriebskosten",
+  "app.landlordCap": "Deckelung Vermieter",
+  "app.noCap": "keine Deckelung",
+  "results.tenant": "Mieter:",
+  "results.blended": "Gemischte Nominalmiete (Büroäquivalent)",
+  "results.avgIndexed": "Ø indexierte Miete",
+  "results.totalFit": "Ausbaukosten gesamt: {amount}",
+  "results.ner1": "NER inkl. mietfreier Zeit:",
+  "results.ner2": "inkl. Ausbaukosten:",
+  "results.ner3": "inkl. Maklerprovision:",
+  "results.discountedAt": "@ {rate}% p.a.",
+  "results.gross": "Bruttoeffektivmiete",
+  "results.tenantTag": "(Mieter)",
+  "results.inclServiceCharge": "inkl. {amount} Betriebskosten",
+  "results.net": "Nettoeffektivertrag",
+  "results.landlordTag": "(Vermieter)",
+  "results.afterNonRecoverables": "nach {amount} nicht umlegbaren Kosten",
+  "results.breakVsExpiry": "NER bis zur ersten Kündigung vs. Laufzeitende",
+  "actions.exportResultsPng": "Ergebnisse als PNG",
+  "actions.exportFullPng": "Ganze Seite als PNG",
+  "actions.pdfReport": "PDF-Bericht",
+  "actions.saveProjectFile": "Projektdatei speichern",
+  "actions.copyShareLink": "Link kopieren",
+  "actions.linkCopied": "Link kopiert ✓",
+  "actions.saveFile": "{ext} speichern",
+  "actions.openFile": "{ext} öffnen",
+  "actions.exportExcel": "Excel-Export (XLSX)",
+  "actions.importDeals": "Deals importieren (CSV / XLSX)",
+  "actions.copyLinkPrompt": "Diesen Link kopieren:",
+  "actions.redirecting": "Weiterleitung zum NER-Rechner...",
+  "actions.htmlTitle": "NER-Projekt - {tenant}",
+  "tab.scenarios": "Szenarien",
+  "tab.charts": "Szenario-Diagramme",
+  "tab.cashflow": "Cashflow",
+  "tab.goalseek": "Zielwertsuche",
+  "tab.sensitivity": "Sensitivität",
+  "tab.comps": "Vergleichsobjekte",
+  "tab.log": "Änderungsprotokoll",
+
+  // Scenario table
+  "scenarios.hint": "Szenarien umbenennen, umfärben, duplizieren oder zum Sortieren an der Kopfzeile ziehen.",
+  "scenarios.add": "+ Szenario hinzufügen",
+  "scenarios.parameters": "Parameter",
+  "scenarios.finalNer": "FINALE NER ({unit})",
+  "scenarios.deviation": "Abweichung zu Aktuell",
+  "scenarios.baseCase": "Basisfall",
+  "scenarios.breakdown": "NER-Aufschlüsselung",
+  "scenarios.finalTo": "Finale NER bis {horizon} ({unit})",
+  "scenarios.irr": "IRR des Incentive-Pakets (% p.a.)",
+  "scenarios.payback": "Amortisation Ausbau + Makler (Monat)",
+  "scenario.name": "Szenario {id}",
+  "scenario.copy": "{name} (Kopie)",
+  "scenario.drag": "Zum Sortieren ziehen",
+  "scenario.colour": "Farbe",
+
+  // Rückgängig/Wiederholen und Änderungsprotokoll
+  "history.undo": "↶ Rückgängig",
+  "history.redo": "↷ Wiederholen",
+  "history.undoHint": "Letzte Änderung rückgängig machen (Strg+Z)",
+  "history.redoHint": "Wiederholen (Strg+Umschalt+Z)",
+  "log.note": "Alle Änderungen an Eingaben und Szenarien, neueste zuerst. Das Protokoll wird mit dem Projekt gespeichert.",
+  "log.clear": "Protokoll leeren",
+  "log.confirmClear": "Änderungsprotokoll dieses Projekts leeren? Rückgängig/Wiederholen bleibt erhalten.",
+  "log.emptyLog": "Noch keine Änderungen. Änderungen an Eingaben und Szenarien werden hier aufgeführt.",
+  "log.time": "Zeit",
+  "log.case": "Fall",
+  "log.field": "Feld",
+  "log.from": "Von",
+  "log.to": "Auf",
+  "log.action.undo": "rückgängig",
+  "log.action.redo": "wiederholt",
+  "log.base": "(Basis)",
+  "log.empty": "(leer)",
+  "log.entries": "{count} Einträge",
+  "log.added": "Szenario hinzugefügt",
+  "log.removed": "Szenario entfernt",
+  "log.fit.perNLA": "je NLA",
+  "log.fit.perGLA": "je GLA",
+  "log.fit.total": "Gesamt",
+  "log.field.tenant": "Mieter",
+  "log.field.nla": "NLA",
+  "log.field.addon": "Zuschlag (%)",
+  "log.field.rent": "Nominalmiete",
+  "log.field.duration": "Laufzeit (Monate)",
+  "log.field.rf": "Mietfreie Zeit (Monate)",
+  "log.field.rfMode": "Lage der mietfreien Zeit",
+  "log.field.rfShare": "Mietreduktion (%)",
+  "log.field.rfPerYear": "Mietfreie Monate je Mietjahr",
+  "log.field.rfMonths": "Mietfreie Monate",
+  "log.field.agent": "Maklerprovision (Monate)",
+  "log.field.fitMode": "Eingabe Ausbaukosten",
+  "log.field.fitPerNLA": "Ausbaukosten je NLA",
+  "log.field.fitPerGLA": "Ausbaukosten je GLA",
+  "log.field.fitTot": "Ausbaukosten gesamt",
+  "log.field.unforeseen": "Einmalkosten / Ausgleichszahlung",
+  "log.field.discountRate": "Diskontierungszins (% p.a.)",
+  "log.field.indexMode": "Mietindexierung",
+  "log.field.indexRate": "Jährliche Steigerung (% p.a.)",
+  "log.field.cpiRate": "Angenommener VPI (% p.a.)",
+  "log.field.cpiThreshold": "VPI-Schwelle (%)",
+  "log.field.cpiFirstMonth": "Erste Indexierung (Monat)",
+  "log.field.rentSteps": "Staffelmiete",
+  "log.field.breaks": "Sonderkündigungsrechte",
+  "log.field.spaces": "Flächenkomponenten",
+  "log.field.serviceCharge": "Betriebskosten",
+  "log.field.serviceChargeCap": "Betriebskostendeckel",
+  "log.field.nonRecoverable": "Nicht umlegbar (%)",
+  "log.field.exitYield": "Exit-Rendite (%)",
+  "log.field.name": "Szenarioname",
+  "log.field.color": "Szenariofarbe",
+  "log.field.order": "Szenarioreihenfolge",
+
+  // Notices
+  "notice.couldNotOpen": "{source} konnte nicht geöffnet werden",
+  "notice.repaired": "Einige Werte in {source} wurden korrigiert",
+  "notice.didNotOpen": "{source} wurde nicht geöffnet",
+  "notice.noPassphrase": "Es wurde keine Passphrase eingegeben.",
+  "notice.shareLink": "der geteilte Link",
+  "notice.projectLink": "der Projektlink",
+  "notice.couldNotOpenShareLink": "Der geteilte Link konnte nicht geöffnet werden",
+  "notice.couldNotOpenLink": "Der Projektlink konnte nicht geöffnet werden",
+  "notice.linkDamaged": "Die Linkdaten sind unvollständig oder beschädigt.",
+  "notice.couldNotReopen": "Das letzte Projekt konnte nicht wieder geöffnet werden",
+  "notice.notEncrypted": "Export nicht verschlüsselt",
+  "notice.passphraseMismatch": "Passphrase zweimal gleich eingeben oder die Verschlüsselung ausschalten.",
+  "notice.noCrypto": "Dieser Browser unterstützt keine Web-Crypto-Verschlüsselung.",
+  "notice.couldNotImport": "\"{file}\" konnte nicht importiert werden",
+  "notice.couldNotExportExcel": "Die Excel-Arbeitsmappe konnte nicht exportiert werden",
+  "notice.autosaveFailed": "Das Projekt konnte nicht in der lokalen Bibliothek gespeichert werden",
+
+  // Support page
+  "support.title": "Support NER-Rechner",
+  "support.contact": "Für Support, Fragen, Fehlermeldungen oder Funktionswünsche wenden Sie sich bitte an:",
+  "support.response": "Wir antworten in der Regel innerhalb von 2 Werktagen.",
+  "support.application": "Anwendung:",
+  "support.appName": "NER – Net Effective Rent Rechner",
+  "support.developer": "Entwickler:",
+
+  // Charts
+  "chart.headline": "Nominal",
+  "chart.final": "Final",
+  "chart.rf": "MF",
+  "chart.fo": "AK",
+  "chart.af": "MP",
+  "chart.uc": "EK",
+  "chart.finalNer": "Finale NER",
+  "chart.rent": "Miete",
+  "chart.bars": "Balken",
+  "chart.waterfall": "Wasserfall",
+
+  // Input panels
+  "rf.title": "Lage der mietfreien Zeit:",
+  "rf.perYear": "Monate pro Mietjahr",
+  "rf.months": "Monate (z. B. 1-3, 13, 25)",
+  "rf.perYearPlaceholder": "Monate / Jahr",
+  "rf.note": "100% ist vollständig mietfrei; 50% bedeutet halbe Miete in den mietfreien Monaten.",
+  "index.title": "Mietindexierung:",
+  "index.threshold": "Schwelle (%)",
+  "index.firstMonth": "Erste Indexierung (Monat)",
+  "index.from": "Ab Monat",
+  "index.to": "Bis Monat",
+  "index.rent": "Miete",
+  "index.removeStep": "Staffel entfernen",
+  "index.addStep": "+ Staffel hinzufügen",
+  "index.uncovered": "Monate ohne Staffel werden mit der Nominalmiete berechnet.",
+  "breaks.title": "Sonderkündigungsrechte des Mieters:",
+  "breaks.add": "+ Kündigungsrecht hinzufügen",
+  "breaks.none": "Keine Sonderkündigungsrechte. Die NER wird bis zum Laufzeitende berechnet.",
+  "breaks.month": "Kündigung (Monat)",
+  "breaks.penalty": "Pönale (Monate)",
+  "breaks.clawback": "Rückforderung",
+  "breaks.clawbackHint": "Mieter erstattet nicht amortisierte mietfreie Zeit und Ausbaukosten",
+  "breaks.remove": "Kündigungsrecht entfernen",
+  "breaks.payment": "Zahlung bei Kündigung",
+  "spaces.title": "Weitere Flächenbestandteile:",
+  "spaces.add": "+ Bestandteil hinzufügen",
+  "spaces.none": "Nur Bürofläche. Lager, Stellplätze oder Terrassen mit eigener Miete hinzufügen.",
+  "spaces.labelPlaceholder": "Bezeichnung (optional)",
+  "spaces.remove": "Bestandteil entfernen",
+  "spaces.count": "Stellplätze",
+  "spaces.area": "Fläche ({unit})",
+  "spaces.ownRentFree": "Eigene mietfreie Zeit",
+  "spaces.asLease": "wie Mietvertrag",
+  "spaces.note": "Ausbaukosten bleiben an die Büro-NLA gebunden. Die NER wird pro {unit} Bürofläche (GLA) ausgewiesen.",
+  "spaces.component": "Bestandteil",
+  "spaces.qty": "Menge",
+  "spaces.headline": "Nominal",
+  "spaces.nerRf": "NER inkl. MF",
+  "spaces.netRent": "Nettomiete",
+  "spaces.share": "Anteil",
+  "spaces.units": "{count} Stk.",
+
+  // Landlord analysis
+  "landlord.title": "Vermieteranalyse",
+  "landlord.irr": "IRR des Incentive-Pakets",
+  "landlord.irrValue": "{value}% p.a.",
+  "landlord.outlay": "Ausbaukosten + Maklerprovision",
+  "landlord.payback": "Amortisation",
+  "landlord.notWithinTerm": "nicht innerhalb der Laufzeit",
+  "landlord.month": "Monat {month}",
+  "landlord.headlineValue": "Kapitalwert auf Nominalmiete",
+  "landlord.effectiveValue": "Kapitalwert auf finaler NER",
+  "landlord.valueImpact": "Wertauswirkung der Incentives",
+
+  // Goal seek
+  "goal.target": "Zielgröße",
+  "goal.targetValue": "Zielwert {unit}",
+  "goal.solveFor": "Gesucht wird",
+  "goal.basedOn": "Ausgehend von",
+  "goal.solve": "Berechnen",
+  "goal.required": "Erforderlich {label}:",
+  "goal.gives": "(ergibt {value})",
+  "goal.applyCurrent": "Auf Aktuell anwenden",
+  "goal.writeTo": "In {name} übernehmen",
+  "goal.unknownVariable": "Unbekannte Variable.",
+  "goal.customMonths": "Die mietfreie Zeit nutzt eigene Monate; für die Suche nach Monaten die Lage umstellen.",
+  "goal.unreachable": "Ziel nicht erreichbar: {label} zwischen {from} und {to} ergibt {min} bis {max} {unit}.",
+
+  // Sensitivity
+  "sens.flexBy": "Eingaben variieren um:",
+  "sens.pct": "± %",
+  "sens.abs": "± absoluter Schritt",
+  "sens.impact": "Auswirkung auf die finale NER ({unit}) vs. {base}",
+  "sens.down": "Eingabe niedriger",
+  "sens.up": "Eingabe höher",
+  "sens.at": "{delta} (bei {value})",
+  "sens.twoWay": "Zwei-Wege-Tabelle: Finale NER ({unit})",
+  "sens.rows": "Zeilen",
+  "sens.rowStep": "Zeilenschritt",
+  "sens.columns": "Spalten",
+  "sens.columnStep": "Spaltenschritt",
+
+  // Cash flow
+  "cash.note": "Sicht des Vermieters: Miete monatlich im Voraus, Incentives in Monat 1 gezahlt. Abflüsse sind negativ ({currency}).",
+  "cash.export": "CSV exportieren",
+  "cash.month": "Monat",
+  "cash.rent": "Miete {unit}",
+  "cash.agentFee": "Maklerprovision",
+  "cash.net": "Netto-Cashflow",
+  "cash.cumHeadline": "Kum. Nominal",
+  "cash.cumNet": "Kum. Netto-Cashflow",
+
+  // Project settings
+  "settings.title": "Einheiten und Zahlenformat (mit dem Projekt gespeichert)",
+  "settings.display": "Anzeige",
+  "settings.currency": "Währung",
+  "settings.typedNumbers": "Zahleneingabe",
+  "settings.areaUnit": "Flächeneinheit",
+  "settings.rentQuoted": "Mietangabe",
+  "settings.decimal.locale": "Wie Anzeige",
+  "settings.decimal.point": "Dezimalpunkt (1,000.5)",
+  "settings.decimal.comma": "Dezimalkomma (1.000,5)",
+  "settings.typingNote": "Die Eingabe \"1.000\" wird als {thousand} gelesen, \"1,5\" als {oneHalf}.",
+  "settings.unitsNote": "Ein Wechsel der Einheiten ändert nur Anzeige und Eingabe; die gespeicherten Mietdaten bleiben in m² und Monatsmiete.",
+  "settings.notObject": "Die Einstellungen waren kein Objekt und wurden auf die Standardwerte zurückgesetzt.",
+  "settings.unknown": "Unbekannte Einstellung \"{key}\" wurde ignoriert.",
+  "settings.invalid": "Einstellung \"{key}\" {value} {hint}; auf \"{fallback}\" zurückgesetzt.",
+  "settings.hintLocale": "ist kein bekanntes Gebietsschema",
+  "settings.hintCurrency": "ist kein ISO-Währungscode",
+
+  // Project library
+  "library.title": "Projektbibliothek",
+  "library.new": "+ Neues Projekt",
+  "library.search": "Nach Projekt, Mieter oder Szenario suchen",
+  "library.unavailable": "Die lokale Projektbibliothek ist in diesem Browser nicht verfügbar.",
+  "library.project": "Projekt",
+  "library.copy": "{name} (Kopie)",
+  "library.modified": "Zuletzt geändert",
+  "library.empty": "Keine gespeicherten Projekte.",
+  "library.isOpen": "(geöffnet)",
+  "library.confirmDelete": "\"{name}\" löschen?",
+  "library.note": "Projekte werden automatisch nur in diesem Browser gespeichert und funktionieren offline. Das Löschen der Websitedaten entfernt sie.",
+  "library.untitled": "Unbenanntes Projekt",
+
+  // Mieterliste
+  "rentRoll.title": "Mieterliste",
+  "rentRoll.building": "Gebäude",
+  "rentRoll.floor": "Geschoss",
+  "rentRoll.status": "Status",
+  "rentRoll.start": "Mietbeginn",
+  "rentRoll.status.negotiation": "In Verhandlung",
+  "rentRoll.status.offer": "Angebot",
+  "rentRoll.status.signed": "Unterzeichnet",
+  "rentRoll.all": "Alle",
+  "rentRoll.headline": "Nominalmiete",
+  "rentRoll.finalNer": "Final NER",
+  "rentRoll.incentives": "Incentives",
+  "rentRoll.expiry": "Mietende",
+  "rentRoll.term": "{months} Monate",
+  "rentRoll.scenarios": "{count} Szenarien",
+  "rentRoll.empty": "Keine Mietverträge entsprechen den Filtern.",
+  "rentRoll.openHint": "Diesen Mieter im Rechner öffnen",
+  "rentRoll.otherCurrency": "In einer anderen Währung gespeichert; nicht in den Summen enthalten.",
+  "rentRoll.totals": "Gebäude gesamt ({count} Mietverträge, nach GLA gewichtet)",
+  "rentRoll.incentiveShare": "{share}% der Nominalmiete",
+  "rentRoll.note": "Eine Zeile je Projekt in der Bibliothek, mit dessen aktuellem Fall. Incentives sind mietfreie Zeiten, Ausbaukosten und Einmalkosten über die Laufzeit. Ein Klick auf eine Zeile öffnet den Mieter.",
+  "rentRoll.excluded": "{count} Mietverträge in einer anderen Währung als {currency} sind nicht in den Summen enthalten.",
+  "rentRoll.unreadable": "{count} Projekte konnten nicht gelesen werden und werden nicht angezeigt.",
+  "rentRoll.notObject": "Der Eintrag der Mieterliste war kein Objekt und wurde zurückgesetzt.",
+  "rentRoll.unknown": "Unbekanntes Feld der Mieterliste \"{key}\" wurde ignoriert.",
+  "rentRoll.invalid": "Feld der Mieterliste \"{key}\" {value} {hint}; zurückgesetzt auf \"{fallback}\".",
+  "rentRoll.hintStart": "ist kein Monat (JJJJ-MM)",
+
+  // Vergleichsobjekte
+  "comps.title": "Vergleichsobjekte",
+  "comps.col.date": "Datum",
+  "comps.col.building": "Gebäude",
+  "comps.col.submarket": "Teilmarkt",
+  "comps.col.tenant": "Mieter",
+  "comps.col.area": "Fläche",
+  "comps.col.rent": "Nominalmiete",
+  "comps.col.term": "Laufzeit",
+  "comps.col.rentFree": "Mietfrei",
+  "comps.col.fitOut": "Ausbau",
+  "comps.col.ner": "NER",
+  "comps.ner": "NER 2",
+  "comps.hint": "Abgeschlossene Deals, in diesem Browser für alle Projekte gespeichert. Spaltenkopf anklicken zum Sortieren.",
+  "comps.addCurrent": "+ Aktuellen Fall hinzufügen",
+  "comps.import": "CSV / XLSX importieren",
+  "comps.export": "CSV exportieren",
+  "comps.add": "+ Hinzufügen",
+  "comps.from": "Abschluss ab",
+  "comps.to": "Abschluss bis",
+  "comps.sortHint": "Nach dieser Spalte sortieren",
+  "comps.empty": "Keine Vergleichsobjekte entsprechen den Filtern. Aktuellen Fall hinzufügen, unten einen Deal eingeben oder eine CSV importieren.",
+  "comps.nerBenchmark": "NER im Vergleich",
+  "comps.rentFreeBenchmark": "Mietfreie Zeit im Vergleich",
+  "comps.percentile": "Perzentilrang {p}",
+  "comps.versus": "Aktueller Fall {value} gegenüber {count} Vergleichsobjekten (Median {median}).",
+  "comps.nerHint": "Anteil der Vergleichsobjekte mit niedrigerer NER 2 (nach mietfreier Zeit und Ausbaukosten).",
+  "comps.rentFreeHint": "Anteil der Vergleichsobjekte mit weniger effektiven mietfreien Monaten.",
+  "comps.months": "{months} Monate",
+  "comps.note": "Vergleichsobjekte erfassen keine Maklerprovision, keinen Zuschlag und keine Indexierung, daher werden alle Deals und der aktuelle Fall (auf seine GLA) auf Basis der NER nach mietfreier Zeit und Ausbaukosten (NER 2) bei gleichbleibender Nominalmiete mit den Formeln des Rechners verglichen. CSV-Dateien verwenden das Dezimaltrennzeichen und die Einheiten des Projekts; Datumsangaben als 2024-05-31 oder 31.05.2024.",
+  "comps.imported": "{count} Vergleichsobjekte aus {file} importiert.",
+  "comps.confirmDelete": "Vergleichsobjekt \"{name}\" löschen?",
+  "comps.badDate": "Datum \"{value}\" ist kein Datum",
+  "comps.missing": "{column} fehlt",
+  "comps.badNumber": "{column} \"{value}\" ist keine positive Zahl",
+  "comps.zero": "Fläche und Laufzeit müssen größer als null sein",
+  "comps.noColumns": "Die Datei braucht mindestens Spalten für Fläche, Nominalmiete und Laufzeit. Erwartete Spaltenköpfe z. B. {headers}.",
+  "comps.skipped": "Zeile {row}: {error}; übersprungen.",
+
+  // Passphrase
+  "pass.title": "🔒 Verschlüsseltes Projekt",
+  "pass.enter": "Passphrase eingeben, um {source} zu öffnen.",
+  "pass.encrypt": "🔒 Datei und Link mit einer Passphrase verschlüsseln",
+  "pass.passphrase": "Passphrase",
+  "pass.repeat": "Passphrase wiederholen",
+  "pass.mismatch": "Die Passphrasen stimmen nicht überein.",
+  "pass.note": "Die Passphrase getrennt weitergeben, z. B. telefonisch. Sie wird nicht gespeichert und kann nicht wiederhergestellt werden.",
+  "pass.unsupported": "Dieses verschlüsselte Projekt verwendet ein nicht unterstütztes Format.",
+  "pass.wrong": "Falsche Passphrase oder beschädigte verschlüsselte Daten.",
+  "pass.damaged": "Die verschlüsselten Daten sind beschädigt.",
+  "share.noCompression": "Dieser Browser kann komprimierte Links nicht öffnen. Bitte einen aktuellen Browser verwenden.",
+  "share.unknownFormat": "Das Format des Links wird nicht erkannt.",
+
+  // Report dialog
+  "report.title": "PDF-Bericht",
+  "report.intro": "Deckblatt, Mietvertragsdaten, NER-Aufschlüsselung mit Diagrammen, Szenariovergleich, Annahmen und Haftungsausschluss.",
+  "report.branding": "Firmenbranding hinzufügen",
+  "report.company": "Firmenname",
+  "report.contact": "Kontaktzeile",
+  "report.contactPlaceholder": "z. B. Name, Telefon, E-Mail",
+  "report.accent": "Akzentfarbe",
+  "report.logo": "Logo (PNG/JPEG)",
+  "report.removeLogo": "Logo entfernen",
+  "report.disclaimer": "Haftungsausschluss (leer lassen für den Standardtext)",
+  "report.remembered": "Das Branding wird in diesem Browser für künftige Berichte gespeichert.",
+  "report.logoType": "Das Logo muss ein PNG- oder JPEG-Bild sein.",
+  "report.logoSize": "Das Logo muss kleiner als 500 KB sein.",
+  "report.failed": "Der Bericht konnte nicht erstellt werden: {error}",
+  "report.creating": "Wird erstellt…",
+  "report.create": "PDF erstellen",
+
+  // Deal import
+  "import.title": "Deal-Konditionen importieren",
+  "import.rowsOne": "{file}: 1 Zeile",
+  "import.rowsMany": "{file}: {count} Zeilen",
+  "import.mapped": "Zugeordnete Spalten:",
+  "import.ignored": "Ignorierte Spalten:",
+  "import.row": "Zeile",
+  "import.more": "… und {count} weitere Zeilen",
+  "import.toCurrent": "Aktuellen Fall aus der ersten Zeile füllen",
+  "import.toScenarios": "Jede Zeile als neues Szenario hinzufügen (nach dem Mieter benannt)",
+  "import.col.tenant": "Mieter",
+  "import.col.nla": "NLA",
+  "import.col.addon": "Zuschlag",
+  "import.col.rent": "Miete",
+  "import.col.duration": "Laufzeit",
+  "import.col.rf": "Mietfrei",
+  "import.col.fitPerNLA": "Ausbau {currency}/NLA",
+  "import.col.fitPerGLA": "Ausbau {currency}/GLA",
+  "import.col.fitTot": "Ausbau gesamt",
+  "import.col.agent": "Makler",
+  "import.col.unforeseen": "Einmalbetrag",
+  "import.noColumns": "Keine bekannten Spalten gefunden. Erwartet werden Überschriften wie {headers}.",
+  "import.skipped": "Zeile {row}: {column} \"{value}\" {error} und wurde übersprungen.",
+  "import.rowName": "Importzeile {row}",
+  "import.noRows": "Die Datei hat eine Kopfzeile, aber keine Deal-Zeilen.",
+  "import.badType": "Nur CSV-, TXT-, XLSX- und XLS-Dateien können importiert werden.",
+  "import.tooLarge": "Die Datei ist größer als {size} MB.",
+
+  // Project file validation
+  "schema.notObject": "Die Projektdaten sind kein Objekt.",
+  "schema.unknownVersion": "Unbekannte Projektdatei-Version {version}.",
+  "schema.newer": "Dieses Projekt wurde mit einer neueren Version des Rechners gespeichert (Dateiversion {version}, unterstützt bis {supported}). Bitte die App neu laden, um sie zu aktualisieren.",
+  "schema.noInputs": "Die Projektdaten enthalten keine Mietvertragsdaten.",
+  "schema.invalidJson": "Die Datei ist keine gültige Projektdatei (ungültiges JSON).",
+  "schema.scenariosNotList": "Die Szenarien waren keine Liste und wurden durch die Standardszenarien ersetzt.",
+  "schema.unknownField": "Unbekanntes Feld \"{key}\" wurde ignoriert.",
+  "schema.fieldReset": "Feld \"{key}\" {value} {error}; auf {fallback} zurückgesetzt.",
+  "schema.fieldNote": "Feld \"{key}\": {note}.",
+  "schema.scenarioUnknown": "Szenario \"{name}\": unbekanntes Feld \"{key}\" wurde ignoriert.",
+  "schema.scenarioInvalid": "Szenario \"{name}\": \"{key}\" {value} {error}; es gilt der Basiswert.",
+  "schema.scenarioNote": "Szenario \"{name}\": \"{key}\" {note}.",
+  "schema.entryNotObject": "Eintrag {n} ist kein Objekt und wurde entfernt",
+  "schema.entryCleared": "Eintrag {n} \"{key}\" {value} {error} und wurde geleert",
+  "schema.notFinite": "ist keine endliche Zahl",
+  "schema.notNumber": "ist keine Zahl",
+  "schema.notText": "ist kein Text",
+  "schema.notBoolean": "ist nicht true oder false",
+  "schema.notOneOf": "ist nicht eines von {values}",
+  "schema.notList": "ist keine Liste",
+  "schema.unsupported": "wird nicht unterstützt",
+  "schema.notField": "ist kein Feld des Rechners",
+  "schema.logNotList": "Das Änderungsprotokoll war keine Liste und wurde geleert.",
+  "schema.logDropped": "{count} unlesbare Einträge des Änderungsprotokolls wurden entfernt.",
+
+  // PDF report
+  "pdf.calculator": "NER-Rechner",
+  "pdf.title": "Net-Effective-Rent-Bericht",
+  "pdf.unnamedTenant": "Unbenannter Mieter",
+  "pdf.preparedOn": "Erstellt am {date}",
+  "pdf.avgHeadline": "Ø Nominalmiete",
+  "pdf.months": "{value} Monate",
+  "pdf.perAnnum": "{value} p.a.",
+  "pdf.indexFixed": "Feste Steigerung von {rate} % p.a.",
+  "pdf.indexCpi": "VPI {rate} % p.a., Schwelle {threshold} %, erste Anpassung in Monat {month}",
+  "pdf.indexStepped": "Staffelmiete ({count} Staffeln)",
+  "pdf.rentFree": "{months} Monate, {placement}",
+  "pdf.rentReduction": "Mietreduktion während der mietfreien Zeit",
+  "pdf.fitOut": "{total} (Eingabe {mode})",
+  "pdf.agentFees": "{months} Monate = {amount}",
+  "pdf.serviceCharge": "{charge}{cap}, {share} nicht umlegbar",
+  "pdf.cap": ", Deckelung {value}",
+  "pdf.space": "Fläche: {label}",
+  "pdf.units": "{count} Stk.",
+  "pdf.at": "{quantity} zu {rent}",
+  "pdf.break": "Sonderkündigungsrecht",
+  "pdf.breakTerms": "Monat {month}, Pönale {penalty} Monatsmieten{clawback}",
+  "pdf.clawback": ", Rückforderung der Incentives",
+  "pdf.finalInclLumpsum": "Finale NER inkl. Einmalbetrag",
+  "pdf.discountedAt": "Diskontierte NER @ {rate} p.a.",
+  "pdf.lumpsum": "Einmalbetrag",
+  "pdf.irr": "IRR der Incentives (% p.a.)",
+  "pdf.payback": "Amortisation (Monat)",
+  "pdf.headingInputs": "1. Mietvertragsdaten",
+  "pdf.headingBreakdown": "2. NER-Aufschlüsselung",
+  "pdf.headingComparison": "3. Szenariovergleich",
+  "pdf.headingAssumptions": "4. Annahmen",
+  "pdf.headingDisclaimer": "5. Haftungsausschluss",
+  "pdf.colInput": "Eingabe",
+  "pdf.colValue": "Wert",
+  "pdf.colStep": "Stufe",
+  "pdf.colVsHeadline": "vs. Nominal",
+  "pdf.colHorizon": "Horizont",
+  "pdf.chartSteps": "NER-Stufen ({unit})",
+  "pdf.chartWaterfall": "Wasserfall ({unit})",
+  "pdf.chartByCase": "Finale NER je Fall ({unit})",
+  "pdf.footer": "NER-Bericht",
+  "pdf.page": "Seite {page} von {total}",
+  "pdf.assumeAdvance": "Die Miete wird monatlich im Voraus gezahlt. Ein angebrochener letzter Monat wird anteilig berechnet.",
+  "pdf.assumeRentFree": "In den mietfreien Monaten entfällt die (indexierte) Miete; die mietfreie Zeit liegt {placement}.",
+  "pdf.placed.upfront": "zu Beginn",
+  "pdf.placed.spread": "verteilt pro Mietjahr",
+  "pdf.placed.end": "am Ende der Laufzeit",
+  "pdf.placed.custom": "in eigens gewählten Monaten",
+  "pdf.assumeIndexation": "Mietindexierung: {indexation}.",
+  "pdf.assumeIncentives": "Ausbaukosten, Maklerprovision und Einmalbeträge fallen zu Mietbeginn an. Die Maklerprovision ist eine Anzahl Monatsmieten der Nominalmiete zu Mietbeginn.",
+  "pdf.assumeFormula": "NER = (Nominalmiete - mietfreie Zeit - Ausbaukosten - Maklerprovision + Einmalbetrag) / (Laufzeit x GLA), ausgewiesen pro {area} GLA und {period}.",
+  "pdf.assumeDiscount": "Die diskontierte NER verwendet {rate} p.a., umgerechnet in einen Monatszins, und verteilt den Barwert gleichmäßig über die Laufzeit.",
+  "pdf.assumeValue": "Die Wertauswirkung verwendet eine Exit-Rendite von {rate} auf die durchschnittliche Nominalmiete und auf die finale NER.",
+  "pdf.assumeHorizon": "Die Ergebnisse dieses Berichts laufen bis zum Laufzeitende, sofern kein Kündigungshorizont gesondert ausgewiesen ist.",
+  "pdf.disclaimer": "Dieser Bericht wurde mit dem NER-Rechner auf Grundlage der oben genannten Annahmen erstellt. Er dient nur zur Orientierung und ist weder ein Angebot noch eine Bewertung oder Finanzberatung. Die Ergebnisse hängen von den Eingaben und der in diesem Bericht beschriebenen vereinfachten Berechnungsmethode ab; bitte vor einer Verwendung prüfen.",
+
+  // Excel export
+  "xlsx.summary": "Übersicht",
+  "xlsx.case": "Fall",
+  "xlsx.comparison": "NER-Vergleich",
+  "xlsx.rfMode": "Lage der Mietfreiheit (upfront / spread / end / custom)",
+  "xlsx.rfPerYear": "Mietfreie Monate pro Mietjahr (spread)",
+  "xlsx.fitMode": "Eingabe Ausbaukosten (perNLA / perGLA / total)",
+  "xlsx.otherRent": "Miete weiterer Bestandteile {currency}/Monat zu Beginn",
+  "xlsx.period": "Monate pro Mietperiode",
+  "xlsx.monthlyRent": "Monatliche Nominalmiete zu Beginn",
+  "xlsx.gross": "Bruttomiete",
+  "xlsx.denom": "Nenner (Laufzeit in Mietperioden × GLA)",
+  "xlsx.note": "Indexfaktoren (Spalte C der Monatstabelle) sind Werte aus dem Rechner; alle anderen Zellen der Tabelle sind Formeln. Kündigungsrechte, Betriebskosten und Diskontierung sind nicht Teil dieses Blatts.",
+  "xlsx.component": "Weiterer Mietbestandteil",
+  "xlsx.componentQuantity": "Menge ({unit} oder Stellplätze)",
+  "xlsx.componentRent": "Miete ({area} oder {unit})",
+  "xlsx.componentRentFree": "Eigene Mietfreiheit (Monate; leer folgt dem Mietvertrag)",
+  "xlsx.componentRentFreeShare": "{label} mietfreier Anteil",
+  "xlsx.customMonths": "Mietfreie Monate (eigene Lage)",
+  "xlsx.tableNote": "Die Monatstabelle reicht bis Monat {months}; eine längere Laufzeit braucht weitere Zeilen. Indexfaktoren in Spalte C sind feste Werte.",
+  "xlsx.shareOfMonth": "Monatsanteil",
+  "xlsx.indexFactor": "Indexfaktor (Wert)",
+  "xlsx.rentFreeShare": "Mietfreier Anteil",
+  "xlsx.officeHeadline": "Büro Nominal {currency}",
+  "xlsx.officeRentFree": "Büro mietfrei {currency}",
+  "xlsx.otherHeadline": "Weitere Nominal {currency}",
+  "xlsx.otherRentFree": "Weitere mietfrei {currency}",
+  "xlsx.netRent": "Nettomiete {currency}",
+};
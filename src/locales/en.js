@@ -0,0 +1,616 @@
+// English, also the fallback for keys missing in other dictionaries.
+export const name = "English";
+
+export default {
+  // Shared words
+  "common.cancel": "Cancel",
+  "common.open": "Open",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.duplicate": "Duplicate",
+  "common.rename": "Rename",
+  "common.import": "Import",
+  "common.current": "Current",
+  "common.total": "Total",
+  "common.dismiss": "Dismiss",
+  "common.na": "n/a",
+  "common.language": "Language",
+
+  // Units
+  "unit.area.sqm": "sqm",
+  "unit.area.sqft": "sq ft",
+  "unit.per.month": "month",
+  "unit.per.quarter": "quarter",
+  "unit.per.year": "year",
+  "unit.period.month": "Monthly",
+  "unit.period.quarter": "Quarterly",
+  "unit.period.year": "Annual",
+  "unit.space": "space",
+
+  // Lease inputs
+  "field.tenant": "Tenant",
+  "field.nla": "NLA",
+  "field.gla": "GLA",
+  "field.addon": "Add-On (%)",
+  "field.headlineRent": "Headline Rent",
+  "field.leaseTerm": "Lease Term (months)",
+  "field.rentFree": "Rent-Free (months)",
+  "field.rentFreePlacement": "Rent-Free Placement",
+  "field.rentReduction": "Rent Reduction (%)",
+  "field.fitOutInput": "Fit-Out Input",
+  "field.fitPerNLA": "Fit-Out ({unit} NLA)",
+  "field.fitPerGLA": "Fit-Out ({unit} GLA)",
+  "field.fitTotal": "Fit-Out Total ({currency})",
+  "field.agentFees": "Agent Fees (months)",
+  "field.lumpsumCosts": "Lumpsum Costs (-)",
+  "field.compensation": "Compensation (+)",
+  "field.lumpsum": "Lumpsum Costs (-) / Compensation (+)",
+  "field.discountRate": "Discount Rate (% p.a.)",
+  "field.serviceCharge": "Service Charge",
+  "field.nonRecoverable": "Non-Recoverable (%)",
+  "field.exitYield": "Exit Yield (%)",
+  "field.indexRate": "Annual Step-Up (% p.a.)",
+  "field.cpiRate": "Assumed CPI (% p.a.)",
+  "field.indexMode": "Rent Indexation",
+  "field.cpiThreshold": "CPI Threshold (%)",
+  "field.cpiFirstMonth": "First Indexation (month)",
+  "field.serviceChargeCap": "Service Charge Cap",
+
+  // Short input names for charts, tables and exports
+  "short.addon": "Add-On",
+  "short.leaseTerm": "Lease Term",
+  "short.indexation": "Rent Indexation",
+  "short.rentFree": "Rent-Free",
+  "short.fitOut": "Fit-Out",
+  "short.agentFees": "Agent Fees",
+  "short.lumpsum": "Lumpsum / Compensation",
+  "short.discountRate": "Discount Rate",
+  "short.serviceCharge": "Service Charge",
+  "short.exitYield": "Exit Yield",
+
+  // Results
+  "ner.ner1": "NER 1 incl. Rent Frees",
+  "ner.ner2": "NER 2 incl. Fit-Outs",
+  "ner.ner3": "NER 3 incl. Agent Fees",
+  "ner.final": "Final NER",
+  "ner.discounted": "Discounted NER",
+  "total.headline": "Total Headline Rent",
+  "total.rentFrees": "Total Rent Frees",
+  "total.fitOut": "Total Fit-Out",
+  "total.agentFees": "Total Agent Fees",
+  "total.lumpsum": "Lumpsum Costs / Compensation",
+
+  // Options
+  "rf.upfront": "Upfront",
+  "rf.spread": "Spread p.a.",
+  "rf.end": "Back-loaded",
+  "rf.custom": "Custom months",
+  "index.none": "None",
+  "index.fixed": "Fixed p.a.",
+  "index.cpi": "CPI",
+  "index.stepped": "Stepped",
+  "space.office": "Office",
+  "space.storage": "Storage",
+  "space.parking": "Parking",
+  "space.terrace": "Terrace",
+  "space.other": "Other",
+  "horizon.break": "Break M{month}",
+  "horizon.expiry": "Expiry",
+
+  // Calculator page
+  "app.title": "Net Effective Rent (NER) Calculator",
+  "app.tenantPlaceholder": "Tenant Name",
+  "app.serviceCharges": "Service Charges",
+  "app.landlordCap": "Landlord Cap",
+  "app.noCap": "no cap",
+  "results.tenant": "Tenant:",
+  "results.blended": "Blended Headline (office-equivalent)",
+  "results.avgIndexed": "Avg. Indexed Rent",
+  "results.totalFit": "Total Fit Out: {amount}",
+  "results.ner1": "NER incl. Rent Frees:",
+  "results.ner2": "incl. Fit-Outs:",
+  "results.ner3": "incl. Agent Fees:",
+  "results.discountedAt": "@ {rate}% p.a.",
+  "results.gross": "Gross Effective Rent",
+  "results.tenantTag": "(tenant)",
+  "results.inclServiceCharge": "incl. {amount} service charge",
+  "results.net": "Net Income Effective Rent",
+  "results.landlordTag": "(landlord)",
+  "results.afterNonRecoverables": "after {amount} non-recoverables",
+  "results.breakVsExpiry": "NER to First Break vs. Expiry",
+  "actions.exportResultsPng": "Export Results PNG",
+  "actions.exportFullPng": "Export Full PNG",
+  "actions.pdfReport": "PDF Report",
+  "actions.saveProjectFile": "Save Project File",
+  "actions.copyShareLink": "Copy Share Link",
+  "actions.linkCopied": "Link Copied ✓",
+  "actions.saveFile": "Save {ext}",
+  "actions.openFile": "Open {ext}",
+  "actions.exportExcel": "Export Excel (XLSX)",
+  "actions.importDeals": "Import Deals (CSV / XLSX)",
+  "actions.copyLinkPrompt": "Copy this share link:",
+  "actions.redirecting": "Redirecting to NER Calculator...",
+  "actions.htmlTitle": "NER Project - {tenant}",
+  "tab.scenarios": "Scenarios",
+  "tab.charts": "Scenario Charts",
+  "tab.cashflow": "Cash Flow",
+  "tab.goalseek": "Goal Seek",
+  "tab.sensitivity": "Sensitivity",
+  "tab.comps": "Comparables",
+  "tab.log": "Change Log",
+
+  // Scenario table
+  "scenarios.hint": "Rename, recolour, duplicate or drag scenario headers to reorder.",
+  "scenarios.add": "+ Add Scenario",
+  "scenarios.parameters": "Parameters",
+  "scenarios.finalNer": "FINAL NER ({unit})",
+  "scenarios.deviation": "Deviation vs Current",
+  "scenarios.baseCase": "Base case",
+  "scenarios.breakdown": "NER Breakdown",
+  "scenarios.finalTo": "Final NER to {horizon} ({unit})",
+  "scenarios.irr": "IRR on Incentive Package (% p.a.)",
+  "scenarios.payback": "Payback Fit-Out + Agent Fees (month)",
+  "scenario.name": "Scenario {id}",
+  "scenario.copy": "{name} (copy)",
+  "scenario.drag": "Drag to reorder",
+  "scenario.colour": "Colour",
+
+  // Undo/redo and change log
+  "history.undo": "↶ Undo",
+  "history.redo": "↷ Redo",
+  "history.undoHint": "Undo the last change (Ctrl+Z)",
+  "history.redoHint": "Redo (Ctrl+Shift+Z)",
+  "log.note": "Every change to the inputs and scenarios, newest first. The log is saved with the project.",
+  "log.clear": "Clear Log",
+  "log.confirmClear": "Clear the change log of this project? Undo/redo is not affected.",
+  "log.emptyLog": "No changes yet. Edits to the inputs and scenarios are listed here.",
+  "log.time": "Time",
+  "log.case": "Case",
+  "log.field": "Field",
+  "log.from": "From",
+  "log.to": "To",
+  "log.action.undo": "undo",
+  "log.action.redo": "redo",
+  "log.base": "(base)",
+  "log.empty": "(empty)",
+  "log.entries": "{count} entries",
+  "log.added": "Scenario added",
+  "log.removed": "Scenario removed",
+  "log.fit.perNLA": "per NLA",
+  "log.fit.perGLA": "per GLA",
+  "log.fit.total": "Total",
+  "log.field.tenant": "Tenant",
+  "log.field.nla": "NLA",
+  "log.field.addon": "Add-On (%)",
+  "log.field.rent": "Headline Rent",
+  "log.field.duration": "Lease Term (months)",
+  "log.field.rf": "Rent-Free (months)",
+  "log.field.rfMode": "Rent-Free Placement",
+  "log.field.rfShare": "Rent Reduction (%)",
+  "log.field.rfPerYear": "Rent-Free Months per Lease Year",
+  "log.field.rfMonths": "Rent-Free Months",
+  "log.field.agent": "Agent Fees (months)",
+  "log.field.fitMode": "Fit-Out Input",
+  "log.field.fitPerNLA": "Fit-Out per NLA",
+  "log.field.fitPerGLA": "Fit-Out per GLA",
+  "log.field.fitTot": "Fit-Out Total",
+  "log.field.unforeseen": "Lumpsum Costs / Compensation",
+  "log.field.discountRate": "Discount Rate (% p.a.)",
+  "log.field.indexMode": "Rent Indexation",
+  "log.field.indexRate": "Annual Step-Up (% p.a.)",
+  "log.field.cpiRate": "Assumed CPI (% p.a.)",
+  "log.field.cpiThreshold": "CPI Threshold (%)",
+  "log.field.cpiFirstMonth": "First Indexation (month)",
+  "log.field.rentSteps": "Rent Steps",
+  "log.field.breaks": "Break Options",
+  "log.field.spaces": "Space Components",
+  "log.field.serviceCharge": "Service Charge",
+  "log.field.serviceChargeCap": "Service Charge Cap",
+  "log.field.nonRecoverable": "Non-Recoverable (%)",
+  "log.field.exitYield": "Exit Yield (%)",
+  "log.field.name": "Scenario Name",
+  "log.field.color": "Scenario Colour",
+  "log.field.order": "Scenario Order",
+
+  // Notices
+  "notice.couldNotOpen": "Could not open {source}",
+  "notice.repaired": "Some values in {source} were repaired",
+  "notice.didNotOpen": "Did not open {source}",
+  "notice.noPassphrase": "No passphrase was entered.",
+  "notice.shareLink": "the share link",
+  "notice.projectLink": "the project link",
+  "notice.couldNotOpenShareLink": "Could not open the share link",
+  "notice.couldNotOpenLink": "Could not open the project link",
+  "notice.linkDamaged": "The link data is incomplete or damaged.",
+  "notice.couldNotReopen": "Could not reopen the last project",
+  "notice.notEncrypted": "Export not encrypted",
+  "notice.passphraseMismatch": "Enter the same passphrase twice, or turn encryption off.",
+  "notice.noCrypto": "This browser does not support Web Crypto encryption.",
+  "notice.couldNotImport": "Could not import \"{file}\"",
+  "notice.couldNotExportExcel": "Could not export the Excel workbook",
+  "notice.autosaveFailed": "Could not save the project to the local library",
+
+  // Support page
+  "support.title": "NER Calculator Support",
+  "support.contact": "For support, questions, bug reports or feature requests please contact:",
+  "support.response": "We usually respond within 2 business days.",
+  "support.application": "Application:",
+  "support.appName": "NER – Net Effective Rent Calculator",
+  "support.developer": "Developer:",
+
+  // Charts
+  "chart.headline": "Headline",
+  "chart.final": "Final",
+  "chart.rf": "RF",
+  "chart.fo": "FO",
+  "chart.af": "AF",
+  "chart.uc": "UC",
+  "chart.finalNer": "Final NER",
+  "chart.rent": "Rent",
+  "chart.bars": "Bars",
+  "chart.waterfall": "Waterfall",
+
+  // Input panels
+  "rf.title": "Rent-Free Placement:",
+  "rf.perYear": "Months per Lease Year",
+  "rf.months": "Months (e.g. 1-3, 13, 25)",
+  "rf.perYearPlaceholder": "months / year",
+  "rf.note": "100% is a full rent-free; 50% means half rent in the rent-free months.",
+  "index.title": "Rent Indexation:",
+  "index.threshold": "Threshold (%)",
+  "index.firstMonth": "First Indexation (month)",
+  "index.from": "From month",
+  "index.to": "To month",
+  "index.rent": "Rent",
+  "index.removeStep": "Remove step",
+  "index.addStep": "+ Add Step",
+  "index.uncovered": "Months not covered by a step are charged at the headline rent.",
+  "breaks.title": "Tenant Break Options:",
+  "breaks.add": "+ Add Break",
+  "breaks.none": "No break options. NER is calculated to expiry.",
+  "breaks.month": "Break (month)",
+  "breaks.penalty": "Penalty (months)",
+  "breaks.clawback": "Claw back",
+  "breaks.clawbackHint": "Tenant repays unamortised rent-frees and fit-out",
+  "breaks.remove": "Remove break",
+  "breaks.payment": "Break Payment",
+  "spaces.title": "Additional Space Components:",
+  "spaces.add": "+ Add Component",
+  "spaces.none": "Office only. Add storage, parking or terraces with their own rent.",
+  "spaces.labelPlaceholder": "Label (optional)",
+  "spaces.remove": "Remove component",
+  "spaces.count": "Spaces",
+  "spaces.area": "Area ({unit})",
+  "spaces.ownRentFree": "Own Rent-Free",
+  "spaces.asLease": "as lease",
+  "spaces.note": "Fit-out stays tied to the office NLA. NER is shown per office {unit} (GLA).",
+  "spaces.component": "Component",
+  "spaces.qty": "Qty",
+  "spaces.headline": "Headline",
+  "spaces.nerRf": "NER incl. RF",
+  "spaces.netRent": "Net Rent",
+  "spaces.share": "Share",
+  "spaces.units": "{count} unit",
+
+  // Landlord analysis
+  "landlord.title": "Landlord Analysis",
+  "landlord.irr": "IRR on Incentive Package",
+  "landlord.irrValue": "{value}% p.a.",
+  "landlord.outlay": "Fit-Out + Agent Fees",
+  "landlord.payback": "Payback",
+  "landlord.notWithinTerm": "not within term",
+  "landlord.month": "month {month}",
+  "landlord.headlineValue": "Capital Value on Headline",
+  "landlord.effectiveValue": "Capital Value on Final NER",
+  "landlord.valueImpact": "Value Impact of Incentives",
+
+  // Goal seek
+  "goal.target": "Target",
+  "goal.targetValue": "Target Value {unit}",
+  "goal.solveFor": "Solve for",
+  "goal.basedOn": "Based on",
+  "goal.solve": "Solve",
+  "goal.required": "Required {label}:",
+  "goal.gives": "(gives {value})",
+  "goal.applyCurrent": "Apply to Current",
+  "goal.writeTo": "Write to {name}",
+  "goal.unknownVariable": "Unknown variable.",
+  "goal.customMonths": "Rent-free uses custom months; switch placement to solve for months.",
+  "goal.unreachable": "Target not reachable: {label} between {from} and {to} gives {min} to {max} {unit}.",
+
+  // Sensitivity
+  "sens.flexBy": "Flex inputs by:",
+  "sens.pct": "± %",
+  "sens.abs": "± absolute step",
+  "sens.impact": "Final NER impact ({unit}) vs. {base}",
+  "sens.down": "Input down",
+  "sens.up": "Input up",
+  "sens.at": "{delta} (at {value})",
+  "sens.twoWay": "Two-Way Table: Final NER ({unit})",
+  "sens.rows": "Rows",
+  "sens.rowStep": "Row Step",
+  "sens.columns": "Columns",
+  "sens.columnStep": "Column Step",
+
+  // Cash flow
+  "cash.note": "Landlord view: rent monthly in advance, incentives paid in month 1. Outflows are negative ({currency}).",
+  "cash.export": "Export CSV",
+  "cash.month": "Month",
+  "cash.rent": "Rent {unit}",
+  "cash.agentFee": "Agent Fee",
+  "cash.net": "Net Cash",
+  "cash.cumHeadline": "Cum. Headline",
+  "cash.cumNet": "Cum. Net Cash",
+
+  // Project settings
+  "settings.title": "Units and Number Format (saved with the project)",
+  "settings.display": "Display",
+  "settings.currency": "Currency",
+  "settings.typedNumbers": "Typed Numbers",
+  "settings.areaUnit": "Area Unit",
+  "settings.rentQuoted": "Rent Quoted",
+  "settings.decimal.locale": "As display locale",
+  "settings.decimal.point": "Decimal point (1,000.5)",
+  "settings.decimal.comma": "Decimal comma (1.000,5)",
+  "settings.typingNote": "Typing \"1.000\" reads as {thousand}, \"1,5\" as {oneHalf}.",
+  "settings.unitsNote": "Switching units only changes how values are shown and typed; the stored lease data stays in sqm and monthly rent.",
+  "settings.notObject": "Settings were not an object and were reset to the defaults.",
+  "settings.unknown": "Unknown setting \"{key}\" was ignored.",
+  "settings.invalid": "Setting \"{key}\" {value} {hint}; reset to \"{fallback}\".",
+  "settings.hintLocale": "is not a known locale",
+  "settings.hintCurrency": "is not an ISO currency code",
+
+  // Project library
+  "library.title": "Project Library",
+  "library.new": "+ New Project",
+  "library.search": "Search by project, tenant or scenario name",
+  "library.unavailable": "The local project library is not available in this browser.",
+  "library.project": "Project",
+  "library.copy": "{name} (copy)",
+  "library.modified": "Last Modified",
+  "library.empty": "No saved projects.",
+  "library.isOpen": "(open)",
+  "library.confirmDelete": "Delete \"{name}\"?",
+  "library.note": "Projects are saved automatically in this browser only and work offline. Clearing site data removes them.",
+  "library.untitled": "Untitled project",
+
+  // Rent roll
+  "rentRoll.title": "Rent Roll",
+  "rentRoll.building": "Building",
+  "rentRoll.floor": "Floor",
+  "rentRoll.status": "Status",
+  "rentRoll.start": "Lease Start",
+  "rentRoll.status.negotiation": "Negotiation",
+  "rentRoll.status.offer": "Under offer",
+  "rentRoll.status.signed": "Signed",
+  "rentRoll.all": "All",
+  "rentRoll.headline": "Headline Rent",
+  "rentRoll.finalNer": "Final NER",
+  "rentRoll.incentives": "Incentives",
+  "rentRoll.expiry": "Expiry",
+  "rentRoll.term": "{months} months",
+  "rentRoll.scenarios": "{count} scenarios",
+  "rentRoll.empty": "No leases match the filters.",
+  "rentRoll.openHint": "Open this tenant in the calculator",
+  "rentRoll.otherCurrency": "Saved in another currency; not included in the totals.",
+  "rentRoll.totals": "Building total ({count} leases, GLA-weighted)",
+  "rentRoll.incentiveShare": "{share}% of headline",
+  "rentRoll.note": "One row per project in the library, using its current case. Incentives are rent-frees, fit-out and lump-sum costs over the lease term. Click a row to open the tenant.",
+  "rentRoll.excluded": "{count} leases in another currency than {currency} are not included in the totals.",
+  "rentRoll.unreadable": "{count} projects could not be read and are not listed.",
+  "rentRoll.notObject": "The rent roll entry was not an object and was reset.",
+  "rentRoll.unknown": "Unknown rent roll field \"{key}\" was ignored.",
+  "rentRoll.invalid": "Rent roll field \"{key}\" {value} {hint}; reset to \"{fallback}\".",
+  "rentRoll.hintStart": "is not a month (YYYY-MM)",
+
+  // Comparables
+  "comps.title": "Comparables",
+  "comps.col.date": "Date",
+  "comps.col.building": "Building",
+  "comps.col.submarket": "Submarket",
+  "comps.col.tenant": "Tenant",
+  "comps.col.area": "Area",
+  "comps.col.rent": "Headline Rent",
+  "comps.col.term": "Term",
+  "comps.col.rentFree": "Rent-Free",
+  "comps.col.fitOut": "Fit-Out",
+  "comps.col.ner": "NER",
+  "comps.ner": "NER 2",
+  "comps.hint": "Completed deals stored in this browser for all projects. Click a column header to sort.",
+  "comps.addCurrent": "+ Add Current Case",
+  "comps.import": "Import CSV / XLSX",
+  "comps.export": "Export CSV",
+  "comps.add": "+ Add",
+  "comps.from": "Signed from",
+  "comps.to": "Signed to",
+  "comps.sortHint": "Sort by this column",
+  "comps.empty": "No comparables match the filters. Add the current case, type a deal below or import a CSV.",
+  "comps.nerBenchmark": "NER vs. Comparables",
+  "comps.rentFreeBenchmark": "Rent-Free vs. Comparables",
+  "comps.percentile": "Percentile rank {p}",
+  "comps.versus": "Current case {value} against {count} comparables (median {median}).",
+  "comps.nerHint": "Share of comparables with a lower NER 2 (after rent-frees and fit-out).",
+  "comps.rentFreeHint": "Share of comparables with fewer effective rent-free months.",
+  "comps.months": "{months} months",
+  "comps.note": "Comps record no agent fees, add-on or indexation, so every deal, and the current case on its GLA, is compared on the NER after rent-frees and fit-out (NER 2) at flat headline rent, worked out with the calculator's formulas. CSV files use the project's decimal separator and units; dates as 2024-05-31 or 31.05.2024.",
+  "comps.imported": "{count} comparables imported from {file}.",
+  "comps.confirmDelete": "Delete the comparable \"{name}\"?",
+  "comps.badDate": "date \"{value}\" is not a date",
+  "comps.missing": "{column} is missing",
+  "comps.badNumber": "{column} \"{value}\" is not a positive number",
+  "comps.zero": "area and term must be above zero",
+  "comps.noColumns": "The file needs at least area, headline rent and term columns. Expected headers such as {headers}.",
+  "comps.skipped": "Row {row}: {error}; skipped.",
+
+  // Passphrase
+  "pass.title": "🔒 Encrypted project",
+  "pass.enter": "Enter the passphrase to open {source}.",
+  "pass.encrypt": "🔒 Encrypt file and share link with a passphrase",
+  "pass.passphrase": "Passphrase",
+  "pass.repeat": "Repeat passphrase",
+  "pass.mismatch": "The passphrases do not match.",
+  "pass.note": "Share the passphrase separately, e.g. by phone. It is not stored and cannot be recovered.",
+  "pass.unsupported": "This encrypted project uses an unsupported format.",
+  "pass.wrong": "Wrong passphrase, or the encrypted data is damaged.",
+  "pass.damaged": "The encrypted data is damaged.",
+  "share.noCompression": "This browser cannot open compressed share links. Please use a current browser.",
+  "share.unknownFormat": "The share link format is not recognised.",
+
+  // Report dialog
+  "report.title": "PDF Report",
+  "report.intro": "Cover, lease inputs, NER breakdown with charts, scenario comparison, assumptions and disclaimer.",
+  "report.branding": "Add company branding",
+  "report.company": "Company Name",
+  "report.contact": "Contact Line",
+  "report.contactPlaceholder": "e.g. name, phone, e-mail",
+  "report.accent": "Accent Colour",
+  "report.logo": "Logo (PNG/JPEG)",
+  "report.removeLogo": "Remove logo",
+  "report.disclaimer": "Disclaimer (leave empty for the standard text)",
+  "report.remembered": "Branding is remembered in this browser for future reports.",
+  "report.logoType": "The logo must be a PNG or JPEG image.",
+  "report.logoSize": "The logo must be smaller than 500 KB.",
+  "report.failed": "The report could not be created: {error}",
+  "report.creating": "Creating…",
+  "report.create": "Create PDF",
+
+  // Deal import
+  "import.title": "Import Deal Terms",
+  "import.rowsOne": "{file}: 1 row",
+  "import.rowsMany": "{file}: {count} rows",
+  "import.mapped": "Mapped columns:",
+  "import.ignored": "Ignored columns:",
+  "import.row": "Row",
+  "import.more": "… and {count} more rows",
+  "import.toCurrent": "Fill the current case from the first row",
+  "import.toScenarios": "Add every row as a new scenario (named after the tenant)",
+  "import.col.tenant": "Tenant",
+  "import.col.nla": "NLA",
+  "import.col.addon": "Add-On",
+  "import.col.rent": "Rent",
+  "import.col.duration": "Term",
+  "import.col.rf": "Rent-Free",
+  "import.col.fitPerNLA": "Fit-Out {currency}/NLA",
+  "import.col.fitPerGLA": "Fit-Out {currency}/GLA",
+  "import.col.fitTot": "Fit-Out Total",
+  "import.col.agent": "Agent",
+  "import.col.unforeseen": "Lump Sum",
+  "import.noColumns": "No known columns found. Expected headers such as {headers}.",
+  "import.skipped": "Row {row}: {column} \"{value}\" {error} and was skipped.",
+  "import.rowName": "Import row {row}",
+  "import.noRows": "The file has a header row but no deal rows.",
+  "import.badType": "Only CSV, TXT, XLSX and XLS files can be imported.",
+  "import.tooLarge": "The file is larger than {size} MB.",
+
+  // Project file validation
+  "schema.notObject": "The project data is not an object.",
+  "schema.unknownVersion": "Unknown project file version {version}.",
+  "schema.newer": "This project was saved by a newer version of the calculator (file version {version}, supported up to {supported}). Please reload the app to update it.",
+  "schema.noInputs": "The project data has no lease inputs.",
+  "schema.invalidJson": "The file is not a valid project file (invalid JSON).",
+  "schema.scenariosNotList": "Scenarios were not a list and were replaced by the default scenarios.",
+  "schema.unknownField": "Unknown field \"{key}\" was ignored.",
+  "schema.fieldReset": "Field \"{key}\" {value} {error}; reset to {fallback}.",
+  "schema.fieldNote": "Field \"{key}\": {note}.",
+  "schema.scenarioUnknown": "Scenario \"{name}\": unknown field \"{key}\" was ignored.",
+  "schema.scenarioInvalid": "Scenario \"{name}\": \"{key}\" {value} {error}; the base value applies.",
+  "schema.scenarioNote": "Scenario \"{name}\": \"{key}\" {note}.",
+  "schema.entryNotObject": "entry {n} is not an object and was removed",
+  "schema.entryCleared": "entry {n} \"{key}\" {value} {error} and was cleared",
+  "schema.notFinite": "is not a finite number",
+  "schema.notNumber": "is not a number",
+  "schema.notText": "is not text",
+  "schema.notBoolean": "is not true or false",
+  "schema.notOneOf": "is not one of {values}",
+  "schema.notList": "is not a list",
+  "schema.unsupported": "is not supported",
+  "schema.notField": "is not a calculator field",
+  "schema.logNotList": "The change log was not a list and was cleared.",
+  "schema.logDropped": "{count} unreadable change log entries were removed.",
+
+  // PDF report
+  "pdf.calculator": "NER Calculator",
+  "pdf.title": "Net Effective Rent Report",
+  "pdf.unnamedTenant": "Unnamed tenant",
+  "pdf.preparedOn": "Prepared on {date}",
+  "pdf.avgHeadline": "Average Headline Rent",
+  "pdf.months": "{value} months",
+  "pdf.perAnnum": "{value} p.a.",
+  "pdf.indexFixed": "Fixed step-up of {rate} % p.a.",
+  "pdf.indexCpi": "CPI {rate} % p.a., threshold {threshold} %, first review in month {month}",
+  "pdf.indexStepped": "Stepped rent schedule ({count} steps)",
+  "pdf.rentFree": "{months} months, {placement}",
+  "pdf.rentReduction": "Rent Reduction during Rent-Free",
+  "pdf.fitOut": "{total} (input {mode})",
+  "pdf.agentFees": "{months} months = {amount}",
+  "pdf.serviceCharge": "{charge}{cap}, {share} non-recoverable",
+  "pdf.cap": ", cap {value}",
+  "pdf.space": "Space: {label}",
+  "pdf.units": "{count} units",
+  "pdf.at": "{quantity} at {rent}",
+  "pdf.break": "Tenant Break",
+  "pdf.breakTerms": "Month {month}, penalty {penalty} months' rent{clawback}",
+  "pdf.clawback": ", incentive claw back",
+  "pdf.finalInclLumpsum": "Final NER incl. Lumpsum",
+  "pdf.discountedAt": "Discounted NER @ {rate} p.a.",
+  "pdf.lumpsum": "Lumpsum",
+  "pdf.irr": "IRR on Incentives (% p.a.)",
+  "pdf.payback": "Payback (month)",
+  "pdf.headingInputs": "1. Lease Inputs",
+  "pdf.headingBreakdown": "2. NER Breakdown",
+  "pdf.headingComparison": "3. Scenario Comparison",
+  "pdf.headingAssumptions": "4. Assumptions",
+  "pdf.headingDisclaimer": "5. Disclaimer",
+  "pdf.colInput": "Input",
+  "pdf.colValue": "Value",
+  "pdf.colStep": "Step",
+  "pdf.colVsHeadline": "vs. Headline",
+  "pdf.colHorizon": "Horizon",
+  "pdf.chartSteps": "NER Steps ({unit})",
+  "pdf.chartWaterfall": "Waterfall ({unit})",
+  "pdf.chartByCase": "Final NER by Case ({unit})",
+  "pdf.footer": "NER Report",
+  "pdf.page": "Page {page} of {total}",
+  "pdf.assumeAdvance": "Rent is paid monthly in advance. A fractional last month is charged pro rata.",
+  "pdf.assumeRentFree": "Rent-frees waive the (indexed) rent due in the rent-free months, placed {placement}.",
+  "pdf.placed.upfront": "upfront",
+  "pdf.placed.spread": "spread p.a.",
+  "pdf.placed.end": "back-loaded",
+  "pdf.placed.custom": "custom months",
+  "pdf.assumeIndexation": "Rent indexation: {indexation}.",
+  "pdf.assumeIncentives": "Fit-out, agent fees and lump sums are booked at lease start. Agent fees are a number of months of the monthly headline rent at lease start.",
+  "pdf.assumeFormula": "NER = (headline rent - rent-frees - fit-out - agent fees + lump sum) / (lease term x GLA), shown per {area} of GLA and {period}.",
+  "pdf.assumeDiscount": "The discounted NER uses {rate} p.a., converted to a monthly rate, and spreads the present value evenly over the lease term.",
+  "pdf.assumeValue": "Capital value impact uses an exit yield of {rate} on the average headline rent and on the Final NER.",
+  "pdf.assumeHorizon": "Results in this report run to lease expiry unless a break horizon is shown separately.",
+  "pdf.disclaimer": "This report was prepared with the NER Calculator from the assumptions shown above. It is indicative only and is not an offer, a valuation or financial advice. The results depend on the inputs and on the simplified calculation method described in this report; please verify them before relying on them.",
+
+  // Excel export
+  "xlsx.summary": "Summary",
+  "xlsx.case": "Case",
+  "xlsx.comparison": "NER Comparison",
+  "xlsx.rfMode": "Rent-Free Placement (upfront / spread / end / custom)",
+  "xlsx.rfPerYear": "Rent-Free Months per Lease Year (spread)",
+  "xlsx.fitMode": "Fit-Out Input (perNLA / perGLA / total)",
+  "xlsx.otherRent": "Other Components Rent {currency}/month at start",
+  "xlsx.period": "Months per Rent Period",
+  "xlsx.monthlyRent": "Monthly Headline Rent at start",
+  "xlsx.gross": "Gross Rent",
+  "xlsx.denom": "Denominator (term in rent periods × GLA)",
+  "xlsx.note": "Index factors (column C of the monthly table) are values from the calculator; all other cells of the table are formulas. Break options, service charges and discounting are not part of this sheet.",
+  "xlsx.component": "Other Lease Component",
+  "xlsx.componentQuantity": "Quantity ({unit} or spaces)",
+  "xlsx.componentRent": "Rent ({area} or {unit})",
+  "xlsx.componentRentFree": "Own Rent-Free (months; empty follows the lease)",
+  "xlsx.componentRentFreeShare": "{label} Rent-Free Share",
+  "xlsx.customMonths": "Rent-Free Months (custom placement)",
+  "xlsx.tableNote": "The monthly table runs to month {months}; a longer lease term needs more rows. Index factors in column C are fixed values.",
+  "xlsx.shareOfMonth": "Share of Month",
+  "xlsx.indexFactor": "Index Factor (value)",
+  "xlsx.rentFreeShare": "Rent-Free Share",
+  "xlsx.officeHeadline": "Office Headline {currency}",
+  "xlsx.officeRentFree": "Office Rent-Free {currency}",
+  "xlsx.otherHeadline": "Other Headline {currency}",
+  "xlsx.otherRentFree": "Other Rent-Free {currency}",
+  "xlsx.netRent": "Net Rent {currency}",
+};
@@ -0,0 +1,27 @@
+const BRANDING_KEY = "ner:branding";
+
+export const DEFAULT_BRANDING = {
+  enabled: false,
+  companyName: "",
+  contact: "",
+  accentColor: "#005CA9",
+  logo: "",
+  disclaimer: "",
+};
+
+// Branding belongs to the user's company, not to a project, so it lives in localStorage.
+export const loadBranding = () => {
+  try {
+    return { ...DEFAULT_BRANDING, ...JSON.parse(localStorage.getItem(BRANDING_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_BRANDING };
+  }
+};
+
+export const saveBranding = (branding) => {
+  try {
+    localStorage.setItem(BRANDING_KEY, JSON.stringify(branding));
+  } catch {
+    // storage full or blocked: branding applies to this session only
+  }
+};
@@ -0,0 +1,25 @@
+import { clamp, P } from "./format";
+import { t } from "./i18n";
+
+export const readBreaks = (form) =>
+  (Array.isArray(form.breaks) ? form.breaks : [])
+    .map((b, i) => ({
+      index: i,
+      month: Math.round(P(b.month)),
+      penalty: clamp(P(b.penalty)),
+      clawback: Boolean(b.clawback),
+    }))
+    .filter((b) => b.month > 0)
+    .sort((a, b) => a.month - b.month);
+
+// Paid by the tenant when exercising the break: the penalty in months of the rent
+// passing at the break date plus, if agreed, the unamortised part of the rent-frees
+// received and the fit-out contribution (straight-line over the full term).
+export const calculateBreakPayment = (brk, { duration, monthlyRentAtBreak, rentFreesReceived, totalFit }) => {
+  const penalty = brk.penalty * monthlyRentAtBreak;
+  const unamortised = duration > 0 ? Math.max(0, 1 - brk.month / duration) : 0;
+  const clawback = brk.clawback ? (rentFreesReceived + totalFit) * unamortised : 0;
+  return { penalty, clawback, total: penalty + clawback };
+};
+
+export const horizonLabel = (brk) => (brk ? t("horizon.break", { month: brk.month }) : t("horizon.expiry"));
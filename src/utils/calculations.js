@@ -1,4 +1,10 @@
 import { clamp, P } from "./format";
+import { buildRentSchedule } from "./indexation";
+import { buildRentFreeProfile } from "./rentFree";
+import { expandCashFlows, sumCashFlows } from "./cashflow";
+import { calculateBreakPayment, horizonLabel, readBreaks } from "./breaks";
+import { buildRentStreams, streamTotals } from "./spaces";
+import { calculateServiceCharges } from "./serviceCharges";
 
 const readInputs = (form) => {
   const nla = clamp(P(form.nla));
@@ -12,6 +18,7 @@ const readInputs = (form) => {
   const perNLA = clamp(P(form.fitPerNLA));
   const perGLA = clamp(P(form.fitPerGLA));
   const tot = clamp(P(form.fitTot));
+  const discountRate = clamp(P(form.discountRate));
 
   return {
     nla,
@@ -25,31 +32,84 @@ const readInputs = (form) => {
     perNLA,
     perGLA,
     tot,
+    discountRate,
   };
 };
 
+// Monthly rate equivalent to an annual rate in percent.
+export const monthlyRate = (annualPct) => Math.pow(1 + annualPct / 100, 1 / 12) - 1;
+
+// Rent is paid monthly in advance and incentives are paid on day one.
+const discountTotals = (values, cashFlows) => {
+  const v = 1 / (1 + monthlyRate(values.discountRate));
+  let pvNet = 0;
+  let annuity = 0;
+
+  cashFlows.forEach((row, m) => {
+    const df = Math.pow(v, m);
+    pvNet += row.net * df;
+    annuity += row.share * df;
+  });
+
+  return { pvNet, annuity };
+};
+
 export const calculateTotalFit = (form, values = readInputs(form)) => {
   if (form.fitMode === "perNLA") return values.perNLA * values.nla;
   if (form.fitMode === "perGLA") return values.perGLA * values.gla;
   return values.tot;
 };
 
-export const calculateNER = (form) => {
+// With a break option the lease is evaluated to the break date instead of expiry.
+export const calculateNER = (form, brk = null) => {
   const values = readInputs(form);
-  const months = Math.max(0, values.duration - values.rf);
-  const gross = values.rent * values.gla * months;
+  const horizon = brk && brk.month < values.duration ? brk.month : values.duration;
+  const schedule = buildRentSchedule(form, values.rent, Math.ceil(values.duration));
+  const freeProfile = buildRentFreeProfile(form, values.duration).slice(0, Math.ceil(horizon));
+  const freeMonths = freeProfile.reduce((acc, x) => acc + x, 0);
+  const months = Math.max(0, horizon - freeMonths);
+  const streams = buildRentStreams(form, values, schedule, freeProfile);
+  const breakdown = streams.map((st) => ({ ...st, ...streamTotals(st, horizon) }));
+  const monthlyRent = streams.reduce((acc, st) => acc + st.rent * st.quantity, 0);
   const totalFit = calculateTotalFit(form, values);
-  const agentFees = values.agent * values.rent * values.gla;
-  const denom = Math.max(1e-9, values.duration * values.gla);
+  const agentFees = values.agent * monthlyRent;
+  const rentFrees = breakdown.reduce((acc, st) => acc + st.rentFrees, 0);
+  const breakPayment =
+    horizon < values.duration
+      ? calculateBreakPayment(brk, {
+          duration: values.duration,
+          monthlyRentAtBreak: streams.reduce((acc, st) => acc + (st.monthly[horizon - 1] ?? 0), 0),
+          rentFreesReceived: rentFrees,
+          totalFit,
+        })
+      : { penalty: 0, clawback: 0, total: 0 };
+  const cashFlows = expandCashFlows(
+    { ...values, duration: horizon },
+    { rentSchedule: schedule, streams },
+    { totalFit, agentFees, breakPayment: breakPayment.total }
+  );
+  const headline = sumCashFlows(cashFlows, "headline");
+  const gross = headline - rentFrees;
+  const denom = Math.max(1e-9, horizon * values.gla);
 
   const ner1 = gross / denom;
   const ner2 = (gross - totalFit) / denom;
   const ner3 = (gross - totalFit - agentFees) / denom;
-  const ner4 = (gross - totalFit - agentFees + values.unforeseen) / denom;
+  const ner4 = (gross - totalFit - agentFees + values.unforeseen + breakPayment.total) / denom;
+  const { pvNet: pvTotal, annuity } = discountTotals(values, cashFlows);
+  const nerPV = annuity > 0 && values.gla > 0 ? pvTotal / (annuity * values.gla) : 0;
+  const serviceCharges = calculateServiceCharges(form, {
+    area: streams.filter((st) => st.unit === "sqm").reduce((acc, st) => acc + st.quantity, 0),
+    horizon,
+    denom,
+    ner4,
+  });
 
   return {
     ...values,
+    horizon,
     months,
+    freeMonths,
     gross,
     totalFit,
     agentFees,
@@ -58,30 +118,45 @@ export const calculateNER = (form) => {
     ner2,
     ner3,
     ner4,
-    totalHeadline: values.rent * values.gla * values.duration,
-    totalRentFrees: values.rent * values.gla * values.rf,
+    pvTotal,
+    nerPV,
+    rentSchedule: schedule,
+    cashFlows,
+    breakdown,
+    blendedRent: values.gla > 0 ? monthlyRent / values.gla : 0,
+    avgRent: headline / denom,
+    totalHeadline: headline,
+    totalRentFrees: rentFrees,
     totalAgentFees: agentFees,
     totalUnforeseen: values.unforeseen,
+    breakPenalty: breakPayment.penalty,
+    breakClawback: breakPayment.clawback,
+    totalBreakPayment: breakPayment.total,
+    ...serviceCharges,
   };
 };
 
-export const calculateScenarioNER = (baseForm, overrides = {}) => {
-  const form = { ...baseForm, ...overrides };
-  const values = readInputs(form);
-  const months = Math.max(0, values.duration - values.rf);
-  const gross = values.rent * values.gla * months;
-  const fitMode = baseForm.fitMode;
-
-  let totalFit = 0;
-  if (fitMode === "perNLA") totalFit = values.perNLA * values.nla;
-  else if (fitMode === "perGLA") totalFit = values.perGLA * values.gla;
-  else totalFit = values.tot;
+// One result set per break option (in date order) plus the result to expiry.
+// Breaks on or after expiry are ignored.
+export const calculateHorizons = (form) => {
+  const duration = Math.max(0, P(form.duration));
+  const breaks = readBreaks(form).filter((b) => b.month < duration);
+  return [
+    ...breaks.map((b) => ({ key: `break-${b.index}`, label: horizonLabel(b), month: b.month, result: calculateNER(form, b) })),
+    { key: "expiry", label: horizonLabel(null), month: duration, result: calculateNER(form) },
+  ];
+};
 
-  const agentFees = values.agent * values.rent * values.gla;
-  const denom = Math.max(1e-9, values.duration * values.gla);
+// Any form key can be overridden per scenario. The scenario table edits the single-value
+// inputs; rent steps, break options and space components always come from the base form.
+export const resolveScenarioForm = (baseForm, overrides = {}) => ({
+  ...baseForm,
+  ...overrides,
+});
 
-  return (gross - totalFit - agentFees + values.unforeseen) / denom;
-};
+// Full result set (NER 1–4 and all totals) for a scenario.
+export const calculateScenarioNER = (baseForm, overrides = {}) =>
+  calculateNER(resolveScenarioForm(baseForm, overrides));
 
 export const getFitOutSyncUpdates = (form) => {
   const values = readInputs(form);
@@ -0,0 +1,71 @@
+import { decimalSeparator } from "./format";
+import { rentUnit, toDisplay } from "./units";
+import { t } from "./i18n";
+
+// The rent column is the rent level of each month, shown in the project's rent unit.
+export const cashFlowColumns = () => [
+  { key: "month", label: t("cash.month") },
+  { key: "rentPerSqm", label: t("cash.rent", { unit: rentUnit(true) }), unit: "rent" },
+  { key: "headline", label: t("field.headlineRent") },
+  { key: "rentFree", label: t("short.rentFree") },
+  { key: "fitOut", label: t("short.fitOut") },
+  { key: "agentFee", label: t("cash.agentFee") },
+  { key: "lumpSum", label: t("short.lumpsum") },
+  { key: "net", label: t("cash.net") },
+  { key: "cumHeadline", label: t("cash.cumHeadline") },
+  { key: "cumNet", label: t("cash.cumNet") },
+];
+
+// Expands the lease into monthly landlord cash flows (rent in advance, incentives in month 1,
+// break payments with the last month). Outflows are negative. A fractional last month is
+// charged pro rata. Headline rent and rent-frees add up all rent streams.
+export const expandCashFlows = (values, { rentSchedule, streams }, { totalFit, agentFees, breakPayment = 0 }) => {
+  const rows = [];
+  const count = Math.ceil(values.duration);
+  let cumHeadline = 0;
+  let cumNet = 0;
+
+  for (let m = 0; m < count; m++) {
+    const share = Math.min(1, values.duration - m);
+    const headline = streams.reduce((acc, st) => acc + st.monthly[m] * share, 0);
+    const rentFree = -streams.reduce((acc, st) => acc + st.monthly[m] * (st.freeProfile[m] || 0), 0);
+    const fitOut = m === 0 ? -totalFit : 0;
+    const agentFee = m === 0 ? -agentFees : 0;
+    const lumpSum = m === 0 ? values.unforeseen : 0;
+    const breakPay = m === count - 1 ? breakPayment : 0;
+    const net = headline + rentFree + fitOut + agentFee + lumpSum + breakPay;
+    cumHeadline += headline;
+    cumNet += net;
+
+    rows.push({
+      month: m + 1,
+      share,
+      rentPerSqm: rentSchedule[m],
+      headline,
+      rentFree,
+      fitOut,
+      agentFee,
+      lumpSum,
+      breakPayment: breakPay,
+      net,
+      cumHeadline,
+      cumNet,
+    });
+  }
+
+  return rows;
+};
+
+export const sumCashFlows = (rows, key) => rows.reduce((acc, r) => acc + r[key], 0);
+
+// With a decimal comma the file uses semicolons, as spreadsheet apps in those locales expect.
+export const cashFlowsToCSV = (rows) => {
+  const dec = decimalSeparator();
+  const sep = dec === "," ? ";" : ",";
+  const columns = cashFlowColumns();
+  const esc = (v) => (/[",;\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const fmt = (c, v) => (c.key === "month" ? String(v) : toDisplay(c.unit, v).toFixed(c.unit ? 4 : 2).replace(".", dec));
+  const lines = [columns.map((c) => esc(c.label)).join(sep)];
+  rows.forEach((r) => lines.push(columns.map((c) => fmt(c, r[c.key])).join(sep)));
+  return lines.join("\n");
+};
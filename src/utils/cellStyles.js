@@ -0,0 +1,28 @@
+// Blue for "same as base", three shades of green (better) or red (worse) by rank.
+export const scenarioResultCellStyle = (scenario, allScenarios, base) => {
+  const diff = scenario.ner - base;
+  if (Math.abs(diff) < 0.005) return { backgroundColor: "#2563eb", color: "#ffffff" };
+
+  const greenSteps = [
+    { backgroundColor: "#bbf7d0", color: "#052e16" },
+    { backgroundColor: "#22c55e", color: "#052e16" },
+    { backgroundColor: "#15803d", color: "#ffffff" },
+  ];
+  const redSteps = [
+    { backgroundColor: "#fecaca", color: "#450a0a" },
+    { backgroundColor: "#ef4444", color: "#ffffff" },
+    { backgroundColor: "#b91c1c", color: "#ffffff" },
+  ];
+
+  const isBetter = diff > 0;
+  const group = allScenarios.filter((sv) =>
+    isBetter ? sv.ner - base > 0.005 : base - sv.ner > 0.005
+  );
+  // Ranked on NER rounded to 4 decimals, so near-equal results share a shade.
+  const key = (ner) => Math.round(ner * 1e4);
+  const sortedValues = [...new Set(group.map((sv) => key(sv.ner)))].sort((a, b) => (isBetter ? a - b : b - a));
+  const rank = Math.max(0, sortedValues.indexOf(key(scenario.ner)));
+  const step = sortedValues.length === 1 ? 2 : sortedValues.length === 2 ? rank + 1 : Math.min(rank, 2);
+
+  return isBetter ? greenSteps[step] : redSteps[step];
+};
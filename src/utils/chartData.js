@@ -0,0 +1,45 @@
+import { safe } from "./format";
+import { toDisplay } from "./units";
+import { t } from "./i18n";
+
+export const NER_COLORS = ["#1e3a8a", "#2563eb", "#3b82f6", "#60a5fa"];
+
+// Rents in the project's area unit and rent period; percentages are unaffected.
+const displayRents = ({ avgRent, ner1, ner2, ner3, ner4 }) => ({
+  avgRent: toDisplay("rent", avgRent),
+  ner1: toDisplay("rent", ner1),
+  ner2: toDisplay("rent", ner2),
+  ner3: toDisplay("rent", ner3),
+  ner4: toDisplay("rent", ner4),
+});
+
+// Bars and waterfall start from the average headline rent, so indexation and
+// space components do not show up as a rent-free effect.
+export const buildNerBars = (result) => {
+  const { avgRent, ner1, ner2, ner3, ner4 } = displayRents(result);
+  return [
+    { label: t("chart.headline"), val: avgRent, pct: null, color: "#065f46" },
+    { label: "NER 1", val: ner1, pct: avgRent > 0 ? ((ner1 - avgRent) / avgRent) * 100 : null, color: NER_COLORS[0] },
+    { label: "NER 2", val: ner2, pct: avgRent > 0 ? ((ner2 - avgRent) / avgRent) * 100 : null, color: NER_COLORS[1] },
+    { label: "NER 3", val: ner3, pct: avgRent > 0 ? ((ner3 - avgRent) / avgRent) * 100 : null, color: NER_COLORS[2] },
+    { label: t("chart.final"), val: ner4, pct: avgRent > 0 ? ((ner4 - avgRent) / avgRent) * 100 : null, color: NER_COLORS[3], isFinal: true },
+  ].map((d) => ({ name: d.label, sqm: safe(d.val), pct: Number.isFinite(d.pct) ? d.pct : null, color: d.color, isFinal: Boolean(d.isFinal) }));
+};
+
+export const buildWaterfall = (result) => {
+  const { avgRent, ner1, ner2, ner3, ner4 } = displayRents(result);
+  const dRF = safe(ner1 - avgRent);
+  const dFO = safe(ner2 - ner1);
+  const dAF = safe(ner3 - ner2);
+  const dUC = safe(ner4 - ner3);
+
+  let cur = safe(avgRent);
+  const wfData = [];
+  wfData.push({ name: t("chart.headline"), base: 0, delta: cur, isTotal: true });
+  wfData.push({ name: t("chart.rf"), base: cur, delta: dRF, isTotal: false }); cur += dRF;
+  wfData.push({ name: t("chart.fo"), base: cur, delta: dFO, isTotal: false }); cur += dFO;
+  wfData.push({ name: t("chart.af"), base: cur, delta: dAF, isTotal: false }); cur += dAF;
+  wfData.push({ name: t("chart.uc"), base: cur, delta: dUC, isTotal: false }); cur += dUC;
+  wfData.push({ name: t("chart.finalNer"), base: 0, delta: cur, isTotal: true });
+  return wfData;
+};
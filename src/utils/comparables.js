@@ -0,0 +1,223 @@
+import { calculateNER } from "./calculations";
+import { decimalSeparator, parseInput } from "./format";
+import { DEFAULT_FORM } from "./projectSchema";
+import { newProjectId } from "./projectLibrary";
+import { fromDisplay, toDisplay } from "./units";
+import { t } from "./i18n";
+
+// A comparable deal: { id, date ("2024-05-31"), building, submarket, tenant, area (sqm),
+// rent (per sqm per month), term and rentFree (months), fitOut (per sqm) }. Numbers are
+// stored in sqm and monthly rent like the form; the NER is worked out when shown.
+// Column headers are matched like the deal import; the label in the project's language
+// is accepted as well. NER is exported but recalculated on import.
+const COLUMNS = [
+  { key: "date", aliases: ["date", "signed", "datum"] },
+  { key: "building", aliases: ["building", "property", "asset"] },
+  { key: "submarket", aliases: ["submarket", "market", "location"] },
+  { key: "tenant", aliases: ["tenant", "tenantname"] },
+  { key: "area", unit: "area", aliases: ["area", "nla", "size", "sqm"] },
+  { key: "rent", unit: "rent", aliases: ["rent", "headlinerent", "headline"] },
+  { key: "term", aliases: ["term", "leaseterm", "termmonths", "duration"] },
+  { key: "rentFree", aliases: ["rentfree", "rentfreemonths", "rf"] },
+  { key: "fitOut", unit: "perArea", aliases: ["fitout", "fitoutsqm", "fitoutpersqm", "fitoutarea"] },
+  { key: "ner", unit: "rent", computed: true, aliases: ["ner", "ner2", "neteffectiverent"] },
+];
+
+const TEXT_KEYS = ["building", "submarket", "tenant"];
+
+// Text that a spreadsheet would run as a formula; the CSV export prefixes it with "'".
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const normalizeHeader = (h) => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const compColumns = () =>
+  COLUMNS.map((col) => {
+    const label = t(`comps.col.${col.key}`);
+    return { ...col, label, aliases: [...col.aliases, normalizeHeader(label)] };
+  });
+
+// Comps only record rent-free and fit-out, so they are compared on NER 2 (after
+// rent-frees and fit-out, before agent fees and lump sums), on the full area.
+const compForm = (comp) => ({
+  ...DEFAULT_FORM,
+  nla: String(comp.area),
+  addon: "0",
+  rent: String(comp.rent),
+  duration: String(comp.term),
+  rf: String(comp.rentFree),
+  rfMode: "upfront",
+  rfShare: "100",
+  agent: "0",
+  fitMode: "perNLA",
+  fitPerNLA: String(comp.fitOut),
+  unforeseen: "0",
+  indexMode: "none",
+  serviceCharge: "0",
+});
+
+export const withNER = (comp) => ({ ...comp, ner: calculateNER(compForm(comp)).ner2 });
+
+// The open case as a comp, on GLA as the NER is, so its comp NER equals NER 2 unless
+// the case has indexation, rent steps or other lease components.
+export const compFromCase = (form, result, { building = "" } = {}) =>
+  withNER({
+    id: newProjectId(),
+    date: new Date().toISOString().slice(0, 10),
+    building,
+    submarket: "",
+    tenant: form.tenant,
+    area: result.gla,
+    rent: result.rent,
+    term: result.duration,
+    rentFree: result.freeMonths,
+    fitOut: result.gla > 0 ? result.totalFit / result.gla : 0,
+  });
+
+const DATE_ISO = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/;
+const DATE_DOTTED = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/;
+
+// "2024-05-31", "2024-05" (first of the month), "31.05.2024" or an Excel date number.
+const readDate = (raw) => {
+  let y, m, d;
+  if (typeof raw === "number") {
+    const date = new Date(Math.round((raw - 25569) * 86400000));
+    [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else {
+    const s = String(raw).trim();
+    const iso = DATE_ISO.exec(s);
+    const dotted = DATE_DOTTED.exec(s);
+    if (iso) [y, m, d] = [Number(iso[1]), Number(iso[2]), Number(iso[3] || 1)];
+    else if (dotted) [y, m, d] = [Number(dotted[3]), Number(dotted[2]), Number(dotted[1])];
+    else return null;
+  }
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Numbers follow the project's decimal separator and units, like the deal import.
+const readNumber = (key, raw) => {
+  const n = typeof raw === "number" ? raw : parseInput(raw);
+  return Number.isFinite(n) ? fromDisplay(COLUMNS.find((c) => c.key === key).unit, n) : NaN;
+};
+
+// Checks one comp from typed or imported cells. Returns { comp } with its NER, or { error }.
+export const checkComp = (values) => {
+  const comp = { id: values.id || newProjectId(), date: "", building: "", submarket: "", tenant: "", rentFree: 0, fitOut: 0 };
+  TEXT_KEYS.forEach((k) => {
+    if (values[k] !== undefined) comp[k] = String(values[k]).trim().replace(/^'(?=[=+\-@])/, "");
+  });
+  if (values.date !== undefined && String(values.date).trim() !== "") {
+    comp.date = readDate(values.date);
+    if (!comp.date) return { error: t("comps.badDate", { value: values.date }) };
+  }
+  for (const key of ["area", "rent", "term", "rentFree", "fitOut"]) {
+    const raw = values[key];
+    if (raw === undefined || String(raw).trim() === "") {
+      if (["area", "rent", "term"].includes(key)) return { error: t("comps.missing", { column: t(`comps.col.${key}`) }) };
+      continue;
+    }
+    const n = readNumber(key, raw);
+    if (!Number.isFinite(n) || n < 0) return { error: t("comps.badNumber", { column: t(`comps.col.${key}`), value: raw }) };
+    comp[key] = n;
+  }
+  if (!(comp.area > 0) || !(comp.term > 0)) return { error: t("comps.zero") };
+  return { comp: withNER(comp) };
+};
+
+// Sheet rows (header first) to comps: { ok, comps, ignored, warnings } or { ok: false, message }.
+export const rowsToComps = (rows) => {
+  const [header = [], ...body] = rows;
+  const columns = compColumns();
+  const mapped = [];
+  const ignored = [];
+  header.forEach((h, index) => {
+    const col = columns.find((c) => c.aliases.includes(normalizeHeader(h)));
+    if (col && !mapped.some((m) => m.key === col.key)) mapped.push({ ...col, index });
+    else if (String(h ?? "").trim()) ignored.push(String(h));
+  });
+  if (!["area", "rent", "term"].every((k) => mapped.some((m) => m.key === k))) {
+    return { ok: false, message: t("comps.noColumns", { headers: columns.filter((c) => !c.computed).map((c) => c.label).join(", ") }) };
+  }
+
+  const comps = [];
+  const warnings = [];
+  body.forEach((cells, i) => {
+    if (!cells.some((c) => String(c ?? "").trim() !== "")) return;
+    const values = {};
+    mapped.forEach((col) => {
+      const raw = cells[col.index];
+      if (col.computed || raw === undefined || String(raw).trim() === "") return;
+      values[col.key] = raw;
+    });
+    const res = checkComp(values);
+    if (res.error) warnings.push(t("comps.skipped", { row: i + 2, error: res.error }));
+    else comps.push(res.comp);
+  });
+
+  if (!comps.length) return { ok: false, message: warnings.length ? warnings.join(" ") : t("import.noRows") };
+  return { ok: true, comps, ignored, warnings };
+};
+
+// Same layout as the cash-flow CSV: the project's decimal separator and units. Text from
+// imported files is defused against formula injection and read back by checkComp.
+export const compsToCSV = (comps) => {
+  const dec = decimalSeparator();
+  const sep = dec === "," ? ";" : ",";
+  const columns = compColumns();
+  const esc = (v) => (/[",;\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const text = (v) => esc(FORMULA_START.test(String(v)) ? `'${v}` : String(v));
+  const fmt = (c, v) =>
+    c.key === "date" || TEXT_KEYS.includes(c.key) ? text(v ?? "") : String(Number(toDisplay(c.unit, v).toFixed(4))).replace(".", dec);
+  const lines = [columns.map((c) => esc(c.label)).join(sep)];
+  comps.forEach((comp) => lines.push(columns.map((c) => fmt(c, comp[c.key])).join(sep)));
+  return lines.join("\n");
+};
+
+// Empty filter values match every comp; dates compare as "YYYY-MM-DD" text.
+export const filterComps = (comps, { building = "", submarket = "", from = "", to = "" }) =>
+  comps.filter(
+    (c) =>
+      (!building || c.building === building) &&
+      (!submarket || c.submarket === submarket) &&
+      (!from || (c.date && c.date >= from)) &&
+      (!to || (c.date && c.date <= to))
+  );
+
+export const sortComps = (comps, key, dir = 1) =>
+  [...comps].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    const order = typeof x === "number" && typeof y === "number" ? x - y : String(x ?? "").localeCompare(String(y ?? ""), undefined, { numeric: true });
+    return order * dir;
+  });
+
+// Share of comps below value, ties counted half (0-100); null without comps.
+export const percentileRank = (values, value) => {
+  if (!values.length) return null;
+  const below = values.filter((v) => v < value - 1e-9).length;
+  const equal = values.filter((v) => Math.abs(v - value) <= 1e-9).length;
+  return ((below + equal / 2) / values.length) * 100;
+};
+
+export const median = (values) => {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// The open case (see compFromCase) against the comps: NER and effective rent-free months.
+export const benchmarkCase = (comps, current) => {
+  const ners = comps.map((c) => c.ner);
+  const rentFrees = comps.map((c) => c.rentFree);
+  return {
+    count: comps.length,
+    ner: current.ner,
+    rentFree: current.rentFree,
+    nerPercentile: percentileRank(ners, current.ner),
+    rentFreePercentile: percentileRank(rentFrees, current.rentFree),
+    medianNer: median(ners),
+    medianRentFree: median(rentFrees),
+  };
+};
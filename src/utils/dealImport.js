@@ -0,0 +1,99 @@
+import { CUR, parseInput } from "./format";
+import { checkField } from "./projectSchema";
+import { fromDisplay } from "./units";
+import { t } from "./i18n";
+
+// Column headers are matched after lower-casing and dropping everything but letters
+// and digits, so "Add-On (%)", "add on" and "ADDON" all map to the add-on field.
+// The column label in the project's language is accepted as well.
+const COLUMNS = [
+  { key: "tenant", aliases: ["tenant", "tenantname", "mieter"] },
+  { key: "nla", unit: "area", aliases: ["nla", "nlasqm", "area", "netlettablearea"] },
+  { key: "addon", aliases: ["addon", "addonpct", "addonpercent"] },
+  { key: "rent", unit: "rent", aliases: ["rent", "headlinerent", "rentsqm", "headlinerentsqm", "rentpersqm"] },
+  { key: "duration", aliases: ["term", "leaseterm", "termmonths", "leasetermmonths", "duration"] },
+  { key: "rf", aliases: ["rentfree", "rentfreemonths", "rf"] },
+  { key: "fitPerNLA", unit: "perArea", fitMode: "perNLA", aliases: ["fitoutnla", "fitoutpernla", "fitpernla"] },
+  { key: "fitPerGLA", unit: "perArea", fitMode: "perGLA", aliases: ["fitoutgla", "fitoutpergla", "fitpergla"] },
+  { key: "fitTot", fitMode: "total", aliases: ["fitout", "fitouttotal", "totalfitout", "fittot"] },
+  { key: "agent", aliases: ["agent", "agentfee", "agentfees", "agentfeemonths", "agentfeesmonths"] },
+  { key: "unforeseen", aliases: ["lumpsum", "lumpsumcosts", "lumpsumcompensation", "unforeseen"] },
+];
+
+const normalizeHeader = (h) => String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const importColumns = () =>
+  COLUMNS.map((col) => {
+    const label = t(`import.col.${col.key}`, { currency: CUR() });
+    return { ...col, label, aliases: [...col.aliases, normalizeHeader(label)] };
+  });
+
+export const mapColumns = (header) => {
+  const columns = importColumns();
+  const mapped = [];
+  const ignored = [];
+  header.forEach((h, index) => {
+    const col = columns.find((c) => c.aliases.includes(normalizeHeader(h)));
+    if (col && !mapped.some((m) => m.key === col.key)) mapped.push({ ...col, index, header: String(h) });
+    else if (String(h ?? "").trim()) ignored.push(String(h));
+  });
+  return { mapped, ignored };
+};
+
+// Deal sheets and comp lists come from other people, so only these file types are
+// read, up to a size no deal sheet reaches.
+const SHEET_FILE = /\.(csv|txt|xlsx|xls)$/i;
+const MAX_SHEET_BYTES = 5 * 1024 * 1024;
+
+// First sheet of a CSV or XLSX file as rows of cells. CSV cells stay text so the
+// calculator's own number parsing applies.
+export const readSheetRows = async (XLSX, file) => {
+  if (!SHEET_FILE.test(file.name)) throw new Error(t("import.badType"));
+  if (file.size > MAX_SHEET_BYTES) throw new Error(t("import.tooLarge", { size: MAX_SHEET_BYTES / 1024 / 1024 }));
+  const isCSV = /\.(csv|txt)$/i.test(file.name);
+  const wb = isCSV
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return ws ? XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: "" }) : [];
+};
+
+// CSV numbers follow the project's decimal separator, so "1.000" is 1000 with a decimal comma.
+// Areas and rents are read in the project's area unit and rent period.
+const readCell = (col, raw) => {
+  if (col.key === "tenant") return typeof raw === "string" ? raw.trim() : raw;
+  const n = typeof raw === "number" ? raw : parseInput(raw);
+  return Number.isFinite(n) ? fromDisplay(col.unit, n) : String(raw).trim();
+};
+
+// Turns sheet rows (header first) into deals: { row, name, fields } with validated form values.
+export const rowsToDeals = (rows) => {
+  const [header = [], ...body] = rows;
+  const { mapped, ignored } = mapColumns(header);
+  if (!mapped.length) {
+    return { ok: false, message: t("import.noColumns", { headers: importColumns().map((c) => c.label).join(", ") }) };
+  }
+
+  const warnings = [];
+  const deals = [];
+  body.forEach((cells, i) => {
+    const row = i + 2;
+    if (!cells.some((c) => String(c ?? "").trim() !== "")) return;
+    const fields = {};
+    mapped.forEach((col) => {
+      const raw = cells[col.index];
+      if (raw === undefined || String(raw).trim() === "") return;
+      const res = checkField(col.key, readCell(col, raw));
+      if (res.error) {
+        warnings.push(t("import.skipped", { row, column: col.label, value: raw, error: res.error }));
+        return;
+      }
+      fields[col.key] = res.value;
+      if (col.fitMode) fields.fitMode = col.fitMode;
+    });
+    deals.push({ row, name: fields.tenant?.trim() || t("import.rowName", { row }), fields });
+  });
+
+  if (!deals.length) return { ok: false, message: t("import.noRows") };
+  return { ok: true, deals, mapped, ignored, warnings };
+};
@@ -0,0 +1,284 @@
+import { calculateNER, resolveScenarioForm } from "./calculations";
+import { CUR, P } from "./format";
+import { buildRentSchedule } from "./indexation";
+import { parseMonthList, readRentFree } from "./rentFree";
+import { readSpaces } from "./spaces";
+import { AREA, perAreaUnit, periodMonths, rentUnit, toDisplay, unitRentUnit } from "./units";
+import { t } from "./i18n";
+
+// Workbook layout of one case sheet. Inputs sit in column B so the NER formulas
+// can be audited and changed in Excel; the other lease components follow in a
+// block of their own, and the monthly table below feeds the totals. Areas and
+// rents are in the project's units; the rent period row turns rents per period
+// into monthly amounts.
+const ROW = {
+  tenant: 3,
+  nla: 4,
+  addon: 5,
+  gla: 6,
+  rent: 7,
+  duration: 8,
+  rf: 9,
+  rfShare: 10,
+  rfMode: 11,
+  rfPerYear: 12,
+  fitMode: 13,
+  fitPerNLA: 14,
+  fitPerGLA: 15,
+  fitTot: 16,
+  agent: 17,
+  unforeseen: 18,
+  otherRent: 19,
+  period: 20,
+  totalFit: 21,
+  monthlyRent: 22,
+  agentFees: 23,
+  totalHeadline: 24,
+  totalRentFrees: 25,
+  gross: 26,
+  denom: 27,
+  ner1: 28,
+  ner2: 29,
+  ner3: 30,
+  ner4: 31,
+};
+const SPACES_HEADER = 34;
+
+// The monthly table runs to at least this month, so the term can be lengthened in Excel.
+const TABLE_MONTHS = 240;
+
+const MONEY = "#,##0.00";
+const B = (key) => `$B$${ROW[key]}`;
+
+const num = (v, z = MONEY) => ({ t: "n", v: Number.isFinite(v) ? v : 0, z });
+const fx = (f, v, z = MONEY) => ({ t: "n", f, v: Number.isFinite(v) ? v : 0, z });
+const str = (v) => ({ t: "s", v: String(v ?? "") });
+
+const summaryRows = () => [
+  { key: "gla", label: `${t("field.gla")} (${AREA()})`, unit: "area" },
+  { key: "rent", label: `${t("field.headlineRent")} ${rentUnit()}`, unit: "rent" },
+  { key: "duration", label: t("field.leaseTerm") },
+  { key: "rf", label: t("field.rentFree") },
+  { key: "totalFit", label: t("total.fitOut") },
+  { key: "agentFees", label: t("total.agentFees") },
+  { key: "unforeseen", label: t("field.lumpsum") },
+  { key: "totalHeadline", label: t("total.headline") },
+  { key: "totalRentFrees", label: t("total.rentFrees") },
+  { key: "ner1", label: `${t("ner.ner1")} (${rentUnit()})`, unit: "rent" },
+  { key: "ner2", label: `${t("ner.ner2")} (${rentUnit()})`, unit: "rent" },
+  { key: "ner3", label: `${t("ner.ner3")} (${rentUnit()})`, unit: "rent" },
+  { key: "ner4", label: `${t("ner.final")} (${rentUnit()})`, unit: "rent" },
+];
+
+const sheetName = (name, used) => {
+  const base = String(name || t("xlsx.case")).replace(/[[\]:*?/\\\s]+/g, " ").trim().slice(0, 28) || t("xlsx.case");
+  let out = base;
+  for (let i = 2; used.has(out.toLowerCase()); i++) out = `${base} ${i}`;
+  used.add(out.toLowerCase());
+  return out;
+};
+
+const quote = (name) => `'${name.replace(/'/g, "''")}'`;
+
+const COLUMN = (n) => (n < 26 ? String.fromCharCode(65 + n) : `${COLUMN(Math.floor(n / 26) - 1)}${COLUMN(n % 26)}`);
+
+// Share of month r's rent waived by a rent-free of rf months (a cell reference), for every
+// placement: the same intervals as buildRentFreeProfile, weighted by the rent reduction.
+const freeShareFormula = (r, rf, monthList) => {
+  const month = `(A${r}-1)`;
+  const share = `B${r}`;
+  const perYear = `MIN(12,MAX(0,${B("rfPerYear")}))`;
+  const year = `INT(${month}/12)`;
+  const upfront = `MIN(${share},MAX(0,MIN(${rf},${B("duration")})-${month}))`;
+  const end = `MAX(0,${month}+${share}-MAX(${month},${B("duration")}-${rf}))`;
+  const spread = `MAX(0,MIN(${share},12*${year}+MAX(0,MIN(${perYear},${rf}-${year}*${perYear}))-${month}))`;
+  const custom = `IF(COUNTIF(${monthList},A${r})>0,${share},0)`;
+  const mode = B("rfMode");
+  return `IF(${mode}="end",${end},IF(${mode}="spread",IF(${perYear}>0,${spread},${upfront}),IF(${mode}="custom",${custom},${upfront})))*${B("rfShare")}/100`;
+};
+
+// Cell values of one case sheet (array of rows) for the resolved form and its result.
+const buildCaseRows = (title, form, res) => {
+  const rows = [];
+  const set = (r, cells) => {
+    rows[r - 1] = cells;
+  };
+  const [office, ...others] = res.breakdown;
+  const spaces = readSpaces(form);
+  const rfShare = String(form.rfShare ?? "").trim() === "" ? 100 : P(form.rfShare);
+  const rfSettings = readRentFree(form);
+  const count = Math.ceil(res.duration);
+  const months = periodMonths();
+  const rent = (v) => toDisplay("rent", v);
+
+  // Other lease components: quantity, rent and own rent-free, in the project's units.
+  const spaceRow = (i) => SPACES_HEADER + 1 + i;
+  const spacesEnd = SPACES_HEADER + spaces.length;
+  const tableHeader = (spaces.length ? spacesEnd : SPACES_HEADER) + 3;
+  const first = tableHeader + 1;
+  const tableMonths = Math.max(count, TABLE_MONTHS);
+  const last = tableHeader + tableMonths;
+  const col = (c) => `${c}${first}:${c}${last}`;
+  // Columns after the net rent: one rent-free share per component, then the custom months.
+  const spaceCol = (i) => COLUMN(10 + i);
+  const monthsCol = COLUMN(10 + spaces.length);
+  const monthList = `$${monthsCol}$${first}:$${monthsCol}$${last}`;
+  const customMonths = parseMonthList(form.rfMonths).filter((m) => m <= tableMonths);
+
+  // Spaces follow fixed and CPI indexation (column C); with stepped rents they stay flat.
+  const stepped = form.indexMode === "stepped";
+  const schedule = buildRentSchedule(form, res.rent, tableMonths);
+  const factors = buildRentSchedule(form, 1, tableMonths);
+
+  set(1, [str(title)]);
+  set(ROW.tenant, [str(t("field.tenant")), str(form.tenant)]);
+  set(ROW.nla, [str(`${t("field.nla")} (${AREA()})`), num(toDisplay("area", res.nla))]);
+  set(ROW.addon, [str(t("field.addon")), num(res.addon)]);
+  set(ROW.gla, [str(`${t("field.gla")} (${AREA()})`), fx(`${B("nla")}*(1+${B("addon")}/100)`, toDisplay("area", res.gla))]);
+  set(ROW.rent, [str(`${t("field.headlineRent")} ${rentUnit(true)}`), num(rent(res.rent))]);
+  set(ROW.duration, [str(t("field.leaseTerm")), num(res.duration)]);
+  set(ROW.rf, [str(t("field.rentFree")), num(rfSettings.rf)]);
+  set(ROW.rfShare, [str(t("field.rentReduction")), num(rfShare)]);
+  set(ROW.rfMode, [str(t("xlsx.rfMode")), str(rfSettings.mode)]);
+  set(ROW.rfPerYear, [str(t("xlsx.rfPerYear")), num(rfSettings.perYear)]);
+  set(ROW.fitMode, [str(t("xlsx.fitMode")), str(form.fitMode)]);
+  set(ROW.fitPerNLA, [str(t("field.fitPerNLA", { unit: perAreaUnit() })), num(toDisplay("perArea", res.perNLA))]);
+  set(ROW.fitPerGLA, [str(t("field.fitPerGLA", { unit: perAreaUnit() })), num(toDisplay("perArea", res.perGLA))]);
+  set(ROW.fitTot, [str(t("field.fitTotal", { currency: CUR() })), num(res.tot)]);
+  set(ROW.agent, [str(t("field.agentFees")), num(res.agent)]);
+  set(ROW.unforeseen, [str(t("field.lumpsum")), num(res.unforeseen)]);
+  const otherRent = others.reduce((acc, st) => acc + st.rent * st.quantity, 0);
+  set(ROW.otherRent, [
+    str(t("xlsx.otherRent", { currency: CUR() })),
+    spaces.length
+      ? fx(`SUMPRODUCT($B$${spaceRow(0)}:$B$${spacesEnd},$C$${spaceRow(0)}:$C$${spacesEnd})/${B("period")}`, otherRent)
+      : num(0),
+  ]);
+  set(ROW.period, [str(t("xlsx.period")), num(months, "0")]);
+
+  set(ROW.totalFit, [
+    str(t("total.fitOut")),
+    fx(`IF(${B("fitMode")}="perNLA",${B("fitPerNLA")}*${B("nla")},IF(${B("fitMode")}="perGLA",${B("fitPerGLA")}*${B("gla")},${B("fitTot")}))`, res.totalFit),
+  ]);
+  set(ROW.monthlyRent, [str(t("xlsx.monthlyRent")), fx(`${B("rent")}*${B("gla")}/${B("period")}+${B("otherRent")}`, res.rent * res.gla + otherRent)]);
+  set(ROW.agentFees, [str(t("total.agentFees")), fx(`${B("agent")}*${B("monthlyRent")}`, res.agentFees)]);
+  set(ROW.totalHeadline, [str(t("total.headline")), fx(`SUM(${col("F")})+SUM(${col("H")})`, res.totalHeadline)]);
+  set(ROW.totalRentFrees, [str(t("total.rentFrees")), fx(`-(SUM(${col("G")})+SUM(${col("I")}))`, res.totalRentFrees)]);
+  set(ROW.gross, [str(t("xlsx.gross")), fx(`${B("totalHeadline")}-${B("totalRentFrees")}`, res.gross)]);
+  set(ROW.denom, [
+    str(t("xlsx.denom")),
+    fx(`${B("duration")}*${B("gla")}/${B("period")}`, (res.duration * toDisplay("area", res.gla)) / months),
+  ]);
+  set(ROW.ner1, [str(`${t("ner.ner1")} (${rentUnit()})`), fx(`${B("gross")}/${B("denom")}`, rent(res.ner1))]);
+  set(ROW.ner2, [str(`${t("ner.ner2")} (${rentUnit()})`), fx(`(${B("gross")}-${B("totalFit")})/${B("denom")}`, rent(res.ner2))]);
+  set(ROW.ner3, [str(`${t("ner.ner3")} (${rentUnit()})`), fx(`(${B("gross")}-${B("totalFit")}-${B("agentFees")})/${B("denom")}`, rent(res.ner3))]);
+  set(ROW.ner4, [
+    str(`${t("ner.final")} (${rentUnit()})`),
+    fx(`(${B("gross")}-${B("totalFit")}-${B("agentFees")}+${B("unforeseen")})/${B("denom")}`, rent(res.ner4)),
+  ]);
+  set(ROW.ner4 + 1, [str(t("xlsx.note"))]);
+
+  if (spaces.length) {
+    set(SPACES_HEADER, [
+      str(t("xlsx.component")),
+      str(t("xlsx.componentQuantity", { unit: AREA() })),
+      str(t("xlsx.componentRent", { area: rentUnit(true), unit: unitRentUnit() })),
+      str(t("xlsx.componentRentFree")),
+    ]);
+    spaces.forEach((s, i) => {
+      const perUnit = s.unit === "unit";
+      set(spaceRow(i), [
+        str(s.label),
+        num(perUnit ? s.quantity : toDisplay("area", s.quantity)),
+        num(toDisplay(perUnit ? "unitRent" : "rent", s.rent)),
+        s.ownRF ? num(s.rf) : null,
+      ]);
+    });
+  }
+
+  set(tableHeader - 1, [str(t("xlsx.tableNote", { months: tableMonths }))]);
+  set(tableHeader, [
+    t("cash.month"),
+    t("xlsx.shareOfMonth"),
+    t("xlsx.indexFactor"),
+    t("cash.rent", { unit: rentUnit(true) }),
+    t("xlsx.rentFreeShare"),
+    t("xlsx.officeHeadline", { currency: CUR() }),
+    t("xlsx.officeRentFree", { currency: CUR() }),
+    t("xlsx.otherHeadline", { currency: CUR() }),
+    t("xlsx.otherRentFree", { currency: CUR() }),
+    t("xlsx.netRent", { currency: CUR() }),
+    ...spaces.map((s) => t("xlsx.componentRentFreeShare", { label: s.label })),
+    t("xlsx.customMonths"),
+  ].map(str));
+
+  for (let m = 0; m < tableMonths; m++) {
+    const r = first + m;
+    const inTerm = m < count;
+    const share = inTerm ? Math.min(1, res.duration - m) : 0;
+    const rentPerSqm = schedule[m] ?? 0;
+    const freeShare = inTerm ? office.freeProfile[m] || 0 : 0;
+    const otherHeadline = inTerm ? others.reduce((acc, st) => acc + st.monthly[m] * share, 0) : 0;
+    const otherFree = inTerm ? -others.reduce((acc, st) => acc + st.monthly[m] * (st.freeProfile[m] || 0), 0) : 0;
+    const officeHeadline = rentPerSqm * res.gla * share;
+    const officeFree = -rentPerSqm * res.gla * freeShare;
+    const spaceFactor = stepped ? "1" : res.rent > 0 ? `C${r}` : String(factors[m]);
+    const spaceFree = spaces.map((s, i) => `$B$${spaceRow(i)}*$C$${spaceRow(i)}*${spaceCol(i)}${r}`).join("+");
+    set(r, [
+      num(m + 1, "0"),
+      fx(`MAX(0,MIN(1,${B("duration")}-(A${r}-1)))`, share, "0.00"),
+      res.rent > 0 ? num(rentPerSqm / res.rent, "0.0000") : str(""),
+      res.rent > 0 ? fx(`${B("rent")}*C${r}`, rent(rentPerSqm)) : num(rent(rentPerSqm)),
+      fx(freeShareFormula(r, B("rf"), monthList), freeShare, "0.00"),
+      fx(`D${r}*${B("gla")}*B${r}/${B("period")}`, officeHeadline),
+      fx(`-D${r}*${B("gla")}*E${r}/${B("period")}`, officeFree),
+      fx(`${B("otherRent")}*${spaceFactor}*B${r}`, otherHeadline),
+      spaces.length ? fx(`-(${spaceFree})*${spaceFactor}/${B("period")}`, otherFree) : num(0),
+      fx(`SUM(F${r}:I${r})`, officeHeadline + officeFree + otherHeadline + otherFree),
+      ...spaces.map((s, i) => {
+        const own = `$D$${spaceRow(i)}`;
+        const value = inTerm ? others[i].freeProfile[m] || 0 : 0;
+        return fx(`IF(${own}="",E${r},${freeShareFormula(r, own, monthList)})`, value, "0.00");
+      }),
+      m < customMonths.length ? num(customMonths[m], "0") : null,
+    ]);
+  }
+
+  return rows.map((r) => r || []);
+};
+
+// Builds the workbook with a summary sheet plus one sheet for the current case and every scenario.
+export const buildNERWorkbook = (XLSX, baseForm, scenarios) => {
+  const summaryName = t("xlsx.summary");
+  const used = new Set([summaryName.toLowerCase()]);
+  const cases = [
+    { name: t("common.current"), form: baseForm },
+    ...scenarios.map((sc) => ({ name: sc.name, form: resolveScenarioForm(baseForm, sc.overrides) })),
+  ].map((c) => ({ ...c, sheet: sheetName(c.name, used), result: calculateNER(c.form) }));
+
+  const wb = XLSX.utils.book_new();
+
+  const summary = [
+    [str(`${t("xlsx.comparison")}${baseForm.tenant ? ` – ${baseForm.tenant}` : ""}`)],
+    [str(""), ...cases.map((c) => str(c.name))],
+    ...summaryRows().map((row) => [
+      str(row.label),
+      ...cases.map((c) => fx(`${quote(c.sheet)}!B${ROW[row.key]}`, toDisplay(row.unit, c.result[row.key]))),
+    ]),
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+  summarySheet["!cols"] = [{ wch: 36 }, ...cases.map(() => ({ wch: 16 }))];
+  XLSX.utils.book_append_sheet(wb, summarySheet, summaryName);
+
+  cases.forEach((c) => {
+    const ws = XLSX.utils.aoa_to_sheet(buildCaseRows(c.name, c.form, c.result));
+    const extra = readSpaces(c.form).length + 1;
+    ws["!cols"] = [
+      { wch: 38 }, { wch: 16 }, { wch: 14 }, { wch: 12 }, { wch: 14 }, { wch: 16 }, { wch: 16 }, { wch: 16 }, { wch: 16 }, { wch: 14 },
+      ...new Array(extra).fill({ wch: 16 }),
+    ];
+    XLSX.utils.book_append_sheet(wb, ws, c.sheet);
+  });
+
+  return wb;
+};
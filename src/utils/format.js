@@ -2,6 +2,49 @@ export const clamp = (n, min = 0) => (Number.isFinite(n) ? Math.max(min, n) : 0)
 
 export const safe = (n) => (Number.isFinite(n) ? n : 0);
 
+export const DEFAULT_NUMBER_FORMAT = { locale: "en-US", currency: "EUR", decimal: "locale" };
+
+// Display locale, currency and input decimal separator of the open project.
+// App applies the project settings whenever they change (see applySettings), so all
+// helpers below follow them.
+let active = { ...DEFAULT_NUMBER_FORMAT };
+const cache = new Map();
+
+const formatter = (key, make) => {
+  const id = `${active.locale}|${active.currency}|${key}`;
+  if (!cache.has(id)) cache.set(id, make());
+  return cache.get(id);
+};
+
+export const configureNumberFormat = ({ locale, currency, decimal } = {}) => {
+  active = {
+    locale: locale || DEFAULT_NUMBER_FORMAT.locale,
+    currency: currency || DEFAULT_NUMBER_FORMAT.currency,
+    decimal: decimal === "." || decimal === "," ? decimal : "locale",
+  };
+};
+
+export const decimalSeparator = () => {
+  if (active.decimal !== "locale") return active.decimal;
+  return formatter("decimal", () =>
+    new Intl.NumberFormat(active.locale).formatToParts(1.1).find((p) => p.type === "decimal")?.value || "."
+  );
+};
+
+// Currency symbol for labels such as "€/sqm".
+export const CUR = () =>
+  formatter("symbol", () =>
+    new Intl.NumberFormat(active.locale, { style: "currency", currency: active.currency, currencyDisplay: "narrowSymbol" })
+      .formatToParts(0)
+      .find((p) => p.type === "currency")?.value || active.currency
+  );
+
+export const CURRENCY_CODE = () => active.currency;
+
+export const displayLocale = () => active.locale;
+
+// Stored values: canonical "1234.5" strings. Older projects may still hold text
+// typed with a decimal comma ("16,50"), so a single comma without a dot is a decimal.
 export const P = (v) => {
   let s = String(v ?? "").trim().replace(/\s/g, "");
   const hasDot = s.includes(".");
@@ -11,22 +54,42 @@ export const P = (v) => {
   return Number.isFinite(n) ? n : 0;
 };
 
+// Typed input: follows the project's decimal separator, so "1.000" is one
+// thousand with a decimal comma and one with a decimal point. NaN if unreadable.
+export const parseInput = (text) => {
+  let s = String(text ?? "").trim().replace(/[\s'’]/g, "");
+  s = decimalSeparator() === "," ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  return /\d/.test(s) ? parseFloat(s) : NaN;
+};
+
+// Stored value as editable text with the project's decimal separator, no grouping.
+export const toInputText = (v) => {
+  const n = P(v);
+  return String(n).replace(".", decimalSeparator());
+};
+
 export const F = (n, d = 2) =>
-  new Intl.NumberFormat("en-US", {
-    minimumFractionDigits: d,
-    maximumFractionDigits: d,
-  }).format(Number.isFinite(n) ? n : 0);
+  formatter(`F${d}`, () =>
+    new Intl.NumberFormat(active.locale, {
+      minimumFractionDigits: d,
+      maximumFractionDigits: d,
+    })
+  ).format(Number.isFinite(n) ? n : 0);
 
 export const FCUR = (n) =>
-  (Number.isFinite(n) ? n : 0).toLocaleString("en-US", {
-    style: "currency",
-    currency: "EUR",
-  });
+  formatter("cur2", () =>
+    new Intl.NumberFormat(active.locale, {
+      style: "currency",
+      currency: active.currency,
+    })
+  ).format(Number.isFinite(n) ? n : 0);
 
 export const FCUR0 = (n) =>
-  (Number.isFinite(n) ? n : 0).toLocaleString("en-US", {
-    style: "currency",
-    currency: "EUR",
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  });
+  formatter("cur0", () =>
+    new Intl.NumberFormat(active.locale, {
+      style: "currency",
+      currency: active.currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    })
+  ).format(Number.isFinite(n) ? n : 0);
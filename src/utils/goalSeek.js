@@ -0,0 +1,82 @@
+import { calculateNER, resolveScenarioForm } from "./calculations";
+import { CUR, F, P } from "./format";
+import { FRENT, perAreaUnit, rentUnit, toDisplay } from "./units";
+import { t } from "./i18n";
+
+export const goalTargets = () => [
+  { key: "ner1", label: t("ner.ner1") },
+  { key: "ner2", label: t("ner.ner2") },
+  { key: "ner3", label: t("ner.ner3") },
+  { key: "ner4", label: t("ner.final") },
+];
+
+export const fitOutKey = (fitMode) =>
+  fitMode === "perNLA" ? "fitPerNLA" : fitMode === "perGLA" ? "fitPerGLA" : "fitTot";
+
+export const goalVariables = (fitMode) => [
+  { key: "rent", unit: "rent", label: `${t("field.headlineRent")} (${rentUnit()})`, min: 0, max: (v) => Math.max(1000, v * 10) },
+  { key: "rf", label: t("field.rentFree"), min: 0, max: (_, form) => Math.max(0, P(form.duration)) },
+  {
+    key: fitOutKey(fitMode),
+    unit: fitMode === "total" ? undefined : "perArea",
+    label:
+      fitMode === "perNLA"
+        ? t("field.fitPerNLA", { unit: perAreaUnit() })
+        : fitMode === "perGLA"
+          ? t("field.fitPerGLA", { unit: perAreaUnit() })
+          : t("field.fitTotal", { currency: CUR() }),
+    min: 0,
+    max: (v) => Math.max(fitMode === "total" ? 1e9 : 1e5, v * 10),
+  },
+  { key: "agent", label: t("field.agentFees"), min: 0, max: (_, form) => Math.max(12, P(form.duration)) },
+  { key: "unforeseen", label: `${t("field.lumpsum")} (${CUR()})`, min: -1e10, max: () => 1e10 },
+];
+
+// Finds the value of one input that makes the chosen NER step hit the target.
+// Every evaluation goes through calculateNER on the resolved (scenario) form, so
+// the solver always agrees with the results panel and the scenario table.
+export const solveForTarget = (baseForm, overrides, { target, variable, value }) => {
+  const form = resolveScenarioForm(baseForm, overrides);
+  const spec = goalVariables(form.fitMode).find((v) => v.key === variable);
+  if (!spec) return { ok: false, message: t("goal.unknownVariable") };
+  if (variable === "rf" && form.rfMode === "custom") {
+    return { ok: false, message: t("goal.customMonths") };
+  }
+
+  const goal = P(value);
+  const evaluate = (x) => calculateNER(resolveScenarioForm(baseForm, { ...overrides, [variable]: String(x) }))[target];
+  let lo = spec.min;
+  let hi = spec.max(P(form[variable]), form);
+  let fLo = evaluate(lo) - goal;
+  const fHi = evaluate(hi) - goal;
+
+  if (Math.abs(fLo) < 1e-9) return { ok: true, value: lo, achieved: goal };
+  if (fLo * fHi > 0) {
+    const a = evaluate(lo);
+    const b = evaluate(hi);
+    return {
+      ok: false,
+      message: t("goal.unreachable", {
+        label: spec.label,
+        from: F(toDisplay(spec.unit, lo), 2),
+        to: F(toDisplay(spec.unit, hi), 2),
+        min: FRENT(Math.min(a, b)),
+        max: FRENT(Math.max(a, b)),
+        unit: rentUnit(),
+      }),
+    };
+  }
+
+  for (let i = 0; i < 200 && hi - lo > 1e-9; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = evaluate(mid) - goal;
+    if (fLo * fMid <= 0) hi = mid;
+    else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+
+  const solved = (lo + hi) / 2;
+  return { ok: true, value: solved, achieved: evaluate(solved) };
+};
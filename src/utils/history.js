@@ -0,0 +1,102 @@
+import { CUR, F, P } from "./format";
+import { t } from "./i18n";
+import { AREA, perAreaUnit, rentUnit, toDisplay } from "./units";
+
+// Undo steps kept per session and change log entries kept with the project.
+export const HISTORY_LIMIT = 100;
+export const LOG_LIMIT = 500;
+
+export const LOG_ACTIONS = ["undo", "redo"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffValues = (before, after, scenario, changes) => {
+  Object.keys({ ...before, ...after }).forEach((field) => {
+    if (!same(before[field], after[field])) {
+      changes.push({ scenario, field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  });
+};
+
+// What changed between two { f, scenarios } snapshots, one entry per field:
+// { scenario, field, from, to }. scenario is the scenario name, or null for the
+// base inputs; a null override value means the scenario uses the base value.
+// Added and removed scenarios are reported as field "scenario", a new order as "order".
+export const describeChanges = (before, after) => {
+  const changes = [];
+  diffValues(before.f, after.f, null, changes);
+  const previous = new Map(before.scenarios.map((sc) => [sc.id, sc]));
+  after.scenarios.forEach((sc) => {
+    const prev = previous.get(sc.id);
+    if (!prev) changes.push({ scenario: sc.name, field: "scenario", from: null, to: sc.name });
+    else {
+      if (prev.name !== sc.name) changes.push({ scenario: sc.name, field: "name", from: prev.name, to: sc.name });
+      if (prev.color !== sc.color) changes.push({ scenario: sc.name, field: "color", from: prev.color, to: sc.color });
+    }
+    diffValues(prev ? prev.overrides : {}, sc.overrides, sc.name, changes);
+  });
+  before.scenarios.forEach((sc) => {
+    if (!after.scenarios.some((a) => a.id === sc.id)) {
+      changes.push({ scenario: sc.name, field: "scenario", from: sc.name, to: null });
+    }
+  });
+  const order = (list) => list.filter((sc) => previous.has(sc.id) && after.scenarios.some((a) => a.id === sc.id));
+  if (!same(order(before.scenarios).map((sc) => sc.id), order(after.scenarios).map((sc) => sc.id))) {
+    const names = (list) => list.map((sc) => sc.name).join(", ");
+    changes.push({ scenario: null, field: "order", from: names(before.scenarios), to: names(after.scenarios) });
+  }
+  return changes;
+};
+
+// Adds the pushed snapshot to an undo or redo stack, dropping the oldest beyond the limit.
+export const pushSnapshot = (stack, snapshot) => [...stack, snapshot].slice(-HISTORY_LIMIT);
+
+// Stamps changes with the time (and "undo" / "redo") and appends them to the log.
+export const appendLog = (log, changes, action) => {
+  const at = new Date().toISOString();
+  const entries = changes.map((c) => (action ? { at, ...c, action } : { at, ...c }));
+  return [...log, ...entries].slice(-LOG_LIMIT);
+};
+
+export const isLogEntry = (e) =>
+  e !== null &&
+  typeof e === "object" &&
+  typeof e.at === "string" &&
+  !Number.isNaN(Date.parse(e.at)) &&
+  typeof e.field === "string" &&
+  (e.scenario === null || typeof e.scenario === "string") &&
+  (e.action === undefined || LOG_ACTIONS.includes(e.action));
+
+const TEXT_FIELDS = ["tenant", "rfMonths", "name", "color", "order", "scenario"];
+
+const ENUM_PREFIX = { rfMode: "rf", indexMode: "index", fitMode: "log.fit" };
+
+// Conversion kind (see units.js) and unit label of numeric fields; other numbers are shown bare.
+const UNITS = {
+  nla: ["area", AREA],
+  rent: ["rent", () => rentUnit(true)],
+  serviceCharge: ["rent", () => rentUnit(true)],
+  serviceChargeCap: ["rent", () => rentUnit(true)],
+  fitPerNLA: ["perArea", perAreaUnit],
+  fitPerGLA: ["perArea", perAreaUnit],
+  fitTot: [null, CUR],
+  unforeseen: [null, CUR],
+};
+
+// Stored log values as read in the current language and units.
+export const formatLogValue = (entry, value) => {
+  if (value === null || value === undefined) return entry.scenario && entry.field !== "scenario" ? t("log.base") : "–";
+  if (Array.isArray(value)) return t("log.entries", { count: value.length });
+  if (typeof value !== "string") return String(value);
+  if (value.trim() === "") return t("log.empty");
+  if (ENUM_PREFIX[entry.field]) return t(`${ENUM_PREFIX[entry.field]}.${value}`);
+  if (TEXT_FIELDS.includes(entry.field)) return value;
+  const [kind, unit] = UNITS[entry.field] || [];
+  const n = F(toDisplay(kind, P(value)), 2);
+  return unit ? `${n} ${unit()}` : n;
+};
+
+export const logFieldLabel = (entry) => {
+  if (entry.field === "scenario") return entry.to === null ? t("log.removed") : t("log.added");
+  return t(`log.field.${entry.field}`);
+};
@@ -0,0 +1,30 @@
+// Dictionaries live in src/locales, one file per language named after its code
+// (de.js). Each exports its own name as `name` and the strings as the default
+// export, so adding a language only means adding a dictionary there.
+const dictionaries = import.meta.glob("../locales/*.js", { eager: true });
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = Object.entries(dictionaries)
+  .map(([path, mod]) => ({ id: path.match(/([\w-]+)\.js$/)[1], label: mod.name, strings: mod.default }))
+  .sort((a, b) => (a.id === DEFAULT_LANGUAGE ? -1 : b.id === DEFAULT_LANGUAGE ? 1 : a.label.localeCompare(b.label)));
+
+const stringsOf = (id) => LANGUAGES.find((l) => l.id === id)?.strings || {};
+
+// Language of the open project, set through applySettings like configureNumberFormat,
+// so labels built outside components follow it as well.
+let active = DEFAULT_LANGUAGE;
+
+export const configureLanguage = ({ language } = {}) => {
+  active = LANGUAGES.some((l) => l.id === language) ? language : DEFAULT_LANGUAGE;
+};
+
+export const language = () => active;
+
+// t("landlord.month", { month: 24 }): the active dictionary, then English, then the key.
+// {name} placeholders are filled from vars.
+export const t = (key, vars) => {
+  const text = stringsOf(active)[key] ?? stringsOf(DEFAULT_LANGUAGE)[key] ?? key;
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+};
@@ -0,0 +1,53 @@
+import { clamp, P } from "./format";
+
+export const INDEX_MODES = ["none", "fixed", "cpi", "stepped"];
+
+export const readIndexation = (form) => ({
+  mode: INDEX_MODES.includes(form.indexMode) ? form.indexMode : "none",
+  fixedRate: P(form.indexRate),
+  cpiRate: P(form.cpiRate),
+  cpiThreshold: clamp(P(form.cpiThreshold)),
+  cpiFirstMonth: Math.max(2, Math.round(P(form.cpiFirstMonth)) || 13),
+  steps: (Array.isArray(form.rentSteps) ? form.rentSteps : [])
+    .map((s) => ({ from: Math.round(P(s.from)), to: Math.round(P(s.to)), rent: clamp(P(s.rent)) }))
+    .filter((s) => s.from > 0 && s.to >= s.from),
+});
+
+// Returns the monthly rent (€/sqm) for lease months 1..count.
+// Fixed: compounding step-up at the start of every lease year.
+// CPI: the index grows at cpiRate p.a.; from cpiFirstMonth on it is checked every
+// 12 months and, once the change since the last adjustment reaches the threshold,
+// the rent follows the full change.
+// Stepped: explicit month ranges; months not covered keep the headline rent.
+export const buildRentSchedule = (form, baseRent, count) => {
+  const ix = readIndexation(form);
+  const out = new Array(Math.max(0, count)).fill(baseRent);
+
+  if (ix.mode === "fixed") {
+    for (let m = 0; m < out.length; m++) {
+      out[m] = baseRent * Math.pow(1 + ix.fixedRate / 100, Math.floor(m / 12));
+    }
+  } else if (ix.mode === "cpi") {
+    const index = (month) => Math.pow(1 + ix.cpiRate / 100, (month - 1) / 12);
+    let current = baseRent;
+    let lastIndex = index(1);
+    for (let m = 0; m < out.length; m++) {
+      const month = m + 1;
+      if (month >= ix.cpiFirstMonth && (month - ix.cpiFirstMonth) % 12 === 0) {
+        const change = (index(month) / lastIndex - 1) * 100;
+        if (Math.abs(change) >= ix.cpiThreshold && Math.abs(change) > 1e-9) {
+          current *= index(month) / lastIndex;
+          lastIndex = index(month);
+        }
+      }
+      out[m] = current;
+    }
+  } else if (ix.mode === "stepped") {
+    for (let m = 0; m < out.length; m++) {
+      const step = ix.steps.find((s) => m + 1 >= s.from && m + 1 <= s.to);
+      if (step) out[m] = step.rent;
+    }
+  }
+
+  return out;
+};
@@ -0,0 +1,64 @@
+import { clamp, P } from "./format";
+
+const npv = (flows, rate) => flows.reduce((acc, cf, m) => acc + cf / Math.pow(1 + rate, m), 0);
+
+// Monthly IRR by bisection; null when the flows never change sign.
+export const irr = (flows, lo = -0.5, hi = 1) => {
+  if (!flows.some((x) => x < 0) || !flows.some((x) => x > 0)) return null;
+  let fLo = npv(flows, lo);
+  const fHi = npv(flows, hi);
+  if (fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(flows, mid);
+    if (Math.abs(fMid) < 1e-7) return mid;
+    if (fLo * fMid < 0) hi = mid;
+    else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+// First lease month in which the rent collected covers the incentive outlay.
+export const paybackMonth = (cashFlows, outlay) => {
+  if (outlay <= 0) return 0;
+  let collected = 0;
+  for (const row of cashFlows) {
+    collected += row.headline + row.rentFree;
+    if (collected >= outlay - 1e-9) return row.month;
+  }
+  return null;
+};
+
+// Incentive package flows for the IRR: fit-out, agent fees and lump sums the landlord pays
+// are the outlay at signing (t0); each lease month's rent after rent-frees, plus lump sums
+// the tenant pays and break payments, is the return at the end of that month.
+const incentiveFlows = (result, outlay) => [
+  -outlay,
+  ...result.cashFlows.map((row) => row.headline + row.rentFree + Math.max(0, row.lumpSum) + row.breakPayment),
+];
+
+// Landlord view of a calculateNER result: the incentive outlay against the rent collected.
+// The IRR is null without an outlay, as there is nothing to earn a return on.
+export const calculateLandlordMetrics = (result, form) => {
+  const exitYield = clamp(P(form.exitYield));
+  const outlay = result.totalFit + result.agentFees + Math.max(0, -result.totalUnforeseen);
+  const monthlyIRR = outlay > 0 ? irr(incentiveFlows(result, outlay)) : null;
+  const annualIRR = monthlyIRR === null ? null : (Math.pow(1 + monthlyIRR, 12) - 1) * 100;
+  const capValue = (perSqm) => (exitYield > 0 ? (perSqm * result.gla * 12) / (exitYield / 100) : 0);
+  const headlineValue = capValue(result.avgRent);
+  const effectiveValue = capValue(result.ner4);
+
+  return {
+    exitYield,
+    irr: annualIRR,
+    incentiveOutlay: outlay,
+    payback: paybackMonth(result.cashFlows, outlay),
+    headlineValue,
+    effectiveValue,
+    valueImpact: effectiveValue - headlineValue,
+    valueImpactPct: headlineValue > 0 ? ((effectiveValue - headlineValue) / headlineValue) * 100 : 0,
+  };
+};
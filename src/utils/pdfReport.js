@@ -0,0 +1,420 @@
+import { calculateHorizons, calculateNER, resolveScenarioForm } from "./calculations";
+import { calculateLandlordMetrics } from "./landlord";
+import { buildNerBars, buildWaterfall } from "./chartData";
+import { CUR, CURRENCY_CODE, displayLocale, F, FCUR, FCUR0, P } from "./format";
+import { AREA, FAREA, FRENT, PERIOD, perAreaUnit, rentUnit, toDisplay, unitRentUnit } from "./units";
+import { parseMonthList, RF_MODES } from "./rentFree";
+import { readBreaks } from "./breaks";
+import { readSpaces } from "./spaces";
+import { textColorFor } from "./scenarios";
+import { t } from "./i18n";
+
+const MARGIN = 18;
+const GREY = "#6b7280";
+const TEXT = "#111827";
+
+const rfMode = (form) => (RF_MODES.includes(form.rfMode) ? form.rfMode : "upfront");
+const fitLabel = (mode) => (mode === "perNLA" ? `${perAreaUnit()} NLA` : mode === "perGLA" ? `${perAreaUnit()} GLA` : t("common.total"));
+
+// The standard PDF fonts only cover Windows-1252. Currency symbols outside it (Kč, zł)
+// are written as the ISO code, narrow spaces as spaces and other letters without accents.
+const WIN_ANSI = /[\n\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/;
+const LETTER_FALLBACK = { ł: "l", Ł: "L", đ: "d", Đ: "D", "\u2212": "-" };
+
+const toWinAnsi = (text) => {
+  const symbol = CUR();
+  const fixed = [...symbol].every((ch) => WIN_ANSI.test(ch)) ? text : text.split(symbol).join(CURRENCY_CODE());
+  return [...fixed]
+    .map((ch) => {
+      if (WIN_ANSI.test(ch)) return ch;
+      if (/\s/.test(ch)) return " ";
+      const base = ch.normalize("NFD")[0];
+      return WIN_ANSI.test(base) ? base : LETTER_FALLBACK[ch] || "?";
+    })
+    .join("");
+};
+
+// Routes all text, including autoTable cells, through toWinAnsi.
+const applyWinAnsiText = (doc) => {
+  const text = doc.text.bind(doc);
+  doc.text = (value, ...rest) => text(Array.isArray(value) ? value.map(toWinAnsi) : toWinAnsi(String(value)), ...rest);
+};
+
+const pageWidth = (doc) => doc.internal.pageSize.getWidth();
+const pageHeight = (doc) => doc.internal.pageSize.getHeight();
+const rentText = (v) => `${FRENT(v)} ${rentUnit()}`;
+const pct = (v) => `${F(v, 2)} %`;
+
+const rentFreeMonths = (form) => (form.rfMode === "custom" ? parseMonthList(form.rfMonths).length : P(form.rf));
+
+const indexationText = (form) => {
+  if (form.indexMode === "fixed") return t("pdf.indexFixed", { rate: F(P(form.indexRate), 2) });
+  if (form.indexMode === "cpi") {
+    return t("pdf.indexCpi", { rate: F(P(form.cpiRate), 2), threshold: F(P(form.cpiThreshold), 2), month: form.cpiFirstMonth });
+  }
+  if (form.indexMode === "stepped") return t("pdf.indexStepped", { count: (form.rentSteps || []).length });
+  return t("index.none");
+};
+
+const caseList = (form, scenarios) => [
+  { name: t("common.current"), color: "#e5e7eb", form },
+  ...scenarios.map((sc) => ({ name: sc.name, color: sc.color, form: resolveScenarioForm(form, sc.overrides) })),
+].map((c) => {
+  const result = calculateNER(c.form);
+  return { ...c, result, landlord: calculateLandlordMetrics(result, c.form) };
+});
+
+const heading = (doc, text, y, accent) => {
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(15);
+  doc.setTextColor(accent);
+  doc.text(text, MARGIN, y);
+  doc.setDrawColor(accent);
+  doc.setLineWidth(0.4);
+  doc.line(MARGIN, y + 2, pageWidth(doc) - MARGIN, y + 2);
+  doc.setTextColor(TEXT);
+  return y + 9;
+};
+
+const ensureSpace = (doc, y, needed) => {
+  if (y + needed <= pageHeight(doc) - MARGIN - 8) return y;
+  doc.addPage("a4", "portrait");
+  return MARGIN + 4;
+};
+
+// Floating bars drawn with PDF primitives, so charts stay sharp at any zoom.
+// items: [{ label, from, to, color, text }]
+const drawBars = (doc, { x, y, w, h, title, items }) => {
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(10);
+  doc.setTextColor(TEXT);
+  doc.text(title, x, y);
+
+  const top = y + 8;
+  const plotH = h - 20;
+  const values = items.flatMap((it) => [it.from, it.to]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+  const yOf = (v) => top + ((max - v) / span) * plotH;
+  const slot = w / Math.max(1, items.length);
+  const bw = Math.min(18, slot * 0.6);
+
+  doc.setDrawColor("#9ca3af");
+  doc.setLineWidth(0.2);
+  doc.line(x, yOf(0), x + w, yOf(0));
+
+  doc.setFontSize(7.5);
+  items.forEach((it, i) => {
+    const bx = x + slot * i + (slot - bw) / 2;
+    const y1 = yOf(Math.max(it.from, it.to));
+    const y2 = yOf(Math.min(it.from, it.to));
+    doc.setFillColor(it.color);
+    doc.rect(bx, y1, bw, Math.max(0.3, y2 - y1), "F");
+    doc.setFont("helvetica", "bold");
+    doc.setTextColor(TEXT);
+    doc.text(it.text, bx + bw / 2, y1 - 1.5, { align: "center" });
+    doc.setFont("helvetica", "normal");
+    doc.setTextColor(GREY);
+    doc.text(doc.splitTextToSize(it.label, slot - 1), x + slot * i + slot / 2, top + plotH + 5, { align: "center" });
+  });
+  doc.setTextColor(TEXT);
+};
+
+const nerBarItems = (result) =>
+  buildNerBars(result).map((b) => ({ label: b.name, from: 0, to: b.sqm, color: b.color, text: F(b.sqm, 2) }));
+
+const waterfallItems = (result) =>
+  buildWaterfall(result).map((s) => ({
+    label: s.name,
+    from: s.base,
+    to: s.base + s.delta,
+    color: s.isTotal ? "#065f46" : s.delta < 0 ? "#dc2626" : "#16a34a",
+    text: s.isTotal ? F(s.delta, 2) : `${s.delta > 0 ? "+" : ""}${F(s.delta, 2)}`,
+  }));
+
+const drawCover = (doc, { form, projectName, date, branding, current }) => {
+  const W = pageWidth(doc);
+  const accent = branding.enabled ? branding.accentColor : "#005CA9";
+  doc.setFillColor(accent);
+  doc.rect(0, 0, W, 62, "F");
+
+  let textX = MARGIN;
+  if (branding.enabled && branding.logo) {
+    try {
+      const props = doc.getImageProperties(branding.logo);
+      const scale = Math.min(42 / props.width, 26 / props.height);
+      const lw = props.width * scale;
+      const lh = props.height * scale;
+      doc.setFillColor("#ffffff");
+      doc.roundedRect(MARGIN - 2, 31 - lh / 2 - 2, lw + 4, lh + 4, 2, 2, "F");
+      doc.addImage(branding.logo, props.fileType || "PNG", MARGIN, 31 - lh / 2, lw, lh);
+      textX = MARGIN + lw + 8;
+    } catch {
+      // unreadable logo: the cover falls back to the company name only
+    }
+  }
+  doc.setTextColor(textColorFor(accent));
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(branding.enabled && branding.companyName ? branding.companyName : t("pdf.calculator"), textX, 30);
+  if (branding.enabled && branding.contact) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    doc.text(branding.contact, textX, 37);
+  }
+
+  doc.setTextColor(TEXT);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(26);
+  doc.text(t("pdf.title"), MARGIN, 110);
+  doc.setFontSize(18);
+  doc.setTextColor(accent);
+  doc.text(form.tenant?.trim() || t("pdf.unnamedTenant"), MARGIN, 124);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.setTextColor(GREY);
+  if (projectName) doc.text(projectName, MARGIN, 133);
+  const prepared = date.toLocaleDateString(displayLocale(), { day: "numeric", month: "long", year: "numeric" });
+  doc.text(t("pdf.preparedOn", { date: prepared }), MARGIN, projectName ? 141 : 133);
+
+  const boxY = 165;
+  const boxW = (W - 2 * MARGIN - 10) / 3;
+  [
+    { label: t("ner.final"), value: rentText(current.result.ner4) },
+    { label: t("pdf.avgHeadline"), value: rentText(current.result.avgRent) },
+    { label: t("ner.discounted"), value: rentText(current.result.nerPV) },
+  ].forEach((k, i) => {
+    const bx = MARGIN + i * (boxW + 5);
+    doc.setDrawColor(accent);
+    doc.setLineWidth(0.5);
+    doc.roundedRect(bx, boxY, boxW, 26, 2, 2, "S");
+    doc.setFontSize(9);
+    doc.setTextColor(GREY);
+    doc.text(k.label, bx + 4, boxY + 8);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(14);
+    doc.setTextColor(TEXT);
+    doc.text(k.value, bx + 4, boxY + 19);
+    doc.setFont("helvetica", "normal");
+  });
+};
+
+const inputRows = (form, result) => {
+  const rows = [
+    [t("field.nla"), `${FAREA(result.nla)} ${AREA()}`],
+    [t("short.addon"), pct(result.addon)],
+    [t("field.gla"), `${FAREA(result.gla)} ${AREA()}`],
+    [t("field.headlineRent"), `${FRENT(result.rent)} ${rentUnit(true)}`],
+    [t("short.leaseTerm"), t("pdf.months", { value: F(result.duration, 2) })],
+    [t("short.indexation"), indexationText(form)],
+    [
+      t("short.rentFree"),
+      `${t("pdf.rentFree", { months: F(rentFreeMonths(form), 2), placement: t(`rf.${rfMode(form)}`) })}${form.rfMode === "custom" ? ` (${form.rfMonths})` : ""}`,
+    ],
+    [t("pdf.rentReduction"), pct(String(form.rfShare ?? "").trim() === "" ? 100 : P(form.rfShare))],
+    [t("short.fitOut"), t("pdf.fitOut", { total: FCUR0(result.totalFit), mode: fitLabel(form.fitMode) })],
+    [t("short.agentFees"), t("pdf.agentFees", { months: F(result.agent, 2), amount: FCUR0(result.agentFees) })],
+    [t("field.lumpsum"), FCUR0(result.unforeseen)],
+    [t("short.discountRate"), t("pdf.perAnnum", { value: pct(result.discountRate) })],
+    [
+      t("short.serviceCharge"),
+      t("pdf.serviceCharge", {
+        charge: `${FRENT(P(form.serviceCharge))} ${rentUnit(true)}`,
+        cap: String(form.serviceChargeCap ?? "").trim() ? t("pdf.cap", { value: FRENT(P(form.serviceChargeCap)) }) : "",
+        share: pct(P(form.nonRecoverable)),
+      }),
+    ],
+    [t("short.exitYield"), pct(P(form.exitYield))],
+  ];
+  readSpaces(form).forEach((s) =>
+    rows.push([
+      t("pdf.space", { label: s.label }),
+      s.unit === "unit"
+        ? t("pdf.at", { quantity: t("pdf.units", { count: F(s.quantity, 0) }), rent: `${F(toDisplay("unitRent", s.rent), 2)} ${unitRentUnit()}` })
+        : t("pdf.at", { quantity: `${FAREA(s.quantity)} ${AREA()}`, rent: `${FRENT(s.rent)} ${rentUnit(true)}` }),
+    ])
+  );
+  readBreaks(form).forEach((b) =>
+    rows.push([
+      t("pdf.break"),
+      t("pdf.breakTerms", { month: b.month, penalty: F(b.penalty, 2), clawback: b.clawback ? t("pdf.clawback") : "" }),
+    ])
+  );
+  return rows;
+};
+
+const breakdownRows = (r) => {
+  const dev = (v) => (r.avgRent > 0 ? `${v >= r.avgRent ? "+" : ""}${F(((v - r.avgRent) / r.avgRent) * 100, 2)} %` : "");
+  return [
+    [t("pdf.avgHeadline"), rentText(r.avgRent), ""],
+    [t("ner.ner1"), rentText(r.ner1), dev(r.ner1)],
+    [t("ner.ner2"), rentText(r.ner2), dev(r.ner2)],
+    [t("ner.ner3"), rentText(r.ner3), dev(r.ner3)],
+    [t("pdf.finalInclLumpsum"), rentText(r.ner4), dev(r.ner4)],
+    [t("pdf.discountedAt", { rate: pct(r.discountRate) }), rentText(r.nerPV), dev(r.nerPV)],
+    [`${t("results.gross")} ${t("results.tenantTag")}`, rentText(r.grossEffectiveRent), ""],
+    [`${t("results.net")} ${t("results.landlordTag")}`, rentText(r.netIncomeRent), ""],
+    [t("total.headline"), FCUR(r.totalHeadline), ""],
+    [t("total.rentFrees"), FCUR(-r.totalRentFrees), ""],
+    [t("total.fitOut"), FCUR(-r.totalFit), ""],
+    [t("total.agentFees"), FCUR(-r.totalAgentFees), ""],
+    [t("total.lumpsum"), FCUR(r.totalUnforeseen), ""],
+  ];
+};
+
+const finalNerLabel = () => `${t("ner.final")} (${rentUnit()})`;
+
+const comparisonRows = (cases) => {
+  const base = cases[0].result.ner4;
+  const row = (label, fn) => [label, ...cases.map(fn)];
+  return [
+    row(`${t("field.nla")} (${AREA()})`, (c) => FAREA(c.result.nla)),
+    row(t("field.addon"), (c) => F(c.result.addon, 2)),
+    row(`${t("field.gla")} (${AREA()})`, (c) => FAREA(c.result.gla)),
+    row(`${t("field.headlineRent")} (${rentUnit()})`, (c) => FRENT(c.result.rent)),
+    row(t("field.leaseTerm"), (c) => F(c.result.duration, 2)),
+    row(t("field.rentFree"), (c) => F(rentFreeMonths(c.form), 2)),
+    row(t("field.rentFreePlacement"), (c) => t(`rf.${rfMode(c.form)}`)),
+    row(t("total.fitOut"), (c) => FCUR0(c.result.totalFit)),
+    row(t("short.agentFees"), (c) => FCUR0(c.result.agentFees)),
+    row(t("pdf.lumpsum"), (c) => FCUR0(c.result.unforeseen)),
+    row(`NER 1 (${rentUnit()})`, (c) => FRENT(c.result.ner1)),
+    row(`NER 2 (${rentUnit()})`, (c) => FRENT(c.result.ner2)),
+    row(`NER 3 (${rentUnit()})`, (c) => FRENT(c.result.ner3)),
+    row(finalNerLabel(), (c) => FRENT(c.result.ner4)),
+    row(t("scenarios.deviation"), (c, i) =>
+      i === 0 || Math.abs(base) < 1e-9 ? "–" : `${c.result.ner4 >= base ? "+" : ""}${F(((c.result.ner4 - base) / Math.abs(base)) * 100, 2)} %`
+    ),
+    row(`${t("ner.discounted")} (${rentUnit()})`, (c) => FRENT(c.result.nerPV)),
+    row(t("pdf.irr"), (c) => (c.landlord.irr === null ? t("common.na") : F(c.landlord.irr, 2))),
+    row(t("pdf.payback"), (c) => (c.landlord.payback ?? "–").toString()),
+    row(t("landlord.valueImpact"), (c) => FCUR0(c.landlord.valueImpact)),
+  ];
+};
+
+const assumptionLines = (form, result) => [
+  t("pdf.assumeAdvance"),
+  t("pdf.assumeRentFree", { placement: t(`pdf.placed.${rfMode(form)}`) }),
+  t("pdf.assumeIndexation", { indexation: indexationText(form) }),
+  t("pdf.assumeIncentives"),
+  t("pdf.assumeFormula", { area: AREA(), period: PERIOD() }),
+  t("pdf.assumeDiscount", { rate: pct(result.discountRate) }),
+  t("pdf.assumeValue", { rate: pct(P(form.exitYield)) }),
+  t("pdf.assumeHorizon"),
+];
+
+// Builds the multi-page report. jsPDF and autoTable are passed in so they can be loaded on demand.
+export const buildPdfReport = (jsPDF, autoTable, { form, scenarios, projectName = "", branding, date = new Date() }) => {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  applyWinAnsiText(doc);
+  const accent = branding.enabled ? branding.accentColor : "#005CA9";
+  const cases = caseList(form, scenarios);
+  const [current] = cases;
+  const table = (opts) => {
+    autoTable(doc, {
+      margin: { left: MARGIN, right: MARGIN, top: MARGIN, bottom: MARGIN + 6 },
+      styles: { font: "helvetica", fontSize: 9, cellPadding: 1.6, textColor: TEXT },
+      headStyles: { fillColor: accent, textColor: textColorFor(accent) },
+      alternateRowStyles: { fillColor: "#f3f4f6" },
+      ...opts,
+    });
+    return doc.lastAutoTable.finalY;
+  };
+
+  drawCover(doc, { form, projectName, date, branding, current });
+
+  doc.addPage("a4", "portrait");
+  let y = heading(doc, t("pdf.headingInputs"), MARGIN + 4, accent);
+  y = table({ startY: y, head: [[t("pdf.colInput"), t("pdf.colValue")]], body: inputRows(form, current.result), columnStyles: { 0: { cellWidth: 70 } } });
+
+  y = ensureSpace(doc, y + 10, 90);
+  y = heading(doc, t("pdf.headingBreakdown"), y, accent);
+  y = table({
+    startY: y,
+    head: [[t("pdf.colStep"), t("pdf.colValue"), t("pdf.colVsHeadline")]],
+    body: breakdownRows(current.result),
+    columnStyles: { 0: { cellWidth: 80 }, 1: { halign: "right" }, 2: { halign: "right" } },
+  });
+
+  const horizons = calculateHorizons(form);
+  if (horizons.length > 1) {
+    y = ensureSpace(doc, y + 6, 30);
+    y = table({
+      startY: y,
+      head: [[t("pdf.colHorizon"), "NER 1", "NER 2", "NER 3", t("ner.final")]],
+      body: horizons.map((h) => [h.label, ...["ner1", "ner2", "ner3", "ner4"].map((k) => FRENT(h.result[k]))]),
+      columnStyles: { 1: { halign: "right" }, 2: { halign: "right" }, 3: { halign: "right" }, 4: { halign: "right" } },
+    });
+  }
+
+  y = ensureSpace(doc, y + 8, 80);
+  const chartW = (pageWidth(doc) - 2 * MARGIN - 10) / 2;
+  drawBars(doc, { x: MARGIN, y, w: chartW, h: 72, title: t("pdf.chartSteps", { unit: rentUnit() }), items: nerBarItems(current.result) });
+  drawBars(doc, { x: MARGIN + chartW + 10, y, w: chartW, h: 72, title: t("pdf.chartWaterfall", { unit: rentUnit() }), items: waterfallItems(current.result) });
+
+  doc.addPage("a4", "landscape");
+  y = heading(doc, t("pdf.headingComparison"), MARGIN + 4, accent);
+  y = table({
+    startY: y,
+    head: [["", ...cases.map((c) => c.name)]],
+    body: comparisonRows(cases),
+    horizontalPageBreak: true,
+    horizontalPageBreakRepeat: 0,
+    columnStyles: { 0: { cellWidth: 58, fontStyle: "bold" } },
+    didParseCell: (data) => {
+      if (data.column.index > 0) data.cell.styles.halign = "right";
+      if (data.section === "head" && data.column.index > 0) {
+        const c = cases[data.column.index - 1];
+        data.cell.styles.fillColor = c.color;
+        data.cell.styles.textColor = textColorFor(c.color);
+      }
+      if (data.section === "body" && data.row.raw[0] === finalNerLabel()) data.cell.styles.fontStyle = "bold";
+    },
+  });
+
+  y = ensureSpace(doc, y + 10, 80);
+  drawBars(doc, {
+    x: MARGIN,
+    y,
+    w: Math.min(pageWidth(doc) - 2 * MARGIN, 30 * cases.length),
+    h: 72,
+    title: t("pdf.chartByCase", { unit: rentUnit() }),
+    items: cases.map((c) => ({ label: c.name, from: 0, to: toDisplay("rent", c.result.ner4), color: c.color === "#e5e7eb" ? "#9ca3af" : c.color, text: FRENT(c.result.ner4) })),
+  });
+
+  doc.addPage("a4", "portrait");
+  y = heading(doc, t("pdf.headingAssumptions"), MARGIN + 4, accent);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  assumptionLines(form, current.result).forEach((line) => {
+    const lines = doc.splitTextToSize(line, pageWidth(doc) - 2 * MARGIN - 5);
+    y = ensureSpace(doc, y, lines.length * 5 + 2);
+    doc.text("-", MARGIN, y);
+    doc.text(lines, MARGIN + 5, y);
+    y += lines.length * 5 + 2;
+  });
+
+  y = ensureSpace(doc, y + 8, 40);
+  y = heading(doc, t("pdf.headingDisclaimer"), y, accent);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const disclaimer = doc.splitTextToSize(
+    (branding.enabled && branding.disclaimer.trim()) || t("pdf.disclaimer"),
+    pageWidth(doc) - 2 * MARGIN
+  );
+  doc.text(disclaimer, MARGIN, y);
+
+  const total = doc.getNumberOfPages();
+  const footerLeft = `${branding.enabled && branding.companyName ? `${branding.companyName} · ` : ""}${t("pdf.footer")}${form.tenant?.trim() ? ` - ${form.tenant.trim()}` : ""}`;
+  for (let i = 2; i <= total; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(GREY);
+    doc.text(footerLeft, MARGIN, pageHeight(doc) - 10);
+    doc.text(t("pdf.page", { page: i, total }), pageWidth(doc) - MARGIN, pageHeight(doc) - 10, { align: "right" });
+  }
+
+  return doc;
+};
@@ -0,0 +1,88 @@
+// Passphrase encryption for exported projects, fully in the browser (Web Crypto).
+// The key comes from PBKDF2-SHA-256 over the passphrase with a random salt; the
+// project JSON is sealed with AES-256-GCM, which also detects a wrong passphrase.
+import { t } from "./i18n";
+
+export const ENCRYPTED_FORMAT = "ner-calculator-encrypted";
+const ITERATIONS = 310000;
+// Iteration counts accepted from a file: enough to be PBKDF2 at all, few enough
+// that a crafted file cannot freeze the tab.
+const MIN_ITERATIONS = 1000;
+const MAX_ITERATIONS = 5000000;
+const WRONG_PASSPHRASE = "wrong-passphrase";
+
+const toBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+export const isCryptoAvailable = () => Boolean(globalThis.crypto?.subtle);
+
+export const isEncryptedProject = (doc) => Boolean(doc) && doc.format === ENCRYPTED_FORMAT;
+
+// True for the error decryptText throws when the passphrase does not open the data;
+// asking again only helps then.
+export const isWrongPassphrase = (e) => e?.code === WRONG_PASSPHRASE;
+
+export const encryptText = async (text, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(data)),
+  };
+};
+
+const readEnvelope = (envelope) => {
+  const iterations = Number(envelope.kdf?.iterations);
+  if (
+    envelope.version !== 1 ||
+    envelope.kdf?.name !== "PBKDF2" ||
+    envelope.cipher?.name !== "AES-GCM" ||
+    !Number.isInteger(iterations) ||
+    iterations < MIN_ITERATIONS ||
+    iterations > MAX_ITERATIONS
+  ) {
+    throw new Error(t("pass.unsupported"));
+  }
+  try {
+    return { iterations, salt: fromBase64(envelope.kdf.salt), iv: fromBase64(envelope.cipher.iv), data: fromBase64(envelope.data) };
+  } catch {
+    throw new Error(t("pass.damaged"));
+  }
+};
+
+export const decryptText = async (envelope, passphrase) => {
+  const { iterations, salt, iv, data } = readEnvelope(envelope);
+  const key = await deriveKey(passphrase, salt, iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, data);
+  } catch {
+    const err = new Error(t("pass.wrong"));
+    err.code = WRONG_PASSPHRASE;
+    throw err;
+  }
+  return new TextDecoder().decode(plain);
+};
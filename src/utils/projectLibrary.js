@@ -0,0 +1,123 @@
+import { t } from "./i18n";
+
+const DB_NAME = "ner-calculator";
+// Version 2 adds the comparables store.
+const DB_VERSION = 2;
+const STORE = "projects";
+const COMPS_STORE = "comps";
+const LAST_PROJECT_KEY = "ner:lastProjectId";
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: "id" });
+          store.createIndex("updatedAt", "updatedAt");
+        }
+        if (!db.objectStoreNames.contains(COMPS_STORE)) {
+          db.createObjectStore(COMPS_STORE, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, fn, storeName = STORE) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const isLibraryAvailable = () => typeof indexedDB !== "undefined";
+
+export const newProjectId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const projectDisplayName = (record) =>
+  record.name?.trim() || record.f?.tenant?.trim() || t("library.untitled");
+
+// Newest first.
+export const listProjects = async () => {
+  const list = (await run("readonly", (store) => store.getAll())) || [];
+  return list.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
+
+export const getProject = (id) => run("readonly", (store) => store.get(id));
+
+export const saveProject = (record) =>
+  run("readwrite", (store) => store.put({ ...record, updatedAt: record.updatedAt ?? Date.now() }));
+
+export const deleteProject = (id) => run("readwrite", (store) => store.delete(id));
+
+export const renameProject = async (id, name) => {
+  const record = await getProject(id);
+  if (!record) return null;
+  const next = { ...record, name, updatedAt: Date.now() };
+  await saveProject(next);
+  return next;
+};
+
+export const duplicateProject = async (id) => {
+  const record = await getProject(id);
+  if (!record) return null;
+  const now = Date.now();
+  const copy = {
+    ...structuredClone(record),
+    id: newProjectId(),
+    name: t("library.copy", { name: projectDisplayName(record) }),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await saveProject(copy);
+  return copy;
+};
+
+export const searchProjects = (list, query) => {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return list;
+  return list.filter((p) =>
+    [p.name, p.f?.tenant, ...(p.scenarios || []).map((sc) => sc.name)].some((x) =>
+      String(x || "").toLowerCase().includes(q)
+    )
+  );
+};
+
+// Comparable deals, shared by all projects in this browser.
+export const listComps = async () => (await run("readonly", (store) => store.getAll(), COMPS_STORE)) || [];
+
+export const saveComps = (comps) =>
+  run("readwrite", (store) => comps.forEach((comp) => store.put(comp)), COMPS_STORE);
+
+export const deleteComp = (id) => run("readwrite", (store) => store.delete(id), COMPS_STORE);
+
+export const getLastProjectId = () => {
+  try {
+    return localStorage.getItem(LAST_PROJECT_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setLastProjectId = (id) => {
+  try {
+    localStorage.setItem(LAST_PROJECT_KEY, id);
+  } catch {
+    // private mode: the library still works, only the auto-reopen is lost
+  }
+};
@@ -0,0 +1,292 @@
+import { INDEX_MODES } from "./indexation";
+import { RF_MODES } from "./rentFree";
+import { SPACE_TYPES } from "./spaces";
+import { normalizeScenarios } from "./scenarios";
+import { DEFAULT_RENT_ROLL, repairRentRoll } from "./rentRoll";
+import { DEFAULT_SETTINGS, repairSettings } from "./settings";
+import { isLogEntry } from "./history";
+import { t } from "./i18n";
+
+export const PROJECT_FORMAT = "ner-calculator-project";
+export const PROJECT_VERSION = 7;
+export const PROJECT_FILE_EXT = ".ner.json";
+
+export const DEFAULT_FORM = {
+  tenant: "",
+  nla: "1000",
+  addon: "5.00",
+  rent: "15.00",
+  duration: "60",
+  rf: "5.0",
+  rfMode: "upfront",
+  rfShare: "100",
+  rfPerYear: "1",
+  rfMonths: "",
+  agent: "2.0",
+  fitMode: "perNLA",
+  fitPerNLA: "300.00",
+  fitPerGLA: "",
+  fitTot: "300000.00",
+  unforeseen: "0",
+  discountRate: "6.00",
+  indexMode: "none",
+  indexRate: "2.50",
+  cpiRate: "2.00",
+  cpiThreshold: "3.00",
+  cpiFirstMonth: "13",
+  rentSteps: [],
+  breaks: [],
+  spaces: [],
+  serviceCharge: "4.50",
+  serviceChargeCap: "",
+  nonRecoverable: "0",
+  exitYield: "5.00",
+};
+
+const num = { type: "number" };
+const text = { type: "text" };
+const bool = { type: "boolean" };
+const oneOf = (values) => ({ type: "enum", values });
+const listOf = (item) => ({ type: "list", item });
+
+// One entry per form key. Anything not listed here is dropped on load.
+const FORM_SCHEMA = {
+  tenant: text,
+  nla: num,
+  addon: num,
+  rent: num,
+  duration: num,
+  rf: num,
+  rfMode: oneOf(RF_MODES),
+  rfShare: num,
+  rfPerYear: num,
+  rfMonths: text,
+  agent: num,
+  fitMode: oneOf(["perNLA", "perGLA", "total"]),
+  fitPerNLA: num,
+  fitPerGLA: num,
+  fitTot: num,
+  unforeseen: num,
+  discountRate: num,
+  indexMode: oneOf(INDEX_MODES),
+  indexRate: num,
+  cpiRate: num,
+  cpiThreshold: num,
+  cpiFirstMonth: num,
+  rentSteps: listOf({ from: num, to: num, rent: num }),
+  breaks: listOf({ month: num, penalty: num, clawback: bool }),
+  spaces: listOf({ type: oneOf(SPACE_TYPES.map((st) => st.id)), label: text, quantity: num, rent: num, rf: num }),
+  serviceCharge: num,
+  serviceChargeCap: num,
+  nonRecoverable: num,
+  exitYield: num,
+};
+
+const NUMBER_TEXT = /^[-+]?[\d\s.,]*\d[\d\s.,]*$/;
+
+const show = (v) => {
+  const s = typeof v === "string" ? `"${v}"` : JSON.stringify(v);
+  return s && s.length > 40 ? `${s.slice(0, 37)}...` : s;
+};
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Returns { value } for an acceptable (possibly converted) value, or { error }.
+const checkValue = (rule, v) => {
+  switch (rule.type) {
+    case "number":
+      if (typeof v === "number") return Number.isFinite(v) ? { value: String(v) } : { error: t("schema.notFinite") };
+      if (typeof v === "string" && (v.trim() === "" || NUMBER_TEXT.test(v.trim()))) return { value: v };
+      return { error: t("schema.notNumber") };
+    case "text":
+      if (typeof v === "string") return { value: v };
+      if (typeof v === "number") return { value: String(v) };
+      return { error: t("schema.notText") };
+    case "boolean":
+      if (typeof v === "boolean") return { value: v };
+      if (v === "true" || v === "false") return { value: v === "true" };
+      return { error: t("schema.notBoolean") };
+    case "enum":
+      return rule.values.includes(v) ? { value: v } : { error: t("schema.notOneOf", { values: rule.values.join(", ") }) };
+    case "list": {
+      if (!Array.isArray(v)) return { error: t("schema.notList") };
+      const items = [];
+      const errors = [];
+      v.forEach((item, i) => {
+        if (!isObject(item)) {
+          errors.push(t("schema.entryNotObject", { n: i + 1 }));
+          return;
+        }
+        const out = {};
+        Object.entries(rule.item).forEach(([k, r]) => {
+          if (item[k] === undefined) return;
+          const res = checkValue(r, item[k]);
+          if (res.error) errors.push(t("schema.entryCleared", { n: i + 1, key: k, value: show(item[k]), error: res.error }));
+          else out[k] = res.value;
+        });
+        items.push(out);
+      });
+      return { value: items, notes: errors };
+    }
+    default:
+      return { error: t("schema.unsupported") };
+  }
+};
+
+// Checks one form value, e.g. from an import. Returns { value } or { error }.
+export const checkField = (key, value) =>
+  FORM_SCHEMA[key] ? checkValue(FORM_SCHEMA[key], value) : { error: t("schema.notField") };
+
+// Repairs the base form: bad values fall back to the default, unknown keys are dropped.
+const repairForm = (raw, warnings) => {
+  const out = { ...DEFAULT_FORM };
+  Object.entries(raw).forEach(([key, v]) => {
+    const rule = FORM_SCHEMA[key];
+    if (!rule) {
+      warnings.push(t("schema.unknownField", { key }));
+      return;
+    }
+    const res = checkValue(rule, v);
+    if (res.error) {
+      warnings.push(t("schema.fieldReset", { key, value: show(v), error: res.error, fallback: show(DEFAULT_FORM[key]) }));
+      return;
+    }
+    (res.notes || []).forEach((note) => warnings.push(t("schema.fieldNote", { key, note })));
+    out[key] = res.value;
+  });
+  return out;
+};
+
+// Repairs scenario overrides: bad or unknown overrides are removed so the base value applies.
+const repairOverrides = (scenario, warnings) => {
+  const overrides = {};
+  Object.entries(scenario.overrides).forEach(([key, v]) => {
+    const rule = FORM_SCHEMA[key];
+    if (!rule) {
+      warnings.push(t("schema.scenarioUnknown", { name: scenario.name, key }));
+      return;
+    }
+    const res = checkValue(rule, v);
+    if (res.error) {
+      warnings.push(t("schema.scenarioInvalid", { name: scenario.name, key, value: show(v), error: res.error }));
+      return;
+    }
+    (res.notes || []).forEach((note) => warnings.push(t("schema.scenarioNote", { name: scenario.name, key, note })));
+    overrides[key] = res.value;
+  });
+  return { ...scenario, overrides };
+};
+
+// Change log entries that cannot be read are dropped; files without a log start an empty one.
+const repairLog = (raw, warnings) => {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) {
+    warnings.push(t("schema.logNotList"));
+    return [];
+  }
+  const log = raw.filter(isLogEntry);
+  if (log.length < raw.length) warnings.push(t("schema.logDropped", { count: raw.length - log.length }));
+  return log;
+};
+
+// Version 0: the bare form object of the first releases.
+// Version 1: unversioned { f, scenarios }, scenarios possibly without name and colour.
+// Version 2: { format, version, name, f, scenarios }.
+// Version 3: adds project settings (display locale, currency, input decimal separator).
+// Version 4: adds the area unit and rent period settings, sqm and monthly when missing.
+// Version 5: adds the language setting; without it the language currently shown is kept.
+// Version 6: adds the change log; older files start an empty one.
+// Version 7: adds the rent roll entry (building, floor, status, lease start).
+const MIGRATIONS = {
+  0: (doc) => ({ f: doc }),
+  1: (doc) => ({
+    format: PROJECT_FORMAT,
+    version: 2,
+    name: typeof doc.name === "string" ? doc.name : "",
+    f: doc.f,
+    scenarios: doc.scenarios,
+  }),
+  2: (doc) => ({ ...doc, version: 3 }),
+  3: (doc) => ({ ...doc, version: 4 }),
+  4: (doc) => ({ ...doc, version: 5 }),
+  5: (doc) => ({ ...doc, version: 6 }),
+  6: (doc) => ({ ...doc, version: 7 }),
+};
+
+const detectVersion = (doc) => {
+  if (doc.version !== undefined) return Number(doc.version);
+  return isObject(doc.f) ? 1 : 0;
+};
+
+// Brings any older document up to PROJECT_VERSION and repairs its fields.
+// Returns { ok: true, project, warnings } or { ok: false, message }.
+export const validateProject = (doc) => {
+  if (!isObject(doc)) return { ok: false, message: t("schema.notObject") };
+
+  let version = detectVersion(doc);
+  if (!Number.isInteger(version) || version < 0) {
+    return { ok: false, message: t("schema.unknownVersion", { version: show(doc.version) }) };
+  }
+  if (version > PROJECT_VERSION) {
+    return {
+      ok: false,
+      message: t("schema.newer", { version, supported: PROJECT_VERSION }),
+    };
+  }
+
+  let current = doc;
+  while (version < PROJECT_VERSION) {
+    current = MIGRATIONS[version](current);
+    version += 1;
+  }
+
+  if (!isObject(current.f)) return { ok: false, message: t("schema.noInputs") };
+
+  const warnings = [];
+  const settings = repairSettings(current.settings, warnings);
+  const rentRoll = repairRentRoll(current.rentRoll, warnings);
+  const f = repairForm(current.f, warnings);
+  const scenarios =
+    current.scenarios === undefined
+      ? normalizeScenarios(undefined)
+      : normalizeScenarios(current.scenarios).map((sc) => repairOverrides(sc, warnings));
+  if (current.scenarios !== undefined && !Array.isArray(current.scenarios)) {
+    warnings.push(t("schema.scenariosNotList"));
+  }
+  const log = repairLog(current.log, warnings);
+
+  return {
+    ok: true,
+    project: { version, name: typeof current.name === "string" ? current.name : "", settings, rentRoll, f, scenarios, log },
+    warnings,
+  };
+};
+
+export const parseProjectText = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    return { ok: false, message: t("schema.invalidJson") };
+  }
+  return validateProject(doc);
+};
+
+export const serializeProject = ({
+  name = "",
+  settings = DEFAULT_SETTINGS,
+  rentRoll = DEFAULT_RENT_ROLL,
+  f,
+  scenarios,
+  log = [],
+}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  name,
+  settings,
+  rentRoll,
+  f,
+  scenarios,
+  log,
+});
@@ -0,0 +1,62 @@
+import { clamp, P } from "./format";
+
+export const RF_MODES = ["upfront", "spread", "end", "custom"];
+
+// "1-3, 13, 25" -> [1, 2, 3, 13, 25]
+export const parseMonthList = (text) => {
+  const out = new Set();
+  String(text ?? "")
+    .replace(/\s*-\s*/g, "-")
+    .split(/[,;\s]+/)
+    .filter(Boolean)
+    .forEach((part) => {
+      const [a, b] = part.split("-").map((x) => Math.round(P(x)));
+      if (!a) return;
+      const from = Math.max(1, a);
+      const to = Math.max(from, b || from);
+      for (let m = from; m <= Math.min(to, from + 1200); m++) out.add(m);
+    });
+  return [...out].sort((x, y) => x - y);
+};
+
+export const readRentFree = (form) => ({
+  mode: RF_MODES.includes(form.rfMode) ? form.rfMode : "upfront",
+  rf: clamp(P(form.rf)),
+  share: form.rfShare === undefined || form.rfShare === "" ? 1 : Math.min(100, clamp(P(form.rfShare))) / 100,
+  perYear: Math.min(12, clamp(P(form.rfPerYear))),
+  months: parseMonthList(form.rfMonths),
+});
+
+const overlap = (a0, a1, b0, b1) => Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+
+// Free intervals on the lease timeline, measured in months from lease start.
+const freeIntervals = (rfSettings, duration) => {
+  const { mode, rf, perYear, months } = rfSettings;
+  if (mode === "end") return [[Math.max(0, duration - rf), duration]];
+  if (mode === "custom") return months.map((m) => [m - 1, m]);
+  if (mode === "spread" && perYear > 0) {
+    const out = [];
+    for (let y = 0, left = rf; left > 0 && y * 12 < duration; y++, left -= perYear) {
+      out.push([y * 12, y * 12 + Math.min(perYear, left)]);
+    }
+    return out;
+  }
+  return [[0, rf]];
+};
+
+// Share of each month's rent that is waived (0..1), already weighted by the
+// rent reduction and by a fractional last month.
+export const buildRentFreeProfile = (form, duration) => {
+  const settings = readRentFree(form);
+  const intervals = freeIntervals(settings, duration);
+  const count = Math.ceil(duration);
+  const out = new Array(Math.max(0, count)).fill(0);
+
+  for (let m = 0; m < count; m++) {
+    const end = Math.min(m + 1, duration);
+    const covered = intervals.reduce((acc, [a, b]) => acc + overlap(m, end, a, b), 0);
+    out[m] = Math.min(end - m, covered) * settings.share;
+  }
+
+  return out;
+};
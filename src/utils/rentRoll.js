@@ -0,0 +1,115 @@
+import { calculateNER } from "./calculations";
+import { displayLocale } from "./format";
+import { projectDisplayName } from "./projectLibrary";
+import { t } from "./i18n";
+
+// Labels are dictionary keys ("rentRoll.status.signed").
+export const LEASE_STATUSES = ["negotiation", "offer", "signed"];
+
+// Where a tenant case sits in its building, saved with the project next to the settings.
+// start is the first lease month ("2025-01"); without it the rent roll shows no expiry.
+export const DEFAULT_RENT_ROLL = { building: "", floor: "", status: "negotiation", start: "" };
+
+const MONTH = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const text = { check: (v) => typeof v === "string", hint: () => t("schema.notText") };
+
+const RENT_ROLL_RULES = {
+  building: text,
+  floor: text,
+  status: {
+    check: (v) => LEASE_STATUSES.includes(v),
+    hint: () => t("schema.notOneOf", { values: LEASE_STATUSES.join(", ") }),
+  },
+  start: { check: (v) => v === "" || MONTH.test(v), hint: () => t("rentRoll.hintStart") },
+};
+
+// Repairs the rent roll entry of a project file; invalid entries fall back to the default.
+export const repairRentRoll = (raw, warnings) => {
+  const out = { ...DEFAULT_RENT_ROLL };
+  if (raw === undefined) return out;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    warnings.push(t("rentRoll.notObject"));
+    return out;
+  }
+  Object.entries(raw).forEach(([key, v]) => {
+    const rule = RENT_ROLL_RULES[key];
+    if (!rule) {
+      warnings.push(t("rentRoll.unknown", { key }));
+    } else if (!rule.check(v)) {
+      warnings.push(t("rentRoll.invalid", { key, value: JSON.stringify(v), hint: rule.hint(), fallback: out[key] }));
+    } else {
+      out[key] = v;
+    }
+  });
+  return out;
+};
+
+// Last lease month ("2029-12") of a lease starting in start and running duration months.
+export const leaseExpiry = (start, duration) => {
+  const m = MONTH.exec(start || "");
+  if (!m || !(duration > 0)) return "";
+  const index = Number(m[1]) * 12 + Number(m[2]) - 1 + Math.ceil(duration) - 1;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+};
+
+export const formatMonth = (month) => {
+  const m = MONTH.exec(month || "");
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, 1).toLocaleDateString(displayLocale(), { year: "numeric", month: "short" }) : "–";
+};
+
+// One rent roll row from a library record and its validated project, for the current case.
+// Incentives are what the landlord gives the tenant: rent-frees, fit-out and lump-sum costs.
+export const rentRollRow = (record, project) => {
+  const result = calculateNER(project.f);
+  return {
+    id: record.id,
+    record,
+    name: projectDisplayName(record),
+    tenant: project.f.tenant,
+    ...project.rentRoll,
+    expiry: leaseExpiry(project.rentRoll.start, result.duration),
+    duration: result.duration,
+    currency: project.settings.currency,
+    scenarios: project.scenarios.length,
+    nla: result.nla,
+    gla: result.gla,
+    rent: result.rent,
+    ner: result.ner4,
+    headline: result.totalHeadline,
+    incentives: result.totalRentFrees + result.totalFit + Math.max(0, -result.totalUnforeseen),
+  };
+};
+
+const compareText = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+
+// By building, floor and tenant.
+export const sortRentRoll = (rows) =>
+  [...rows].sort((a, b) => compareText(a.building, b.building) || compareText(a.floor, b.floor) || compareText(a.name, b.name));
+
+// Empty filter values match every row.
+export const filterRentRoll = (rows, { building = "", floor = "", status = "" }) =>
+  rows.filter((r) => (!building || r.building === building) && (!floor || r.floor === floor) && (!status || r.status === status));
+
+export const distinctValues = (rows, key) => [...new Set(rows.map((r) => r[key]).filter(Boolean))].sort(compareText);
+
+// Building totals over the rows in the given currency. Headline rent and NER are
+// weighted by GLA, as NER is per GLA; the incentive share is of the headline rent
+// over the lease terms.
+export const rentRollTotals = (rows, currency) => {
+  const counted = rows.filter((r) => r.currency === currency);
+  const sum = (fn) => counted.reduce((acc, r) => acc + fn(r), 0);
+  const gla = sum((r) => r.gla);
+  const headline = sum((r) => r.headline);
+  const incentives = sum((r) => r.incentives);
+  return {
+    count: counted.length,
+    excluded: rows.length - counted.length,
+    nla: sum((r) => r.nla),
+    gla,
+    rent: gla > 0 ? sum((r) => r.rent * r.gla) / gla : 0,
+    ner: gla > 0 ? sum((r) => r.ner * r.gla) / gla : 0,
+    incentives,
+    incentiveShare: headline > 0 ? (incentives / headline) * 100 : 0,
+  };
+};
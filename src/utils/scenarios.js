@@ -0,0 +1,68 @@
+import { t } from "./i18n";
+
+export const SCENARIO_COLORS = [
+  "#DAE9F8",
+  "#4D93D9",
+  "#215C98",
+  "#C6E0B4",
+  "#70AD47",
+  "#FFE699",
+  "#F4B183",
+  "#C00000",
+  "#7030A0",
+  "#595959",
+];
+
+const colorFor = (index) => SCENARIO_COLORS[index % SCENARIO_COLORS.length];
+
+// Black or white header text, whichever reads better on the scenario colour.
+export const textColorFor = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || ""));
+  if (!m) return "#000000";
+  const n = parseInt(m[1], 16);
+  const lum = (0.299 * ((n >> 16) & 255) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255)) / 255;
+  return lum > 0.6 ? "#000000" : "#ffffff";
+};
+
+const nextId = (list) => list.reduce((max, sc) => Math.max(max, Number(sc.id) || 0), 1) + 1;
+
+export const createScenario = (list, overrides = {}) => {
+  const id = nextId(list);
+  return { id, name: t("scenario.name", { id }), color: colorFor(list.length), overrides: { ...overrides } };
+};
+
+export const defaultScenarios = () =>
+  [0, 1, 2].reduce((list) => [...list, createScenario(list)], []);
+
+export const duplicateScenario = (list, id) => {
+  const src = list.find((sc) => sc.id === id);
+  if (!src) return list;
+  const copy = { ...createScenario(list, src.overrides), name: t("scenario.copy", { name: src.name }), color: src.color };
+  const at = list.indexOf(src) + 1;
+  return [...list.slice(0, at), copy, ...list.slice(at)];
+};
+
+export const moveScenario = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Older project files hold three unnamed scenarios ({ id, overrides }).
+export const normalizeScenarios = (list) => {
+  if (!Array.isArray(list)) return defaultScenarios();
+  const out = [];
+  list.forEach((sc, i) => {
+    if (!sc || typeof sc !== "object") return;
+    const id = Number.isFinite(Number(sc.id)) && !out.some((o) => o.id === Number(sc.id)) ? Number(sc.id) : nextId(out);
+    out.push({
+      id,
+      name: typeof sc.name === "string" && sc.name.trim() ? sc.name : t("scenario.name", { id }),
+      color: typeof sc.color === "string" && sc.color ? sc.color : colorFor(i),
+      overrides: sc.overrides && typeof sc.overrides === "object" ? sc.overrides : {},
+    });
+  });
+  return out;
+};
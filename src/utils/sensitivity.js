@@ -0,0 +1,56 @@
+import { calculateNER } from "./calculations";
+import { P } from "./format";
+import { fitOutKey } from "./goalSeek";
+import { t } from "./i18n";
+
+export const sensitivityInputs = (fitMode) => [
+  { key: "rent", label: t("field.headlineRent"), unit: "rent", step: 1, min: 0 },
+  { key: "duration", label: t("short.leaseTerm"), step: 12, min: 1 },
+  { key: "rf", label: t("short.rentFree"), step: 1, min: 0 },
+  { key: fitOutKey(fitMode), label: t("short.fitOut"), unit: fitMode === "total" ? undefined : "perArea", step: fitMode === "total" ? 50000 : 50, min: 0 },
+  { key: "agent", label: t("short.agentFees"), step: 1, min: 0 },
+  { key: "unforeseen", label: t("short.lumpsum"), step: 10000, min: -Infinity },
+];
+
+export const finalNER = (form, key, value) => calculateNER({ ...form, [key]: String(value) }).ner4;
+
+// Flexes each input down and up by pct (% of its value) or by its absolute step
+// and returns the Final NER change, largest swing first.
+export const tornado = (form, { mode = "pct", pct = 10, steps = {} } = {}) => {
+  const base = calculateNER(form).ner4;
+
+  return sensitivityInputs(form.fitMode)
+    .map((input) => {
+      const value = P(form[input.key]);
+      const delta = mode === "pct" ? Math.abs(value) * (pct / 100) : P(steps[input.key] ?? input.step);
+      const low = Math.max(input.min, value - delta);
+      const high = value + delta;
+      const nerLow = finalNER(form, input.key, low);
+      const nerHigh = finalNER(form, input.key, high);
+      return {
+        key: input.key,
+        label: input.label,
+        unit: input.unit,
+        value,
+        low,
+        high,
+        nerLow,
+        nerHigh,
+        dLow: nerLow - base,
+        dHigh: nerHigh - base,
+        swing: Math.abs(nerHigh - nerLow),
+      };
+    })
+    .sort((a, b) => b.swing - a.swing);
+};
+
+export const axisValues = (center, step, count = 5) => {
+  const half = Math.floor(count / 2);
+  return Array.from({ length: count }, (_, i) => center + (i - half) * step);
+};
+
+// Final NER for every combination of two inputs.
+export const twoWayTable = (form, { rowKey, rowValues, colKey, colValues }) =>
+  rowValues.map((rv) =>
+    colValues.map((cv) => calculateNER({ ...form, [rowKey]: String(rv), [colKey]: String(cv) }).ner4)
+  );
@@ -0,0 +1,38 @@
+import { clamp, P } from "./format";
+
+export const readServiceCharges = (form) => {
+  const capText = String(form.serviceChargeCap ?? "").trim();
+  return {
+    rate: clamp(P(form.serviceCharge)),
+    cap: capText === "" ? null : clamp(P(capText)),
+    nonRecoverable: Math.min(100, clamp(P(form.nonRecoverable))),
+  };
+};
+
+// Service charges per sqm and month. The non-recoverable share is never passed
+// on; the tenant pays the recoverable rest up to the cap and the landlord bears
+// everything above it.
+export const splitServiceCharges = ({ rate, cap, nonRecoverable }) => {
+  const recoverable = rate * (1 - nonRecoverable / 100);
+  const tenant = cap === null ? recoverable : Math.min(recoverable, cap);
+  return { rate, tenant, landlord: rate - tenant };
+};
+
+// Applied to the office GLA and all area-based space components over the horizon.
+export const calculateServiceCharges = (form, { area, horizon, denom, ner4 }) => {
+  const split = splitServiceCharges(readServiceCharges(form));
+  const factor = (area * horizon) / denom;
+  const tenantPerSqm = split.tenant * factor;
+  const landlordPerSqm = split.landlord * factor;
+
+  return {
+    serviceChargeRate: split.rate,
+    tenantServiceCharge: split.tenant,
+    landlordServiceCharge: split.landlord,
+    totalServiceCharges: split.rate * area * horizon,
+    totalTenantServiceCharges: split.tenant * area * horizon,
+    totalNonRecoverables: split.landlord * area * horizon,
+    grossEffectiveRent: ner4 + tenantPerSqm,
+    netIncomeRent: ner4 - landlordPerSqm,
+  };
+};
@@ -0,0 +1,85 @@
+import { configureNumberFormat, DEFAULT_NUMBER_FORMAT } from "./format";
+import { AREA_UNITS, configureUnits, DEFAULT_UNITS, RENT_PERIODS } from "./units";
+import { configureLanguage, DEFAULT_LANGUAGE, LANGUAGES, language, t } from "./i18n";
+
+export const LOCALES = [
+  { id: "en-US", label: "English (US) 1,234.56" },
+  { id: "en-GB", label: "English (UK) 1,234.56" },
+  { id: "de-AT", label: "Deutsch (Österreich) 1 234,56" },
+  { id: "de-DE", label: "Deutsch (Deutschland) 1.234,56" },
+  { id: "de-CH", label: "Deutsch (Schweiz) 1’234.56" },
+  { id: "fr-CH", label: "Français (Suisse) 1 234,56" },
+  { id: "cs-CZ", label: "Čeština 1 234,56" },
+  { id: "pl-PL", label: "Polski 1 234,56" },
+];
+
+export const CURRENCIES = ["EUR", "CHF", "GBP", "CZK", "PLN", "HUF", "USD"];
+
+// Labels are dictionary keys.
+export const DECIMAL_MODES = [
+  { id: "locale", label: "settings.decimal.locale" },
+  { id: ".", label: "settings.decimal.point" },
+  { id: ",", label: "settings.decimal.comma" },
+];
+
+// Project-level settings, saved with the project file, share link and library entry.
+export const DEFAULT_SETTINGS = { ...DEFAULT_NUMBER_FORMAT, ...DEFAULT_UNITS, language: DEFAULT_LANGUAGE };
+
+const isLocale = (v) => {
+  try {
+    return typeof v === "string" && Intl.NumberFormat.supportedLocalesOf(v).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+const isCurrency = (v) => {
+  try {
+    return typeof v === "string" && /^[A-Z]{3}$/.test(v) && Boolean(new Intl.NumberFormat("en", { style: "currency", currency: v }));
+  } catch {
+    return false;
+  }
+};
+
+const oneOf = (list) => ({
+  check: (v) => list.some((x) => x.id === v),
+  hint: () => t("schema.notOneOf", { values: list.map((x) => x.id).join(", ") }),
+});
+
+const SETTINGS_RULES = {
+  locale: { check: isLocale, hint: () => t("settings.hintLocale") },
+  currency: { check: isCurrency, hint: () => t("settings.hintCurrency") },
+  decimal: oneOf(DECIMAL_MODES),
+  areaUnit: oneOf(AREA_UNITS),
+  rentPeriod: oneOf(RENT_PERIODS),
+  language: oneOf(LANGUAGES),
+};
+
+// Points the number format, unit and translation helpers at the open project's settings.
+export const applySettings = (settings) => {
+  configureNumberFormat(settings);
+  configureUnits(settings);
+  configureLanguage(settings);
+};
+
+// Repairs settings from a project file; unknown or invalid entries fall back to the default.
+// Projects saved without a language open in the language currently shown.
+export const repairSettings = (raw, warnings) => {
+  const out = { ...DEFAULT_SETTINGS, language: language() };
+  if (raw === undefined) return out;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    warnings.push(t("settings.notObject"));
+    return out;
+  }
+  Object.entries(raw).forEach(([key, v]) => {
+    const rule = SETTINGS_RULES[key];
+    if (!rule) {
+      warnings.push(t("settings.unknown", { key }));
+    } else if (!rule.check(v)) {
+      warnings.push(t("settings.invalid", { key, value: JSON.stringify(v), hint: rule.hint(), fallback: out[key] }));
+    } else {
+      out[key] = v;
+    }
+  });
+  return out;
+};
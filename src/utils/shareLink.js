@@ -0,0 +1,46 @@
+// Share links carry the project in the URL fragment (#p=...), which browsers never
+// send to the server. "z1." payloads are deflate-compressed JSON, "j1." payloads are
+// plain JSON for browsers without CompressionStream. Both are base64url encoded.
+import { t } from "./i18n";
+
+const FRAGMENT_KEY = "p";
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () => typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+export const encodeSharePayload = async (text) => {
+  const bytes = new TextEncoder().encode(text);
+  if (!canCompress()) return `j1.${toBase64Url(bytes)}`;
+  return `z1.${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+};
+
+export const decodeSharePayload = async (payload) => {
+  const [kind, data] = [payload.slice(0, 3), payload.slice(3)];
+  if (kind === "j1.") return new TextDecoder().decode(fromBase64Url(data));
+  if (kind === "z1.") {
+    if (!canCompress()) throw new Error(t("share.noCompression"));
+    return new TextDecoder().decode(await pipe(fromBase64Url(data), new DecompressionStream("deflate-raw")));
+  }
+  throw new Error(t("share.unknownFormat"));
+};
+
+export const readShareFragment = (hash) => new URLSearchParams(String(hash || "").replace(/^#/, "")).get(FRAGMENT_KEY);
+
+export const buildShareLink = async (text, base = `${window.location.origin}${window.location.pathname}`) =>
+  `${base}#${FRAGMENT_KEY}=${await encodeSharePayload(text)}`;
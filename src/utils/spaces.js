@@ -0,0 +1,78 @@
+import { clamp, P } from "./format";
+import { buildRentSchedule } from "./indexation";
+import { buildRentFreeProfile } from "./rentFree";
+import { t } from "./i18n";
+
+// Labels are looked up in the dictionary ("space.storage").
+export const SPACE_TYPES = [
+  { id: "storage", basis: "area" },
+  { id: "parking", basis: "unit" },
+  { id: "terrace", basis: "area" },
+  { id: "other", basis: "area" },
+];
+
+export const spaceType = (id) => SPACE_TYPES.find((st) => st.id === id) || SPACE_TYPES[SPACE_TYPES.length - 1];
+
+export const spaceUnit = (space) => (spaceType(space.type).basis === "unit" ? "unit" : "sqm");
+
+// Additional lease components next to the office space. Quantity is sqm or
+// number of units (parking); rent is per sqm or per unit and month.
+export const readSpaces = (form) =>
+  (Array.isArray(form.spaces) ? form.spaces : []).map((s, i) => ({
+    index: i,
+    type: spaceType(s.type).id,
+    label: String(s.label ?? "").trim() || t(`space.${spaceType(s.type).id}`),
+    unit: spaceUnit(s),
+    quantity: clamp(P(s.quantity)),
+    rent: clamp(P(s.rent)),
+    ownRF: s.rf !== undefined && String(s.rf).trim() !== "",
+    rf: clamp(P(s.rf)),
+  }));
+
+// Monthly rent streams: the office (NLA plus add-on) first, then every space.
+// Spaces follow fixed and CPI indexation; a stepped schedule applies to the office only.
+// Without an own rent-free a space follows the lease rent-free.
+export const buildRentStreams = (form, values, officeSchedule, officeFree) => {
+  const count = officeSchedule.length;
+  const office = {
+    key: "office",
+    label: t("space.office"),
+    unit: "sqm",
+    quantity: values.gla,
+    rent: values.rent,
+    monthly: officeSchedule.map((r) => r * values.gla),
+    freeProfile: officeFree,
+  };
+
+  const spaces = readSpaces(form).map((s) => {
+    const schedule =
+      form.indexMode === "stepped" ? new Array(count).fill(s.rent) : buildRentSchedule(form, s.rent, count);
+    return {
+      key: `space-${s.index}`,
+      label: s.label,
+      unit: s.unit,
+      quantity: s.quantity,
+      rent: s.rent,
+      monthly: schedule.map((r) => r * s.quantity),
+      freeProfile: s.ownRF ? buildRentFreeProfile({ ...form, rf: s.rf }, values.duration) : officeFree,
+    };
+  });
+
+  return [office, ...spaces];
+};
+
+export const streamTotals = (stream, horizon) => {
+  let headline = 0;
+  let rentFrees = 0;
+  for (let m = 0; m < Math.ceil(horizon); m++) {
+    const share = Math.min(1, horizon - m);
+    headline += stream.monthly[m] * share;
+    rentFrees += stream.monthly[m] * (stream.freeProfile[m] || 0);
+  }
+  const denom = Math.max(1e-9, horizon * stream.quantity);
+  return {
+    headline,
+    rentFrees,
+    effectiveRent: stream.quantity > 0 ? (headline - rentFrees) / denom : 0,
+  };
+};
@@ -0,0 +1,71 @@
+import { CUR, F } from "./format";
+import { t } from "./i18n";
+
+// 1 ft = 0.3048 m exactly, so 1 sq ft = 0.09290304 sqm exactly.
+export const SQM_PER_SQFT = 0.09290304;
+
+// Labels are looked up in the dictionary ("unit.area.sqm", "unit.period.year").
+export const AREA_UNITS = [{ id: "sqm" }, { id: "sqft" }];
+
+export const RENT_PERIODS = [
+  { id: "month", months: 1 },
+  { id: "quarter", months: 3 },
+  { id: "year", months: 12 },
+];
+
+export const DEFAULT_UNITS = { areaUnit: "sqm", rentPeriod: "month" };
+
+// Area unit and rent period of the open project. Form values and calculations always
+// use sqm and monthly rent; these settings only change what is shown and typed.
+// Set through applySettings, like configureNumberFormat.
+let active = { ...DEFAULT_UNITS };
+
+export const configureUnits = ({ areaUnit, rentPeriod } = {}) => {
+  active = {
+    areaUnit: AREA_UNITS.some((u) => u.id === areaUnit) ? areaUnit : DEFAULT_UNITS.areaUnit,
+    rentPeriod: RENT_PERIODS.some((p) => p.id === rentPeriod) ? rentPeriod : DEFAULT_UNITS.rentPeriod,
+  };
+};
+
+const period = () => RENT_PERIODS.find((p) => p.id === active.rentPeriod);
+
+export const AREA = () => t(`unit.area.${active.areaUnit}`);
+
+export const PERIOD = () => t(`unit.per.${active.rentPeriod}`);
+
+export const periodMonths = () => period().months;
+
+// "€/sqm" for monthly NER figures as before, "£/sq ft/year" otherwise (in the project's language).
+// withPeriod always names the period, for inputs that used to read "€/sqm/month".
+export const rentUnit = (withPeriod = false) =>
+  withPeriod || active.rentPeriod !== "month" ? `${CUR()}/${AREA()}/${PERIOD()}` : `${CUR()}/${AREA()}`;
+
+// Rent per parking space and similar per-unit rents.
+export const unitRentUnit = () => `${CUR()}/${t("unit.space")}/${PERIOD()}`;
+
+// One-off amounts per area, e.g. fit-out.
+export const perAreaUnit = () => `${CUR()}/${AREA()}`;
+
+// Conversion kinds: "area" (sqm), "perArea" (€/sqm one-off), "rent" (€/sqm/month)
+// and "unitRent" (€/unit/month). Any other kind is shown as stored.
+const factor = (kind) => {
+  const sqft = active.areaUnit === "sqft";
+  if (kind === "area") return sqft ? 1 / SQM_PER_SQFT : 1;
+  if (kind === "perArea") return sqft ? SQM_PER_SQFT : 1;
+  if (kind === "rent") return periodMonths() * (sqft ? SQM_PER_SQFT : 1);
+  if (kind === "unitRent") return periodMonths();
+  return 1;
+};
+
+// Stored values keep 15 significant digits and shown values 12, so a typed value reads
+// back exactly as typed ("25" stays 25, not 24.9999999999) after the round trip.
+const round = (n, digits) => (Number.isFinite(n) ? Number(n.toPrecision(digits)) : n);
+
+export const toDisplay = (kind, n) => (factor(kind) === 1 ? n : round(n * factor(kind), 12));
+
+export const fromDisplay = (kind, n) => (factor(kind) === 1 ? n : round(n / factor(kind), 15));
+
+// Stored rent (€/sqm/month) and area (sqm) formatted in the project's units.
+export const FRENT = (n, d = 2) => F(toDisplay("rent", n), d);
+
+export const FAREA = (n, d = 2) => F(toDisplay("area", n), d);